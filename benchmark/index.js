@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Measures the error creation paths for every builtin template engine:
+ * creating the errors without reading their message (lazy compilation), and
+ * reading it without and with the compiled templates cache, compared with the
+ * eager `_.template` compilation of therror 4.x
+ *
+ * The variants of a scenario run alternately, several rounds, and the median
+ * of the rounds is printed, so the run order does not favour any of them
+ *
+ * Usage: npm run benchmark [-- iterations [rounds]]
+ */
+
+const _ = require('lodash');
+const Therror = require('../lib/therror');
+
+const ITERATIONS = parseInt(process.argv[2], 10) || 20000;
+const ROUNDS = parseInt(process.argv[3], 10) || 5;
+
+class UserNotFound extends Therror.WithMessage(
+  'The user ${user} does not exists'
+) {}
+
+class UserGone extends Therror.HTTP(410) {}
+
+// The errors, and the template they are created with
+const scenarios = {
+  constructor: {
+    template: 'The user ${user} does not exists',
+    create: () =>
+      new Therror('The user ${user} does not exists', { user: 'John' })
+  },
+  WithMessage: {
+    template: 'The user ${user} does not exists',
+    create: () => new UserNotFound({ user: 'John' })
+  },
+  HTTP: {
+    template: 'The user ${user} is gone',
+    create: () => new UserGone('The user ${user} is gone', { user: 'John' })
+  },
+  'ServerError.NotFound': {
+    template: 'The user ${user} does not exists',
+    create: () =>
+      new Therror.ServerError.NotFound('The user ${user} does not exists', {
+        user: 'John'
+      })
+  }
+};
+
+// therror 4.x compiled the template with _.template in the constructor, and
+// rendered it when reading the message: compile it on every creation, and
+// render it with the cached one
+function createEagerly(scenario) {
+  _.template(scenario.template);
+  return scenario.create();
+}
+
+// How each variant creates the errors, with the engine and cache it needs.
+// The variants are compared with the 4.x one reading the message, or not
+function getVariants(engine, scenario) {
+  return {
+    '4.x, message not read': {
+      engine: 'lodash',
+      cacheSize: 1000,
+      fn: () => createEagerly(scenario)
+    },
+    '4.x, message read': {
+      engine: 'lodash',
+      cacheSize: 1000,
+      reads: true,
+      fn: () => createEagerly(scenario).message
+    },
+    'message not read': {
+      engine: engine,
+      cacheSize: 1000,
+      fn: () => scenario.create()
+    },
+    'message read, uncached': {
+      engine: engine,
+      cacheSize: 0,
+      reads: true,
+      fn: () => scenario.create().message
+    },
+    'message read, cached': {
+      engine: engine,
+      cacheSize: 1000,
+      reads: true,
+      fn: () => scenario.create().message
+    }
+  };
+}
+
+function measure(variant) {
+  Therror.setTemplateEngine(variant.engine);
+  Therror.templateCacheSize = variant.cacheSize;
+
+  // warm up
+  for (let i = 0; i < ITERATIONS / 10; i++) {
+    variant.fn();
+  }
+
+  let start = process.hrtime();
+  for (let i = 0; i < ITERATIONS; i++) {
+    variant.fn();
+  }
+  let elapsed = process.hrtime(start);
+
+  return ITERATIONS / (elapsed[0] + elapsed[1] / 1e9);
+}
+
+function median(values) {
+  let sorted = values.slice().sort((a, b) => a - b);
+  let middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+console.log(
+  `${ITERATIONS} iterations, median of ${ROUNDS} rounds (ops/sec, higher is better)\n`
+);
+
+['interpolate', 'lodash'].forEach(engine => {
+  console.log(`Engine: ${engine}`);
+
+  Object.keys(scenarios).forEach(name => {
+    let variants = getVariants(engine, scenarios[name]);
+    let names = Object.keys(variants);
+    let results = _.fromPairs(names.map(variant => [variant, []]));
+
+    for (let round = 0; round < ROUNDS; round++) {
+      // alternate the order of the variants between rounds
+      let order = round % 2 ? names.slice().reverse() : names;
+      order.forEach(variant =>
+        results[variant].push(measure(variants[variant]))
+      );
+    }
+
+    let baselines = [median(results[names[0]]), median(results[names[1]])];
+    console.log(`  ${name}:`);
+    names.forEach(variant => {
+      let ops = median(results[variant]);
+      let baseline = baselines[variants[variant].reads ? 1 : 0];
+      console.log(
+        `    ${variant}: ${Math.round(ops)} (x${(ops / baseline).toFixed(
+          2
+        )} of 4.x)`
+      );
+    });
+  });
+  console.log();
+});
+
+Therror.setTemplateEngine('interpolate');
+Therror.templateCacheSize = 1000;
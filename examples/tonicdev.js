@@ -20,7 +20,7 @@ let simpleError = new Therror('With Runtime Properties', {
 console.log(simpleError.criteria); // "John Doe"
 
 let customError = new CustomError(simpleError, 'With Causes');
-console.log(customError.cause()); // { [Error: With Runtime Properties] criteria: 'John Doe' }
+console.log(customError.cause); // { [Error: With Runtime Properties] criteria: 'John Doe' }
 console.log(customError.DB); // Users
 
 let mixinError = new UserNotFound({ username: 'John Doe' });
@@ -0,0 +1,194 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Per locale message catalogs. Each catalog maps error codes or error names
+ * to message templates, and can hold the localized HTTP status texts in its
+ * `STATUS_CODES` key
+ *
+ * @example
+ * ```js
+ * catalogs.register('es', {
+ *   'USER.NOT_FOUND': 'El usuario ${user} no existe',
+ *   STATUS_CODES: { 404: 'No encontrado' }
+ * });
+ * ```
+ */
+class Catalogs {
+  constructor() {
+    this.catalogs = new Map();
+    this.defaultLocale = undefined;
+  }
+
+  /**
+   * Adds the messages to the catalog of the locale
+   *
+   * @param {String} locale The locale, as `es` or `es-AR`
+   * @param {Object} catalog The messages
+   */
+  register(locale, catalog) {
+    let key = normalize(locale);
+    let current = this.catalogs.get(key) || { STATUS_CODES: {} };
+    this.catalogs.set(
+      key,
+      Object.assign({}, current, catalog, {
+        STATUS_CODES: Object.assign(
+          {},
+          current.STATUS_CODES,
+          catalog && catalog.STATUS_CODES
+        )
+      })
+    );
+  }
+
+  /**
+   * Removes all the catalogs
+   */
+  clear() {
+    this.catalogs.clear();
+  }
+
+  /**
+   * Gets the locales to look up for the provided one, from the most specific
+   * to the default one: `es-AR`, `es`, default locale
+   *
+   * @param {String} locale The locale
+   * @returns {String[]}
+   */
+  fallbacks(locale) {
+    let locales = getLanguageChain(locale);
+    if (this.defaultLocale) {
+      locales.push(normalize(this.defaultLocale));
+    }
+    return _.uniq(locales);
+  }
+
+  /**
+   * Gets the first message found for the keys in the catalogs of the locale
+   * and its fallbacks
+   *
+   * @param {String} locale The locale
+   * @param {String[]} keys The keys to look for, by priority
+   * @returns {String|undefined}
+   */
+  message(locale, keys) {
+    return this.find(locale, catalog =>
+      _.find(
+        keys.filter(key => !_.isUndefined(key)).map(key => catalog[key]),
+        _.isString
+      )
+    );
+  }
+
+  /**
+   * Gets the localized HTTP status text
+   *
+   * @param {String} locale The locale
+   * @param {Integer} statusCode The HTTP status code
+   * @returns {String|undefined}
+   */
+  statusText(locale, statusCode) {
+    return this.find(locale, catalog => catalog.STATUS_CODES[statusCode]);
+  }
+
+  /**
+   * Gets the preferred locale of an `Accept-Language` header among the ones
+   * having catalogs, canonicalized, as `es-AR`. The invalid tags are skipped
+   *
+   * @param {String} acceptLanguage The header value, as `es-AR,es;q=0.9,en;q=0.5`
+   * @returns {String|undefined}
+   */
+  negotiate(acceptLanguage) {
+    let candidates = String(acceptLanguage || '')
+      .split(',')
+      .map((range, index) => {
+        let params = range.trim().split(';');
+        let quality = params
+          .slice(1)
+          .map(param => param.trim().split('='))
+          .filter(param => param[0] === 'q')
+          .map(param => parseFloat(param[1]))[0];
+        return {
+          locale: getCanonicalLocale(params[0].trim()),
+          quality: _.isUndefined(quality) ? 1 : quality,
+          index: index
+        };
+      })
+      .filter(candidate => candidate.locale && candidate.quality > 0);
+
+    let found = _.find(
+      _.orderBy(candidates, ['quality', 'index'], ['desc', 'asc']),
+      candidate =>
+        candidate.locale === '*'
+          ? this.defaultLocale
+          : getLanguageChain(candidate.locale).some(locale =>
+              this.catalogs.has(locale)
+            )
+    );
+    if (!found) {
+      return undefined;
+    }
+    return found.locale === '*' ? this.defaultLocale : found.locale;
+  }
+
+  find(locale, fn) {
+    let locales = this.fallbacks(locale);
+    for (let i = 0; i < locales.length; i++) {
+      let catalog = this.catalogs.get(locales[i]);
+      let value = catalog && fn(catalog);
+      if (!_.isUndefined(value)) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+}
+
+// es-ar -> 'es-AR', undefined for invalid tags
+function getCanonicalLocale(locale) {
+  if (locale === '*') {
+    return locale;
+  }
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (err) {
+    return undefined;
+  }
+}
+
+// es-AR -> ['es-ar', 'es']
+function getLanguageChain(locale) {
+  let locales = [];
+  let parts = locale ? normalize(locale).split('-') : [];
+  while (parts.length) {
+    locales.push(parts.join('-'));
+    parts.pop();
+  }
+  return locales;
+}
+
+function normalize(locale) {
+  return String(locale)
+    .toLowerCase()
+    .replace(/_/g, '-');
+}
+
+module.exports = Catalogs;
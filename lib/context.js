@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * The context of the errors, as the request id, the user id or the trace id,
+ * propagated through the async calls with `AsyncLocalStorage`. The errors
+ * created inside `run()` get a snapshot of the active context in their
+ * `context` property
+ *
+ * @example
+ * ```js
+ * context.run({requestId: req.id}, () => next());
+ * // deep inside the request
+ * new Therror('Oops').context; // {requestId: 'f3a1...'}
+ * ```
+ */
+class Context {
+  constructor() {
+    // Whether to capture the context in the errors
+    this.enabled = true;
+    // The context keys to add to the payloads, true for all of them
+    this.exposed = false;
+  }
+
+  /**
+   * Runs the function with the context, added to the one of the enclosing
+   * `run()` calls, if any
+   *
+   * @param {Object} ctx The context values
+   * @param {Function} fn The function to run
+   * @returns {*} The function result
+   */
+  run(ctx, fn) {
+    if (!_.isFunction(fn)) {
+      throw new TypeError('Expected a function to run in the context');
+    }
+    return getStorage(this).run(Object.assign({}, this.get(), ctx), fn);
+  }
+
+  /**
+   * Gets the active context
+   *
+   * @returns {Object} undefined outside of `run()`
+   */
+  get() {
+    return this.storage ? this.storage.getStore() : undefined;
+  }
+
+  /**
+   * Gets a copy of the active context, to be captured by an error
+   *
+   * @returns {Object} undefined outside of `run()` or when disabled
+   */
+  snapshot() {
+    let ctx = this.enabled ? this.get() : undefined;
+    return ctx ? Object.assign({}, ctx) : undefined;
+  }
+
+  /**
+   * Gets the context values of an error to add to its payloads, as allowed
+   * by `exposed`
+   *
+   * @param {Object} ctx The error context
+   * @returns {Object} undefined when none is exposed
+   */
+  getExposed(ctx) {
+    if (!_.isObject(ctx) || !this.exposed) {
+      return undefined;
+    }
+    let exposed = this.exposed === true ? ctx : _.pick(ctx, this.exposed);
+    return _.isEmpty(exposed) ? undefined : exposed;
+  }
+}
+
+// Created on the first run, as AsyncLocalStorage needs node 12.17
+function getStorage(context) {
+  if (!context.storage) {
+    const AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+    if (!AsyncLocalStorage) {
+      throw new Error(
+        'The error context needs AsyncLocalStorage, available since node 12.17'
+      );
+    }
+    context.storage = new AsyncLocalStorage();
+  }
+  return context.storage;
+}
+
+module.exports = Context;
@@ -0,0 +1,211 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+  Therror = require('./therror');
+
+/**
+ * Gets the `Therror.HTTP` classes (as the `Therror.ServerError` ones) of a
+ * source: error classes, modules exporting them, or arrays of both. Defaults
+ * to the classes registered in `Therror.registry`
+ *
+ * @param {class|Object|Array} [source] The classes, or the modules exporting them
+ * @returns {class[]}
+ */
+function collect(source) {
+  if (_.isUndefined(source)) {
+    source = Therror.registry.list();
+  }
+  return _.uniq(
+    _.flatMap(_.flattenDeep([source]), item => {
+      if (isHTTPClass(item)) {
+        return [item];
+      }
+      return _.isPlainObject(item) ? _.values(item).filter(isHTTPClass) : [];
+    })
+  );
+}
+
+/**
+ * Gets the OpenAPI 3 `components` describing the error responses of the
+ * classes: a response and a schema of the payload of each one, named after
+ * the (namespaced) error name, with the status code and the message template
+ * in the `x-status-code` and `x-message-template` extensions
+ *
+ * The examples are the `toPayload()` of an instance of each class, with its
+ * placeholders as `<name>`, created with `Therror.silently()`. The classes
+ * must have different names, as they name the components
+ *
+ * @example
+ * ```js
+ * toOpenAPI([UserNotFound]);
+ * // {
+ * //   components: {
+ * //     responses: {
+ * //       UserNotFound: {
+ * //         description: 'The user ${user} does not exists',
+ * //         content: {
+ * //           'application/json': {
+ * //             schema: { $ref: '#/components/schemas/UserNotFound' },
+ * //             example: { error: 'UserNotFound', message: 'The user <user> does not exists' }
+ * //           }
+ * //         },
+ * //         'x-status-code': 404,
+ * //         'x-message-template': 'The user ${user} does not exists'
+ * //       }
+ * //     },
+ * //     schemas: { UserNotFound: { type: 'object', ... } }
+ * //   }
+ * // }
+ * ```
+ *
+ * @param {class|Object|Array} [source] The classes, see `collect()`
+ * @returns {Object} `{components: {responses, schemas}}`
+ */
+function toOpenAPI(source) {
+  let contentType = Therror.HTTP.problemDetails
+    ? Therror.HTTP.PROBLEM_CONTENT_TYPE
+    : 'application/json';
+  let responses = {};
+  let schemas = {};
+
+  collect(source)
+    .map(describeClass)
+    .forEach(error => {
+      if (_.has(responses, error.name)) {
+        throw new Error(`Error name ${error.name} is documented twice`);
+      }
+      responses[error.name] = _.omitBy(
+        {
+          description: error.template || error.statusText,
+          content: {
+            [contentType]: {
+              schema: { $ref: `#/components/schemas/${error.name}` },
+              example: error.payload
+            }
+          },
+          'x-status-code': error.statusCode,
+          'x-message-template': error.template
+        },
+        _.isUndefined
+      );
+      schemas[error.name] = toSchema(error.payload);
+    });
+
+  return { components: { responses: responses, schemas: schemas } };
+}
+
+/**
+ * Gets a Markdown catalog of the classes, with their status code, error code
+ * and message template, grouped by namespace
+ *
+ * @param {class|Object|Array} [source] The classes, see `collect()`
+ * @param {Object} [opts] The options
+ * @param {String} [opts.title] The document title. Defaults to `Errors`
+ * @returns {String}
+ */
+function toMarkdown(source, opts) {
+  opts = _.defaults({}, opts, { title: 'Errors' });
+  let groups = _.groupBy(collect(source).map(describeClass), 'namespace');
+  let lines = [`# ${opts.title}`];
+
+  Object.keys(groups)
+    .sort()
+    .forEach(namespace => {
+      lines.push(
+        '',
+        `## ${namespace || 'Global'}`,
+        '',
+        '| Error | Status | Code | Message |',
+        '| --- | --- | --- | --- |'
+      );
+      _.sortBy(groups[namespace], ['statusCode', 'name']).forEach(error => {
+        lines.push(
+          `| ${[
+            error.name,
+            `${error.statusCode} ${error.statusText}`,
+            error.code,
+            error.template
+          ]
+            .map(escapeCell)
+            .join(' | ')} |`
+        );
+      });
+    });
+  return `${lines.join('\n')}\n`;
+}
+
+function isHTTPClass(item) {
+  return (
+    _.isFunction(item) &&
+    item.prototype instanceof Error &&
+    _.isFunction(item.prototype.toPayload)
+  );
+}
+
+function describeClass(ErrorClass) {
+  let err = createExample(ErrorClass);
+  return {
+    name: err.name,
+    namespace: err.namespace || '',
+    statusCode: err.statusCode,
+    statusText:
+      Therror.HTTP.STATUS_CODES[err.statusCode] ||
+      Therror.HTTP.STATUS_CODES[500],
+    code: ErrorClass.code,
+    template: ErrorClass.messageTemplate,
+    payload: err.toPayload()
+  };
+}
+
+// An instance with its placeholders as `<name>`, which is not a real error
+function createExample(ErrorClass) {
+  let properties = {};
+  ErrorClass.placeholders().forEach(placeholder =>
+    _.set(properties, placeholder, `<${placeholder}>`)
+  );
+  return Therror.silently(() => new ErrorClass(properties));
+}
+
+// The schema of the payload, as its example
+function toSchema(payload) {
+  return {
+    type: 'object',
+    required: Object.keys(payload),
+    properties: _.mapValues(payload, value =>
+      _.isArray(value)
+        ? { type: 'array', items: { type: 'object' } }
+        : { type: _.isPlainObject(value) ? 'object' : typeof value }
+    )
+  };
+}
+
+function escapeCell(cell) {
+  return _.isUndefined(cell)
+    ? ''
+    : String(cell)
+        .replace(/\|/g, '\\|')
+        .replace(/\n/g, ' ');
+}
+
+module.exports = {
+  collect: collect,
+  toOpenAPI: toOpenAPI,
+  toMarkdown: toMarkdown
+};
@@ -0,0 +1,184 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+// The event where the listener failures are reported
+const LISTENER_ERROR = 'listenerError';
+
+/**
+ * The error lifecycle events. Listeners can be scoped to the errors of a
+ * class, of a namespace or within a status code range, and their failures,
+ * both thrown and rejected, are reported in the `listenerError` event, or as
+ * a process warning when nobody listens to it, instead of reaching the code
+ * emitting the event
+ *
+ * @example
+ * ```js
+ * events.on('create', { namespace: 'User', statusCode: '5xx' }, err => alert(err));
+ * events.emit('create', err);
+ * ```
+ */
+class Events {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Adds a listener of the event
+   *
+   * @param {String} event The event name
+   * @param {Function|Object} [scope] The error class, or `{class, namespace, statusCode}`
+   * @param {Function} listener Receives the error and the event arguments
+   * @param {Boolean} [once] Whether to remove it after its first call
+   */
+  on(event, scope, listener, once) {
+    if (_.isUndefined(listener) && !_.isPlainObject(scope)) {
+      listener = scope;
+      scope = undefined;
+    }
+    if (!_.isFunction(listener)) {
+      throw new TypeError('Expected a listener function');
+    }
+    let listeners = this.listeners.get(event) || [];
+    this.listeners.set(
+      event,
+      listeners.concat({
+        listener: listener,
+        matches: getMatcher(scope),
+        once: !!once
+      })
+    );
+  }
+
+  /**
+   * Removes a listener of the event, or all of them when no one is provided
+   *
+   * @param {String} event The event name
+   * @param {Function} [listener] The listener to remove
+   */
+  off(event, listener) {
+    if (_.isUndefined(listener)) {
+      this.listeners.delete(event);
+      return;
+    }
+    let listeners = (this.listeners.get(event) || []).filter(
+      entry => entry.listener !== listener
+    );
+    if (listeners.length) {
+      this.listeners.set(event, listeners);
+    } else {
+      this.listeners.delete(event);
+    }
+  }
+
+  /**
+   * Calls the listeners of the event whose scope matches the error
+   *
+   * @param {String} event The event name
+   * @param {Error} err The error
+   * @param {...*} [args] Other event arguments
+   * @returns {Boolean} Whether any listener was called
+   */
+  emit(event, err, ...args) {
+    let listeners = (this.listeners.get(event) || []).filter(entry =>
+      entry.matches(err)
+    );
+
+    listeners
+      .filter(entry => entry.once)
+      .forEach(entry => {
+        this.listeners.set(
+          event,
+          this.listeners.get(event).filter(current => current !== entry)
+        );
+      });
+
+    listeners.forEach(entry => {
+      try {
+        let result = entry.listener(err, ...args);
+        if (result && _.isFunction(result.then)) {
+          result.then(null, reason => this.report(reason, event, err));
+        }
+      } catch (listenerErr) {
+        this.report(listenerErr, event, err);
+      }
+    });
+    return listeners.length > 0;
+  }
+
+  /**
+   * Gets the number of listeners of the event
+   *
+   * @param {String} event The event name
+   * @returns {Integer}
+   */
+  listenerCount(event) {
+    return (this.listeners.get(event) || []).length;
+  }
+
+  report(listenerErr, event, err) {
+    if (event !== LISTENER_ERROR && this.listenerCount(LISTENER_ERROR)) {
+      this.emit(LISTENER_ERROR, listenerErr, { event: event, error: err });
+    } else {
+      process.emitWarning(
+        listenerErr instanceof Error
+          ? listenerErr
+          : `Therror ${event} listener failed: ${listenerErr}`,
+        'TherrorListenerWarning'
+      );
+    }
+  }
+}
+
+// {class, namespace, statusCode} -> err => Boolean
+function getMatcher(scope) {
+  if (_.isUndefined(scope)) {
+    return () => true;
+  }
+  if (_.isFunction(scope)) {
+    scope = { class: scope };
+  }
+  let statusCode = getStatusRange(scope.statusCode);
+  return err =>
+    (!scope.class || err instanceof scope.class) &&
+    (!scope.namespace ||
+      (_.isObject(err) && err.namespace === scope.namespace)) &&
+    (!statusCode ||
+      (_.isObject(err) &&
+        err.statusCode >= statusCode[0] &&
+        err.statusCode <= statusCode[1]));
+}
+
+// 404 -> [404, 404], '5xx' -> [500, 599], [400, 499] -> [400, 499]
+function getStatusRange(statusCode) {
+  if (_.isNil(statusCode)) {
+    return undefined;
+  }
+  if (_.isArray(statusCode)) {
+    return statusCode;
+  }
+  let range = /^([1-5])xx$/i.exec(statusCode);
+  if (range) {
+    return [range[1] * 100, range[1] * 100 + 99];
+  }
+  return [Number(statusCode), Number(statusCode)];
+}
+
+module.exports = Events;
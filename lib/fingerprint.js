@@ -0,0 +1,86 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+  crypto = require('crypto'),
+  path = require('path');
+
+// "    at fn (/app/lib/file.js:10:5)" and "    at /app/lib/file.js:10:5"
+const STACK_FRAME = /^\s*at (?:async )?(?:(.*?) \()?(.*?)(?::\d+)?(?::\d+)?\)?$/;
+// The node internals change between node versions
+const INTERNAL_FRAME = /^(?:node:|internal\/)/;
+
+/**
+ * Gets the SHA-1 hex hash of the fingerprint parts
+ *
+ * @param {Array} parts The values identifying a kind of error
+ * @returns {String}
+ */
+function hash(parts) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(parts))
+    .digest('hex');
+}
+
+/**
+ * Gets the top frames of a stack trace, normalized to be stable across
+ * instances and deployments: without line and column numbers, without the
+ * node internal frames, and with the paths relative to the working directory
+ *
+ * @example
+ * ```js
+ * getStackFrames('Error: Oops\n    at find (/app/lib/users.js:10:5)', 5);
+ * // ['find (lib/users.js)']
+ * ```
+ *
+ * @param {String} stack The stack trace
+ * @param {Integer} count The number of frames to get
+ * @returns {String[]}
+ */
+function getStackFrames(stack, count) {
+  if (!_.isString(stack)) {
+    return [];
+  }
+  return stack
+    .split('\n')
+    .map(line => STACK_FRAME.exec(line))
+    .filter(frame => frame && !INTERNAL_FRAME.test(frame[2]))
+    .slice(0, count)
+    .map(frame => {
+      let location = normalizePath(frame[2]);
+      return frame[1] ? `${frame[1]} (${location})` : location;
+    });
+}
+
+function normalizePath(location) {
+  location = location.replace(/^file:\/\//, '');
+  if (!path.isAbsolute(location)) {
+    return location;
+  }
+  return path
+    .relative(process.cwd(), location)
+    .split(path.sep)
+    .join('/');
+}
+
+module.exports = {
+  hash: hash,
+  getStackFrames: getStackFrames
+};
@@ -0,0 +1,279 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+// The media type of the Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const LABELS = ['name', 'namespace', 'statusCode', 'level'];
+
+// The max errors waiting to be counted, not to keep them alive in long loops
+const MAX_PENDING = 1000;
+
+const COUNTERS = {
+  created: {
+    metric: 'therror_errors_created_total',
+    help: 'Errors created'
+  },
+  logged: {
+    metric: 'therror_errors_logged_total',
+    help: 'Errors logged'
+  }
+};
+
+const CAUSE_DEPTH = {
+  metric: 'therror_error_cause_depth',
+  help: 'Length of the cause chain of the errors created'
+};
+
+/**
+ * In-process error metrics: counters of the errors created and logged, by
+ * name, namespace, status code and log level, and an optional histogram of
+ * the length of their cause chains, by name. Exported as an object or in the
+ * Prometheus text format
+ *
+ * @example
+ * ```js
+ * metrics.recordCreated(err);
+ * metrics.snapshot();
+ * // {
+ * //   created: [{name: 'NotFound', namespace: '', statusCode: 404, level: 'info', value: 1}],
+ * //   logged: [],
+ * //   causeDepth: []
+ * // }
+ * ```
+ */
+class Metrics {
+  constructor() {
+    // Whether to record the metrics
+    this.enabled = true;
+    // Whether to record the cause chain length histogram
+    this.histograms = false;
+    // The upper bounds of the histogram buckets
+    this.buckets = [0, 1, 2, 3, 5, 10];
+    this.reset();
+  }
+
+  /**
+   * Counts a created error. Each error is counted once. As it is called from
+   * the constructors, the error is counted once it is fully built (its name,
+   * as set by the outer mixins, can still change), on the next tick or on the
+   * next snapshot. When `MAX_PENDING` errors are waiting, as in synchronous
+   * loops, the ones already built are counted right away
+   *
+   * @param {Error} err The error
+   */
+  recordCreated(err) {
+    if (!this.enabled || this.counted.has(err)) {
+      return;
+    }
+    this.counted.add(err);
+    this.pending.push(err);
+    if (this.pending.length === 1) {
+      process.nextTick(() => this.collect());
+    } else if (this.pending.length > MAX_PENDING) {
+      // only the last error can still be being built
+      this.collect(this.pending.length - 1);
+    }
+  }
+
+  /**
+   * Counts a logged error
+   *
+   * @param {Error} err The error
+   */
+  recordLogged(err) {
+    if (this.enabled) {
+      increment(this.counters.logged, getLabels(err));
+    }
+  }
+
+  /**
+   * Gets the current values of the metrics
+   *
+   * @returns {Object} `{created, logged, causeDepth}`
+   */
+  snapshot() {
+    this.collect();
+    let counters = _.mapValues(this.counters, counter =>
+      Array.from(counter.values()).map(entry =>
+        Object.assign({}, entry.labels, { value: entry.value })
+      )
+    );
+    return Object.assign(counters, {
+      causeDepth: Array.from(this.causeDepth.values()).map(histogram => ({
+        name: histogram.name,
+        buckets: this.buckets
+          .map((bucket, index) => ({
+            le: bucket,
+            count: histogram.buckets[index]
+          }))
+          .concat({ le: '+Inf', count: histogram.count }),
+        sum: histogram.sum,
+        count: histogram.count
+      }))
+    });
+  }
+
+  /**
+   * The media type of the Prometheus text exposition format
+   *
+   * @returns {String}
+   */
+  get CONTENT_TYPE() {
+    return CONTENT_TYPE;
+  }
+
+  /**
+   * Gets the metrics in the Prometheus text exposition format, to be served
+   * with the `CONTENT_TYPE` content type
+   *
+   * @returns {String}
+   */
+  toPrometheus() {
+    let snapshot = this.snapshot();
+    let lines = [];
+
+    Object.keys(COUNTERS).forEach(key => {
+      let counter = COUNTERS[key];
+      lines.push(
+        `# HELP ${counter.metric} ${counter.help}`,
+        `# TYPE ${counter.metric} counter`
+      );
+      snapshot[key].forEach(entry => {
+        lines.push(
+          `${counter.metric}${formatLabels({
+            name: entry.name,
+            namespace: entry.namespace,
+            status_code: entry.statusCode,
+            level: entry.level
+          })} ${entry.value}`
+        );
+      });
+    });
+
+    if (this.histograms) {
+      let metric = CAUSE_DEPTH.metric;
+      lines.push(
+        `# HELP ${metric} ${CAUSE_DEPTH.help}`,
+        `# TYPE ${metric} histogram`
+      );
+      snapshot.causeDepth.forEach(histogram => {
+        histogram.buckets.forEach(bucket => {
+          lines.push(
+            `${metric}_bucket${formatLabels({
+              name: histogram.name,
+              le: bucket.le
+            })} ${bucket.count}`
+          );
+        });
+        let labels = formatLabels({ name: histogram.name });
+        lines.push(
+          `${metric}_sum${labels} ${histogram.sum}`,
+          `${metric}_count${labels} ${histogram.count}`
+        );
+      });
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Sets all the metrics to zero
+   */
+  reset() {
+    this.counters = _.mapValues(COUNTERS, () => new Map());
+    this.causeDepth = new Map();
+    this.counted = new WeakSet();
+    this.pending = [];
+  }
+
+  // Counts the first `count` created errors pending, or all of them
+  collect(count) {
+    let errors = _.isUndefined(count)
+      ? this.pending.splice(0)
+      : this.pending.splice(0, count);
+    errors.forEach(err => {
+      increment(this.counters.created, getLabels(err));
+      if (this.histograms) {
+        this.observeCauseDepth(err);
+      }
+    });
+  }
+
+  observeCauseDepth(err) {
+    let name = String(err.name);
+    let histogram = this.causeDepth.get(name);
+    if (!histogram) {
+      histogram = {
+        name: name,
+        buckets: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      };
+      this.causeDepth.set(name, histogram);
+    }
+    let depth = getCauseDepth(err);
+    this.buckets.forEach((bucket, index) => {
+      if (depth <= bucket) {
+        histogram.buckets[index]++;
+      }
+    });
+    histogram.sum += depth;
+    histogram.count++;
+  }
+}
+
+function getLabels(err) {
+  return {
+    name: String(err.name),
+    namespace: _.isUndefined(err.namespace) ? '' : String(err.namespace),
+    statusCode: _.isUndefined(err.statusCode) ? '' : err.statusCode,
+    level: _.isFunction(err.level) ? String(err.level()) : ''
+  };
+}
+
+function increment(counter, labels) {
+  let key = JSON.stringify(LABELS.map(label => labels[label]));
+  let entry = counter.get(key);
+  if (!entry) {
+    entry = { labels: labels, value: 0 };
+    counter.set(key, entry);
+  }
+  entry.value++;
+}
+
+function getCauseDepth(err) {
+  return _.isFunction(err.causes) ? Array.from(err.causes()).length : 0;
+}
+
+// {name: 'NotFound'} -> {name="NotFound"}
+function formatLabels(labels) {
+  return `{${Object.keys(labels)
+    .map(
+      label =>
+        `${label}="${String(labels[label])
+          .replace(/\\/g, '\\\\')
+          .replace(/"/g, '\\"')
+          .replace(/\n/g, '\\n')}"`
+    )
+    .join(',')}}`;
+}
+
+module.exports = Metrics;
@@ -0,0 +1,120 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+  Therror = require('./therror');
+
+/**
+ * Creates an Express/Connect error handling middleware, sending the errors
+ * to the client as described in `Therror.handler()`. When the response has
+ * already been sent, the error is passed to the next error handler
+ *
+ * @example
+ * ```js
+ * app.use(Therror.middleware());
+ * ```
+ *
+ * @param {Object} [opts] The options, see `Therror.handler()`
+ * @returns {Function} `(err, req, res, next) => {}`
+ */
+function middleware(opts) {
+  let handle = handler(opts);
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+    handle(err, req, res);
+  };
+}
+
+/**
+ * Creates a handler to send the errors to the client, usable with the node
+ * `http` module. `Therror.HTTP` errors are logged with `log({req, res})`,
+ * when they are `Therror.Loggable`, and sent with their `statusCode`, their
+ * `getHeaders()` headers and their `render()` body, in the media type of the
+ * request `Accept` and translated to the request `Accept-Language`. Any other
+ * error or throwable is sent as a `Therror.ServerError.InternalServerError`
+ * caused by it
+ *
+ * @example
+ * ```js
+ * const handle = Therror.handler();
+ *
+ * http.createServer((req, res) => {
+ *   route(req, res).catch(err => handle(err, req, res));
+ * });
+ * ```
+ *
+ * @param {Object} [opts] The options
+ * @param {Boolean} [opts.log] Whether to log the errors. Defaults to true
+ * @param {Boolean} [opts.localize] Whether to translate the payloads to the request `Accept-Language`. Defaults to true
+ * @returns {Function} `(err, req, res) => Therror`, returning the error sent
+ */
+function handler(opts) {
+  opts = Object.assign({ log: true, localize: true }, opts);
+
+  return (err, req, res) => {
+    let httpError = toHTTPError(err);
+
+    if (opts.log && _.isFunction(httpError.log)) {
+      httpError.log({ req: req, res: res });
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return httpError;
+    }
+
+    let acceptLanguage = opts.localize && req.headers['accept-language'];
+    let rendered = httpError.render(
+      req.headers.accept,
+      acceptLanguage ? { acceptLanguage: acceptLanguage } : undefined
+    );
+
+    res.statusCode = Therror.HTTP.STATUS_CODES[httpError.statusCode]
+      ? httpError.statusCode
+      : 500;
+    _.forEach(httpError.getHeaders(), (value, name) =>
+      res.setHeader(name, value)
+    );
+    res.setHeader('Content-Type', rendered.contentType);
+    res.setHeader('Vary', opts.localize ? 'Accept, Accept-Language' : 'Accept');
+    res.setHeader('Content-Length', Buffer.byteLength(rendered.body));
+    res.end(req.method === 'HEAD' ? undefined : rendered.body);
+    return httpError;
+  };
+}
+
+// The HTTP errors as they are, any other error wrapped in a 500
+function toHTTPError(err) {
+  if (
+    _.isObject(err) &&
+    err.isTherror &&
+    _.isFunction(err.render) &&
+    _.isFunction(err.getHeaders)
+  ) {
+    return err;
+  }
+  return new Therror.ServerError.InternalServerError({ cause: err });
+}
+
+module.exports = {
+  middleware: middleware,
+  handler: handler
+};
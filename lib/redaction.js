@@ -0,0 +1,185 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+const redactedSymbol = Symbol('redacted');
+
+/**
+ * Gets a copy of the error, and of its cause chain, with the properties
+ * matching the rules masked or dropped. The error is left untouched, and the
+ * copy keeps its prototype, so it can be serialized as the original one
+ *
+ * Rules:
+ * * `keys`: Property names to redact at any depth, as `password` or `*token*`
+ * * `paths`: Property paths to redact, as `user.card.number`, `cards.*.number`
+ *   or `**.secret`. `*` matches a single property, and `**` any number of them
+ * * `mode`: `'mask'` to replace the values with `mask`, or `'drop'` to remove them
+ *
+ * @param {Error} err The error to redact
+ * @param {Object} rules The redaction rules
+ * @returns {Error}
+ */
+function redactError(err, rules) {
+  return redactCause(err, compileRules(rules), new Map());
+}
+
+// Whether the error is a redacted copy
+function isRedacted(err) {
+  return _.isObject(err) && err[redactedSymbol] === true;
+}
+
+function compileRules(rules) {
+  return {
+    keys: _.uniq(rules.keys || []).map(key => globToRegExp(key, 'i')),
+    paths: _.uniq(rules.paths || []).map(path =>
+      String(path)
+        .split('.')
+        .map(segment => (segment === '**' ? segment : globToRegExp(segment)))
+    ),
+    mode: rules.mode,
+    mask: rules.mask
+  };
+}
+
+function redactCause(err, rules, copies) {
+  if (!_.isObject(err) || isRedacted(err)) {
+    return err;
+  }
+  if (copies.has(err)) {
+    return copies.get(err);
+  }
+
+  let copy = Object.create(Object.getPrototypeOf(err));
+  copies.set(err, copy);
+
+  Reflect.ownKeys(err).forEach(key => {
+    let descriptor = Object.getOwnPropertyDescriptor(err, key);
+    if (key === 'cause' && !_.isFunction(descriptor.value)) {
+      descriptor.value = redactCause(
+        descriptor.value,
+        getCauseRules(descriptor.value, rules),
+        copies
+      );
+    } else if (descriptor.enumerable && _.isString(key)) {
+      if (matches(rules, [key])) {
+        if (rules.mode === 'drop') {
+          return;
+        }
+        descriptor.value = rules.mask;
+      } else {
+        descriptor.value = redactValue(
+          descriptor.value,
+          [key],
+          rules,
+          new Set([err])
+        );
+      }
+    }
+    Object.defineProperty(copy, key, descriptor);
+  });
+
+  // the stack starts with the message, which can print the redacted values
+  let stack = err.stack;
+  if (_.isString(stack) && _.isString(err.message)) {
+    let message = copy.message;
+    if (message !== err.message && stack.indexOf(err.message) !== -1) {
+      Object.defineProperty(copy, 'stack', {
+        configurable: true,
+        writable: true,
+        value: stack.replace(err.message, message)
+      });
+    }
+  }
+
+  Object.defineProperty(copy, redactedSymbol, { value: true });
+  return copy;
+}
+
+// The rules of the error, plus the ones of the cause when it is redactable too
+function getCauseRules(cause, rules) {
+  if (!_.isObject(cause) || !_.isFunction(cause.getRedactionRules)) {
+    return rules;
+  }
+  let causeRules = compileRules(cause.getRedactionRules());
+  return Object.assign({}, rules, {
+    keys: rules.keys.concat(causeRules.keys),
+    paths: rules.paths.concat(causeRules.paths)
+  });
+}
+
+function redactValue(value, path, rules, visited) {
+  if (!(_.isPlainObject(value) || _.isArray(value)) || visited.has(value)) {
+    return value;
+  }
+  visited.add(value);
+
+  let copy = _.isArray(value) ? [] : {};
+  Object.keys(value).forEach(key => {
+    let keyPath = path.concat(key);
+    if (!matches(rules, keyPath)) {
+      copy[key] = redactValue(value[key], keyPath, rules, visited);
+    } else if (rules.mode !== 'drop') {
+      copy[key] = rules.mask;
+    }
+  });
+
+  visited.delete(value);
+  return copy;
+}
+
+function matches(rules, path) {
+  let key = path[path.length - 1];
+  return (
+    rules.keys.some(regexp => regexp.test(key)) ||
+    rules.paths.some(pattern => matchSegments(pattern, path))
+  );
+}
+
+function matchSegments(pattern, path) {
+  if (!pattern.length) {
+    return !path.length;
+  }
+  if (pattern[0] === '**') {
+    return (
+      matchSegments(pattern.slice(1), path) ||
+      (path.length > 0 && matchSegments(pattern, path.slice(1)))
+    );
+  }
+  return (
+    path.length > 0 &&
+    pattern[0].test(path[0]) &&
+    matchSegments(pattern.slice(1), path.slice(1))
+  );
+}
+
+// `*token*` -> /^.*token.*$/
+function globToRegExp(glob, flags) {
+  return new RegExp(
+    `^${String(glob)
+      .split('*')
+      .map(_.escapeRegExp)
+      .join('.*')}$`,
+    flags
+  );
+}
+
+module.exports = {
+  redactError: redactError
+};
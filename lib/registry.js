@@ -0,0 +1,130 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Registry of error classes, identified by a unique and stable machine code
+ * as `USER.NOT_FOUND`, and by their (namespaced) name
+ */
+class Registry {
+  constructor() {
+    this.byCode = new Map();
+    this.byName = new Map();
+  }
+
+  /**
+   * Registers an error class with the provided code, or with the one
+   * declared by the class in its static `code` property
+   *
+   * @param {class} ErrorClass The error class
+   * @param {String} [code] The error code
+   * @returns {class} The error class
+   */
+  register(ErrorClass, code) {
+    if (!_.isFunction(ErrorClass)) {
+      throw new TypeError('Expected an error class');
+    }
+
+    code = code || ErrorClass.code;
+    if (!code || !_.isString(code)) {
+      throw new TypeError(`No error code provided for ${ErrorClass.name}`);
+    }
+
+    let registered = this.byCode.get(code);
+    if (registered === ErrorClass) {
+      return ErrorClass;
+    }
+    if (registered) {
+      throw new Error(
+        `Error code "${code}" is already registered by ${getName(registered)}`
+      );
+    }
+
+    if (ErrorClass.code !== code) {
+      Object.defineProperty(ErrorClass, 'code', {
+        configurable: true,
+        value: code
+      });
+    }
+
+    this.byCode.set(code, ErrorClass);
+    let name = getName(ErrorClass);
+    if (!this.byName.has(name)) {
+      this.byName.set(name, ErrorClass);
+    }
+    return ErrorClass;
+  }
+
+  /**
+   * Gets the error class registered with the provided code or name
+   *
+   * @param {String} codeOrName The error code, or the (namespaced) class name
+   * @returns {class|undefined}
+   */
+  get(codeOrName) {
+    return this.byCode.get(codeOrName) || this.byName.get(codeOrName);
+  }
+
+  /**
+   * Gets the registered error classes
+   *
+   * @returns {class[]}
+   */
+  list() {
+    return Array.from(this.byCode.values());
+  }
+
+  /**
+   * Removes the error class registered with the provided code
+   *
+   * @param {String} code The error code
+   * @returns {Boolean} Whether the code was registered
+   */
+  unregister(code) {
+    let ErrorClass = this.byCode.get(code);
+    if (!ErrorClass) {
+      return false;
+    }
+
+    this.byCode.delete(code);
+    let name = getName(ErrorClass);
+    if (this.byName.get(name) === ErrorClass) {
+      this.byName.delete(name);
+    }
+    return true;
+  }
+
+  /**
+   * Removes all the registered error classes
+   */
+  clear() {
+    this.byCode.clear();
+    this.byName.clear();
+  }
+}
+
+// The name its instances will have: Namespace.ClassName
+function getName(ErrorClass) {
+  return ErrorClass.namespace
+    ? `${ErrorClass.namespace}.${ErrorClass.name}`
+    : ErrorClass.name;
+}
+
+module.exports = Registry;
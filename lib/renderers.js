@@ -0,0 +1,191 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+// A valid XML element name, for the payload keys
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+/**
+ * Renderers used by `Therror.HTTP` errors to generate the response bodies
+ *
+ * A renderer is a function that receives the error, already redacted, and the
+ * payload options, as the `locale`, and returns the body string. They rely on
+ * the error `toPayload()`, `toProblem()` and `getPayload*()` methods, so they
+ * hide the details of the errors with `statusCode >= 500` the same way
+ */
+
+/**
+ * Renders the `toPayload()` object
+ *
+ * @param {Therror} err The HTTP error
+ * @param {Object} [opts] The payload options
+ * @returns {String}
+ */
+function json(err, opts) {
+  return JSON.stringify(err.toPayload(opts));
+}
+
+/**
+ * Renders the `toProblem()` Problem Details object
+ *
+ * @param {Therror} err The HTTP error
+ * @param {Object} [opts] The payload options
+ * @returns {String}
+ */
+function problem(err, opts) {
+  return JSON.stringify(err.toProblem(opts));
+}
+
+/**
+ * Renders the error as `NotFound: The user Sarah does not exists`
+ *
+ * @param {Therror} err The HTTP error
+ * @param {Object} [opts] The payload options
+ * @returns {String}
+ */
+function text(err, opts) {
+  return `${err.getPayloadErrorName()}: ${err.getPayloadMessage(opts)}`;
+}
+
+/**
+ * Renders a minimal HTML error page, with the status text as title
+ *
+ * @param {Therror} err The HTTP error
+ * @param {Object} [opts] The payload options
+ * @returns {String}
+ */
+function html(err, opts) {
+  let details = err.toProblem(opts);
+  let title = _.escape(details.title);
+  return (
+    '<!DOCTYPE html>' +
+    '<html><head><meta charset="utf-8">' +
+    `<title>${details.status} ${title}</title></head>` +
+    `<body><h1>${title}</h1><p>${_.escape(details.detail)}</p></body></html>`
+  );
+}
+
+/**
+ * Renders the `toPayload()` object as an `<error>` XML document. The array
+ * items are rendered as `<item>` elements
+ *
+ * @param {Therror} err The HTTP error
+ * @param {Object} [opts] The payload options
+ * @returns {String}
+ */
+function xml(err, opts) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+    toXML('error', err.toPayload(opts))
+  );
+}
+
+function toXML(name, value) {
+  if (_.isNil(value)) {
+    return `<${name}/>`;
+  }
+  let content;
+  if (_.isArray(value)) {
+    content = value.map(item => toXML('item', item)).join('');
+  } else if (_.isPlainObject(value)) {
+    content = Object.keys(value)
+      .filter(key => XML_NAME.test(key))
+      .map(key => toXML(key, value[key]))
+      .join('');
+  } else {
+    content = _.escape(value);
+  }
+  return `<${name}>${content}</${name}>`;
+}
+
+/**
+ * Gets the media type of the `Accept` header value preferred among the
+ * provided ones, by quality, specificity and order. The first one is returned
+ * when there is no `Accept` header, and undefined when none is acceptable
+ *
+ * @param {String} accept The header value, as `text/html,application/xml;q=0.9,*\/*;q=0.8`
+ * @param {String[]} types The available media types, by priority
+ * @returns {String|undefined}
+ */
+function negotiate(accept, types) {
+  if (!accept) {
+    return types[0];
+  }
+  let ranges = String(accept)
+    .split(',')
+    .map((range, index) => {
+      let params = range.trim().split(';');
+      let type = params[0].trim().toLowerCase();
+      let quality = params
+        .slice(1)
+        .map(param => param.trim().split('='))
+        .filter(param => param[0] === 'q')
+        .map(param => parseFloat(param[1]))[0];
+      return {
+        type: type,
+        quality: _.isUndefined(quality) ? 1 : quality,
+        specificity: type === '*/*' ? 0 : _.endsWith(type, '/*') ? 1 : 2,
+        index: index
+      };
+    })
+    .filter(range => range.type);
+
+  // the types explicitly refused (q=0) can not be matched by a wildcard
+  let refused = ranges
+    .filter(range => range.quality <= 0 && range.specificity === 2)
+    .map(range => range.type);
+
+  let sorted = _.orderBy(
+    ranges.filter(range => range.quality > 0),
+    ['quality', 'specificity', 'index'],
+    ['desc', 'desc', 'asc']
+  );
+  for (let i = 0; i < sorted.length; i++) {
+    let found = _.find(
+      types,
+      type =>
+        !refused.includes(type.toLowerCase()) && matches(sorted[i].type, type)
+    );
+    if (found) {
+      return found;
+    }
+  }
+  return undefined;
+}
+
+// text/* matches text/html
+function matches(range, type) {
+  if (range === '*/*') {
+    return true;
+  }
+  if (_.endsWith(range, '/*')) {
+    return _.startsWith(type.toLowerCase(), range.slice(0, -1));
+  }
+  return range === type.toLowerCase();
+}
+
+module.exports = {
+  json: json,
+  problem: problem,
+  text: text,
+  html: html,
+  xml: xml,
+  negotiate: negotiate
+};
@@ -0,0 +1,264 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash'),
+  serializeError = require('serr'),
+  Therror = require('./therror'),
+  transports = require('./transports');
+
+const DEFAULTS = {
+  events: ['create'],
+  scope: undefined,
+  sampleRate: 1,
+  beforeSend: [],
+  batchSize: 50,
+  maxQueueSize: 1000,
+  flushInterval: 5000,
+  flushOnExit: true,
+  retry: { attempts: 3 },
+  onError: undefined
+};
+
+// Gets the Serializable JSON of the errors which are not Serializable
+const SerializableTherror = Therror.Serializable();
+
+/**
+ * Sends the errors to a collector through one or more transports. The errors
+ * of the subscribed events (`create` by default) are sampled and queued, to
+ * be sent in batches every `flushInterval`, when a batch is full, and before
+ * the process exits, serialized as `Therror.Serializable` JSON and passed
+ * through the `beforeSend` hooks
+ *
+ * The queue is bounded: the errors reported while it is full are dropped, and
+ * counted in `dropped`. The failed batches are retried with `Therror.retry()`,
+ * and reported to `onError`, or as a process warning, when they can not be sent
+ *
+ * @example
+ * ```js
+ * const reporter = new Therror.Reporter({
+ *   transports: [Therror.Reporter.transports.http('https://collector.example.com/errors')],
+ *   sampleRate: 0.5,
+ *   beforeSend: json => (json.statusCode < 500 ? null : json)
+ * });
+ * ```
+ */
+class Reporter {
+  /**
+   * @param {Object} opts The options
+   * @param {Object[]|Function[]} opts.transports The transports, or functions receiving the batch and returning a promise
+   * @param {String[]} [opts.events] The Therror events whose errors are reported. Defaults to `['create']`
+   * @param {class|Object} [opts.scope] The scope of the events listeners, see `Therror.on()`
+   * @param {Number|Function} [opts.sampleRate] The ratio of errors to report, or `err => ratio`. Defaults to 1
+   * @param {Function|Function[]} [opts.beforeSend] `(json, err) => json`, return a falsy value to discard the error
+   * @param {Integer} [opts.batchSize] The max errors sent at once. Defaults to 50
+   * @param {Integer} [opts.maxQueueSize] The max errors waiting to be sent. Defaults to 1000
+   * @param {Number} [opts.flushInterval] The ms between flushes. Defaults to 5000, 0 disables the timer
+   * @param {Boolean} [opts.flushOnExit] Whether to flush the errors before the process exits. Defaults to true
+   * @param {Object} [opts.retry] The `Therror.retry()` options to send each batch. Defaults to 3 attempts
+   * @param {Function} [opts.onError] `(err, batch) => {}`, called when a batch can not be sent, or an error serialized
+   */
+  constructor(opts) {
+    this.opts = Object.assign({}, DEFAULTS, opts);
+    this.transports = _.castArray(this.opts.transports || []).map(transport =>
+      _.isFunction(transport) ? { send: transport } : transport
+    );
+    if (
+      !this.transports.length ||
+      !this.transports.every(transport => _.isFunction(transport.send))
+    ) {
+      throw new TypeError('Expected at least one transport with a send method');
+    }
+
+    this.queue = [];
+    this.dropped = 0;
+    this.reported = new WeakSet();
+    this.sending = Promise.resolve();
+
+    this.listener = err => {
+      this.report(err);
+    };
+    this.opts.events.forEach(ev =>
+      _.isUndefined(this.opts.scope)
+        ? Therror.on(ev, this.listener)
+        : Therror.on(ev, this.opts.scope, this.listener)
+    );
+
+    if (this.opts.flushInterval > 0) {
+      this.timer = setInterval(() => this.flush(), this.opts.flushInterval);
+      if (_.isFunction(this.timer.unref)) {
+        this.timer.unref();
+      }
+    }
+
+    if (this.opts.flushOnExit) {
+      this.onBeforeExit = () => this.flush();
+      // only the synchronous transports can send after the event loop ends
+      this.onExit = () => this.flushSync();
+      process.on('beforeExit', this.onBeforeExit);
+      process.on('exit', this.onExit);
+    }
+  }
+
+  /**
+   * Queues the error to be sent, unless it is sampled out, already reported
+   * or the queue is full. The errors are serialized, and passed through the
+   * `beforeSend` hooks, when sending them, once they are fully built
+   *
+   * @param {*} err The error
+   * @returns {Boolean} Whether it was queued
+   */
+  report(err) {
+    if (_.isObject(err)) {
+      if (this.reported.has(err)) {
+        return false;
+      }
+      this.reported.add(err);
+    }
+
+    let sampleRate = _.isFunction(this.opts.sampleRate)
+      ? this.opts.sampleRate(err)
+      : this.opts.sampleRate;
+    if (!(Math.random() < sampleRate)) {
+      return false;
+    }
+
+    if (this.queue.length >= this.opts.maxQueueSize) {
+      this.dropped++;
+      return false;
+    }
+    this.queue.push(err);
+    if (this.queue.length >= this.opts.batchSize) {
+      this.flush();
+    }
+    return true;
+  }
+
+  /**
+   * Sends all the queued errors, in batches
+   *
+   * @returns {Promise} Resolved when they have been sent, or have failed
+   */
+  flush() {
+    let batches = _.chunk(this.prepare(), this.opts.batchSize);
+    this.sending = batches.reduce(
+      (sending, batch) =>
+        sending
+          .then(() => this.send(batch))
+          .catch(err => this.fail(err, batch)),
+      this.sending
+    );
+    return this.sending;
+  }
+
+  /**
+   * Sends all the queued errors through the transports with a `sendSync`
+   * method, as the asynchronous ones can not be used on the process exit
+   */
+  flushSync() {
+    let batch = this.prepare();
+    if (!batch.length) {
+      return;
+    }
+    this.transports
+      .filter(transport => _.isFunction(transport.sendSync))
+      .forEach(transport => {
+        try {
+          transport.sendSync(batch);
+        } catch (err) {
+          this.fail(err, batch);
+        }
+      });
+  }
+
+  /**
+   * Stops reporting the errors, and sends the queued ones
+   *
+   * @returns {Promise}
+   */
+  close() {
+    this.opts.events.forEach(ev => Therror.off(ev, this.listener));
+    clearInterval(this.timer);
+    if (this.onBeforeExit) {
+      process.removeListener('beforeExit', this.onBeforeExit);
+      process.removeListener('exit', this.onExit);
+    }
+    return this.flush();
+  }
+
+  // Serializes the queued errors, discarding the ones rejected by the hooks
+  // and the ones failing to be serialized, which are reported as `[err]`
+  prepare() {
+    return this.queue
+      .splice(0)
+      .map(err => {
+        try {
+          return _.castArray(this.opts.beforeSend).reduce(
+            (json, hook) => json && hook(json, err),
+            toJSON(err)
+          );
+        } catch (failure) {
+          this.fail(failure, [err]);
+          return undefined;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  send(batch) {
+    return Promise.all(
+      this.transports.map(transport =>
+        Therror.retry(() => transport.send(batch), this.opts.retry).catch(err =>
+          this.fail(err, batch)
+        )
+      )
+    );
+  }
+
+  // Never throws, as it runs in the timers and the process exit listeners
+  fail(err, batch) {
+    if (_.isFunction(this.opts.onError)) {
+      try {
+        this.opts.onError(err, batch);
+        return;
+      } catch (onErrorFailure) {
+        err = onErrorFailure;
+      }
+    }
+    process.emitWarning(
+      _.isError(err) ? err : String(err),
+      'TherrorReporterWarning'
+    );
+  }
+}
+
+// The built-in transports
+Reporter.transports = transports;
+
+// The Therror.Serializable JSON of any error
+function toJSON(err) {
+  if (_.isObject(err) && _.isFunction(err.toJSON)) {
+    return err.toJSON();
+  }
+  if (_.isObject(err) && err.isTherror) {
+    return SerializableTherror.prototype.toJSON.call(err);
+  }
+  return serializeError(err).toObject();
+}
+
+module.exports = Reporter;
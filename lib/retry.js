@@ -0,0 +1,135 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+const DEFAULTS = {
+  attempts: 3,
+  initialDelay: 100,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true
+};
+
+/**
+ * Runs the function until it succeeds, while it fails with retryable errors
+ * and there are attempts left, waiting an exponential (and jittered) backoff
+ * delay between attempts. The `retryAfter` and `backoff` hints of the errors
+ * override the delay and the backoff options
+ *
+ * @param {Function} fn The function to run, receiving the attempt number and the signal
+ * @param {Object} opts The retry options
+ * @param {Function} getHints Gets the retry hints of an error: `{retryable, retryAfter, backoff}`
+ * @returns {Promise}
+ */
+function retry(fn, opts, getHints) {
+  if (!_.isFunction(fn)) {
+    throw new TypeError('Expected a function to retry');
+  }
+  opts = Object.assign({}, DEFAULTS, opts);
+  if (!(opts.attempts >= 1)) {
+    throw new TypeError('Expected attempts to be a positive number');
+  }
+
+  let signal = opts.signal;
+
+  return new Promise((resolve, reject) => {
+    let attempt = 0;
+    run();
+
+    function run() {
+      if (signal && signal.aborted) {
+        return reject(getAbortReason(signal));
+      }
+      attempt++;
+      Promise.resolve()
+        .then(() => fn(attempt, signal))
+        .then(resolve, err => {
+          let hints = getHints(err);
+          let retryable = _.isFunction(opts.shouldRetry)
+            ? opts.shouldRetry(err, attempt)
+            : hints.retryable;
+
+          if (!retryable || attempt >= opts.attempts) {
+            return reject(err);
+          }
+
+          let delay = getDelay(attempt, hints, opts);
+          if (_.isFunction(opts.onRetry)) {
+            opts.onRetry(err, attempt, delay);
+          }
+          wait(delay);
+        })
+        .catch(reject);
+    }
+
+    function wait(delay) {
+      if (signal && signal.aborted) {
+        return reject(getAbortReason(signal));
+      }
+
+      let timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        run();
+      }, delay);
+
+      function onAbort() {
+        clearTimeout(timer);
+        reject(getAbortReason(signal));
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+    }
+  });
+}
+
+// initialDelay * factor ^ (attempt - 1), up to maxDelay, never below retryAfter
+function getDelay(attempt, hints, opts) {
+  let backoff = Object.assign(
+    _.pick(opts, ['initialDelay', 'maxDelay', 'factor', 'jitter']),
+    hints.backoff
+  );
+  let delay = Math.min(
+    backoff.maxDelay,
+    backoff.initialDelay * Math.pow(backoff.factor, attempt - 1)
+  );
+  if (backoff.jitter) {
+    // "full jitter", spreads the retries of the clients failing at once
+    delay = Math.random() * delay;
+  }
+  if (hints.retryAfter > 0) {
+    delay = Math.max(delay, hints.retryAfter);
+  }
+  return Math.round(delay);
+}
+
+function getAbortReason(signal) {
+  if (!_.isUndefined(signal.reason)) {
+    return signal.reason;
+  }
+  let err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+module.exports = retry;
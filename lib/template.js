@@ -0,0 +1,473 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+// ${path} occurrences in a template
+const PLACEHOLDER = /\$\{([^{}]*)\}/g;
+// <%= path %> and <%- path %> occurrences in a lodash template
+const LODASH_PLACEHOLDER = /<%[=-]([\s\S]+?)%>/g;
+// user, user.name, users[0].name, errors.length...
+const PROPERTY_PATH = /^[A-Za-z_$][\w$]*(?:\.[\w$]+|\[\d+\])*$/;
+
+/**
+ * Template engines used by Therror to generate the error messages
+ *
+ * An engine is a function that receives the template source and returns a
+ * render function, which receives the data (the error instance) and returns
+ * the final string. The render function can expose the property paths the
+ * template uses in its `placeholders` property, and how a placeholder is
+ * written in the template syntax in its `literal(path)` one. It also receives
+ * the render options, as the `locale` to format the message for
+ */
+
+/**
+ * Safe template engine. Only replaces `${path}` placeholders with the value
+ * found in the data for the property path. Any other expression is left as is,
+ * so no code is ever run
+ *
+ * @example
+ * ```js
+ * interpolate('The user ${user.name} does not exists')({user: {name: 'John'}});
+ * // 'The user John does not exists'
+ * ```
+ *
+ * @param {String} source The template
+ * @returns {Function} The render function
+ */
+function interpolate(source) {
+  let parts = [];
+  let lastIndex = 0;
+  let match;
+
+  PLACEHOLDER.lastIndex = 0;
+  while ((match = PLACEHOLDER.exec(source))) {
+    let path = match[1].trim();
+    if (!PROPERTY_PATH.test(path)) {
+      continue;
+    }
+    parts.push(source.slice(lastIndex, match.index), { path: path });
+    lastIndex = PLACEHOLDER.lastIndex;
+  }
+  parts.push(source.slice(lastIndex));
+
+  render.placeholders = _.uniq(
+    parts.filter(part => !_.isString(part)).map(part => part.path)
+  );
+  return render;
+
+  function render(data) {
+    return parts
+      .map(part => {
+        if (_.isString(part)) {
+          return part;
+        }
+        let value = _.get(data, part.path);
+        return value == null ? '' : String(value);
+      })
+      .join('');
+  }
+}
+
+/**
+ * lodash template engine, the one Therror used by default in the past.
+ * It evaluates any javascript code in the template, so never use it with
+ * templates coming from outside your code (as error cause messages are)
+ *
+ * @param {String} source The template
+ * @returns {Function} The render function
+ */
+function lodash(source) {
+  let render = _.template(source);
+  // Only the property paths can be known without running the template
+  render.placeholders = _.uniq(
+    findPaths(source, PLACEHOLDER).concat(findPaths(source, LODASH_PLACEHOLDER))
+  );
+  return render;
+}
+
+/**
+ * ICU MessageFormat template engine. Replaces `{arg}` placeholders with the
+ * value found in the data for the property path, and supports the `plural`,
+ * `selectordinal`, `select`, `number`, `date` and `time` argument types,
+ * formatted with the `Intl` API for the locale provided to the render
+ * function. As `interpolate`, it never runs code
+ *
+ * @example
+ * ```js
+ * icu('{count, plural, one {# item is} other {# items are}} invalid')({count: 3});
+ * // '3 items are invalid'
+ * icu('Expires on {date, date, long}')({date: new Date()}, {locale: 'es'});
+ * // 'Expires on 1 de enero de 2020'
+ * ```
+ *
+ * @param {String} source The template
+ * @returns {Function} The render function
+ */
+function icu(source) {
+  let parser = { source: source, pos: 0 };
+  let parts = parseMessage(parser, false);
+  if (parser.pos < source.length) {
+    throw syntaxError(parser, 'Unexpected "}"');
+  }
+
+  render.placeholders = _.uniq(findArguments(parts));
+  render.literal = path => `{${path}}`;
+  return render;
+
+  function render(data, opts) {
+    return formatMessage(parts, data, (opts && opts.locale) || undefined);
+  }
+}
+
+const DATE_STYLES = {
+  short: { year: '2-digit', month: 'numeric', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: 'numeric' },
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  full: { year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' }
+};
+
+const TIME_STYLES = {
+  short: { hour: 'numeric', minute: 'numeric' },
+  medium: { hour: 'numeric', minute: 'numeric', second: 'numeric' },
+  long: {
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    timeZoneName: 'short'
+  },
+  full: {
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    timeZoneName: 'short'
+  }
+};
+
+const NUMBER_STYLES = {
+  '': {},
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: 'percent' }
+};
+
+// Quotes the syntax characters in ICU messages
+const APOSTROPHE = '\u0027';
+
+// Intl formatters are expensive to create, reuse them by locale and options
+const formatters = new Map();
+// The locales come from the clients, keep only the last formatters used
+const MAX_FORMATTERS = 200;
+
+// message := (text | '#' | argument)*
+function parseMessage(parser, inPlural) {
+  let parts = [];
+  let text = '';
+  let source = parser.source;
+
+  while (parser.pos < source.length) {
+    let char = source[parser.pos];
+    if (char === '}') {
+      break;
+    }
+    if (char === '{') {
+      parts.push(text, parseArgument(parser));
+      text = '';
+    } else if (char === '#' && inPlural) {
+      parts.push(text, { type: 'number-sign' });
+      text = '';
+      parser.pos++;
+    } else if (char === APOSTROPHE) {
+      text += parseQuoted(parser, inPlural);
+    } else {
+      text += char;
+      parser.pos++;
+    }
+  }
+  parts.push(text);
+  return parts.filter(part => part !== '');
+}
+
+// '' is an apostrophe, and '{...}' quotes the syntax characters
+function parseQuoted(parser, inPlural) {
+  let source = parser.source;
+  let next = source[parser.pos + 1];
+
+  if (next === APOSTROPHE) {
+    parser.pos += 2;
+    return APOSTROPHE;
+  }
+  if (next !== '{' && next !== '}' && !(next === '#' && inPlural)) {
+    parser.pos++;
+    return APOSTROPHE;
+  }
+
+  let text = '';
+  parser.pos++;
+  while (parser.pos < source.length) {
+    if (source[parser.pos] === APOSTROPHE) {
+      if (source[parser.pos + 1] !== APOSTROPHE) {
+        parser.pos++;
+        return text;
+      }
+      parser.pos++;
+    }
+    text += source[parser.pos];
+    parser.pos++;
+  }
+  return text;
+}
+
+// argument := '{' name [',' type [',' style | options]] '}'
+function parseArgument(parser) {
+  parser.pos++;
+  let name = parseToken(parser, /[^\s,{}]/);
+  if (!name) {
+    throw syntaxError(parser, 'Expected an argument name');
+  }
+
+  if (consume(parser, '}')) {
+    return { type: 'argument', name: name };
+  }
+  expect(parser, ',');
+
+  let type = parseToken(parser, /\w/);
+  if (consume(parser, '}')) {
+    return parseSimpleArgument(parser, name, type, '');
+  }
+  expect(parser, ',');
+
+  if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+    return parseComplexArgument(parser, name, type);
+  }
+
+  let style = '';
+  while (
+    parser.pos < parser.source.length &&
+    parser.source[parser.pos] !== '}'
+  ) {
+    style += parser.source[parser.pos];
+    parser.pos++;
+  }
+  expect(parser, '}');
+  return parseSimpleArgument(parser, name, type, style.trim());
+}
+
+function parseSimpleArgument(parser, name, type, style) {
+  let styles = {
+    number: NUMBER_STYLES,
+    date: DATE_STYLES,
+    time: TIME_STYLES
+  }[type];
+
+  if (!styles) {
+    throw syntaxError(parser, `Unknown argument type "${type}"`);
+  }
+  if (type !== 'number' && !style) {
+    style = 'medium';
+  }
+  if (!_.has(styles, style)) {
+    throw syntaxError(parser, `Unknown ${type} style "${style}"`);
+  }
+  return { type: type, name: name, options: styles[style] };
+}
+
+// options := [offset:n] (selector '{' message '}')+
+function parseComplexArgument(parser, name, type) {
+  let argument = { type: type, name: name, offset: 0, options: {} };
+
+  skipSpaces(parser);
+  if (type === 'plural' && parser.source.startsWith('offset:', parser.pos)) {
+    parser.pos += 'offset:'.length;
+    argument.offset = Number(parseToken(parser, /\d/));
+  }
+
+  while (!consume(parser, '}')) {
+    let selector = parseToken(parser, /[^\s{}]/);
+    if (!selector) {
+      throw syntaxError(parser, `Expected a ${type} selector`);
+    }
+    expect(parser, '{');
+    argument.options[selector] = parseMessage(parser, type !== 'select');
+    expect(parser, '}');
+  }
+
+  if (!argument.options.other) {
+    throw syntaxError(parser, `Missing the "other" option of the ${type}`);
+  }
+  return argument;
+}
+
+function parseToken(parser, regexp) {
+  skipSpaces(parser);
+  let start = parser.pos;
+  while (
+    parser.pos < parser.source.length &&
+    regexp.test(parser.source[parser.pos])
+  ) {
+    parser.pos++;
+  }
+  return parser.source.slice(start, parser.pos);
+}
+
+function skipSpaces(parser) {
+  while (/\s/.test(parser.source[parser.pos] || '')) {
+    parser.pos++;
+  }
+}
+
+function consume(parser, char) {
+  skipSpaces(parser);
+  if (parser.source[parser.pos] === char) {
+    parser.pos++;
+    return true;
+  }
+  return false;
+}
+
+function expect(parser, char) {
+  if (!consume(parser, char)) {
+    throw syntaxError(parser, `Expected "${char}"`);
+  }
+}
+
+function syntaxError(parser, msg) {
+  return new SyntaxError(
+    `${msg} at position ${parser.pos} of the message "${parser.source}"`
+  );
+}
+
+function findArguments(parts) {
+  return _.flatMap(parts, part => {
+    if (_.isString(part) || part.type === 'number-sign') {
+      return [];
+    }
+    return [part.name].concat(
+      _.flatMap(_.values(part.options), option =>
+        _.isArray(option) ? findArguments(option) : []
+      )
+    );
+  });
+}
+
+function formatMessage(parts, data, locale, number) {
+  return parts
+    .map(part => {
+      if (_.isString(part)) {
+        return part;
+      }
+      if (part.type === 'number-sign') {
+        return formatter('NumberFormat', locale, {}).format(number);
+      }
+
+      let value = _.get(data, part.name);
+      switch (part.type) {
+        case 'plural':
+        case 'selectordinal': {
+          value = Number(value);
+          let option =
+            part.options[`=${value}`] ||
+            part.options[
+              formatter('PluralRules', locale, {
+                type: part.type === 'plural' ? 'cardinal' : 'ordinal'
+              }).select(value - part.offset)
+            ] ||
+            part.options.other;
+          return formatMessage(option, data, locale, value - part.offset);
+        }
+        case 'select':
+          return formatMessage(
+            part.options[String(value)] || part.options.other,
+            data,
+            locale,
+            number
+          );
+        case 'number':
+          return value == null
+            ? ''
+            : formatter('NumberFormat', locale, part.options).format(value);
+        case 'date':
+        case 'time':
+          return value == null
+            ? ''
+            : formatter('DateTimeFormat', locale, part.options).format(
+                new Date(value)
+              );
+        default:
+          if (value == null) {
+            return '';
+          }
+          return _.isNumber(value)
+            ? formatter('NumberFormat', locale, {}).format(value)
+            : String(value);
+      }
+    })
+    .join('');
+}
+
+function formatter(type, locale, options) {
+  locale = getCanonicalLocale(locale);
+  let key = `${type}|${locale || ''}|${JSON.stringify(options)}`;
+  let instance = formatters.get(key);
+  if (instance) {
+    // the most recently used go last
+    formatters.delete(key);
+  } else {
+    if (!Intl[type]) {
+      throw new TypeError(`Intl.${type} is not supported by this runtime`);
+    }
+    instance = new Intl[type](locale, options);
+    if (formatters.size >= MAX_FORMATTERS) {
+      formatters.delete(formatters.keys().next().value);
+    }
+  }
+  formatters.set(key, instance);
+  return instance;
+}
+
+// The canonical locale, or undefined (the default one) for invalid locales
+function getCanonicalLocale(locale) {
+  if (!locale) {
+    return undefined;
+  }
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function findPaths(source, regexp) {
+  let paths = [];
+  let match;
+
+  regexp.lastIndex = 0;
+  while ((match = regexp.exec(source))) {
+    let path = match[1].trim();
+    if (PROPERTY_PATH.test(path)) {
+      paths.push(path);
+    }
+  }
+  return paths;
+}
+
+module.exports = {
+  interpolate: interpolate,
+  lodash: lodash,
+  icu: icu
+};
@@ -16,8 +16,57 @@
 interface Therror extends Error {
     /** Is this Error a Therror instance */
     isTherror: boolean;
-    /** Gets the error cause, as passed in the constructor */
-    cause(): any;
+    /** The machine code of the error. Defaults to the code of its class, as `USER.NOT_FOUND` */
+    code?: any;
+    /**
+     * The error cause, as passed in the constructor or in the `{cause}` options bag.
+     * Same as the native `new Error(message, {cause})`
+     */
+    cause?: any;
+    /** A snapshot of the context active when the error was created, see `Therror.context` */
+    context?: any;
+    /**
+     * Iterates over the cause chain: the cause of this error, the cause of its cause...
+     * Supports native errors, Therrors and non Error causes, stopping on cycles
+     * @example
+     * ```js
+     * let err = new Therror(new Error('ENOENT', {cause: 'disk'}), 'Not found');
+     * Array.from(err.causes()); // [[Error: ENOENT], 'disk']
+     * ```
+     */
+    causes(): IterableIterator<any>;
+    /** Gets the last cause in the cause chain, undefined when there is no cause */
+    rootCause(): any;
+    /**
+     * Finds the first cause in the cause chain that is an instance of the provided class,
+     * has the provided name or matches the predicate
+     * @example
+     * ```js
+     * let err = new Therror(new TypeError('Invalid id'), 'Not found');
+     * err.findCause(TypeError); // [TypeError: Invalid id]
+     * ```
+     */
+    findCause<T>(errorClass: new(...args: any[]) => T): T | undefined;
+    findCause(predicate: string | ((cause: any) => boolean)): any;
+    /**
+     * Checks whether any cause in the cause chain is an instance of the provided class,
+     * has the provided name or matches the predicate
+     */
+    hasCause(predicate: (new(...args: any[]) => any) | string | ((cause: any) => boolean)): boolean;
+    /**
+     * Gets a stable SHA-1 hex hash identifying the kind of error, to group and deduplicate the errors:
+     * the same for all the instances of a class created at the same place, whatever their properties
+     * @example
+     * ```js
+     * new UserNotFound({ user: 'John' }).fingerprint({ causes: true });
+     * ```
+     */
+    fingerprint(opts?: FingerprintOptions): string;
+    /**
+     * Gets the values hashed by `fingerprint()`: the name, the namespace, the raw message template,
+     * the status code and the normalized top stack frames. Override it to customize the grouping
+     */
+    getFingerprintParts(opts: FingerprintOptions): any[];
     /**
      * This is for i18n support. Generates a message based on the provided argument
      * with the error properties replaced.
@@ -34,10 +83,333 @@ interface Therror extends Error {
      * message === 'Mis socks blue';
      * ```
      */
-    parse(tpl: string): string;
+    parse(tpl: string, opts?: RenderOptions): string;
+}
+
+/** Static members of all Therror classes */
+export interface TherrorClassStatics {
+    /**
+     * Gets the property paths used by the message template of the class, or by the provided one
+     * @example
+     * ```js
+     * class UserNotFound extends Therror.WithMessage('The user ${user.name} does not exists') {}
+     * UserNotFound.placeholders(); // ['user.name']
+     * ```
+     */
+    placeholders(tpl?: string): string[];
+    /** The message template shared by all the instances of the class, if any */
+    readonly messageTemplate: string | undefined;
+    /** The stable machine code identifying the class, as `USER.NOT_FOUND`, if any */
+    readonly code?: string;
+    /** The namespace of the class, for `Therror.Namespaced` ones */
+    readonly namespace?: string;
+    /**
+     * The template engine used by the instances of the class, instead of the global one. Read once per class
+     * @example
+     * ```js
+     * class InvalidItems extends Therror.WithMessage('{count, plural, one {# item is} other {# items are}} invalid') {
+     *   static get templateEngine() {
+     *     return 'icu';
+     *   }
+     * }
+     * ```
+     */
+    readonly templateEngine?: TemplateEngineName | TemplateEngine;
+}
+
+/** Messages of a locale, keyed by error code or (namespaced) name */
+export interface Catalog {
+    [key: string]: any;
+    /** The HTTP status texts, keyed by status code */
+    STATUS_CODES?: { [statusCode: string]: string };
+}
+
+/** Per locale message catalogs */
+export interface Catalogs {
+    defaultLocale: string | undefined;
+    register(locale: string, catalog: Catalog): void;
+    /** Removes all the catalogs */
+    clear(): void;
+    /** Gets the locales to look up for the provided one: `es-AR`, `es`, default locale */
+    fallbacks(locale: string): string[];
+    /** Gets the first message found for the keys in the catalogs of the locale and its fallbacks */
+    message(locale: string, keys: Array<string | undefined>): string | undefined;
+    /** Gets the translated HTTP status text */
+    statusText(locale: string, statusCode: number): string | undefined;
+    /** Gets the preferred locale of an `Accept-Language` header among the ones having catalogs */
+    negotiate(acceptLanguage: string): string | undefined;
+}
+
+/** Registry of error classes, identified by an unique code and by their (namespaced) name */
+export interface Registry {
+    /**
+     * Registers an error class with the provided code, or with the one declared by the class
+     * Fails when the code is already registered by another class
+     */
+    register<T extends Function>(errorClass: T, code?: string): T;
+    /** Gets the error class registered with the provided code or (namespaced) class name */
+    get(codeOrName: string): TherrorConstructor<Therror> | undefined;
+    /** Gets the registered error classes */
+    list(): Array<TherrorConstructor<Therror>>;
+    /** Removes the error class registered with the provided code */
+    unregister(code: string): boolean;
+    /** Removes all the registered error classes */
+    clear(): void;
+}
+
+/** Labels of the error counters */
+export interface MetricLabels {
+    name: string;
+    /** Empty when the error is not namespaced */
+    namespace: string;
+    /** Empty when the error is not an HTTP one */
+    statusCode: number | '';
+    /** Empty when the error is not loggable */
+    level: string;
+}
+
+/** Histogram of the cause chain length of the errors of a name */
+export interface CauseDepthHistogram {
+    name: string;
+    /** Cumulative counts, by upper bound */
+    buckets: Array<{ le: number | '+Inf'; count: number }>;
+    sum: number;
+    count: number;
+}
+
+/** The current values of the error metrics */
+export interface MetricsSnapshot {
+    created: Array<MetricLabels & { value: number }>;
+    logged: Array<MetricLabels & { value: number }>;
+    causeDepth: CauseDepthHistogram[];
+}
+
+/**
+ * In-process metrics of the errors created by `Therror.Notificator` and `Therror.HTTP` classes, and logged by
+ * `Therror.Loggable` ones, by name, namespace, status code and log level
+ */
+export interface Metrics {
+    /**
+     * Whether to record the metrics
+     * @default true
+     */
+    enabled: boolean;
+    /**
+     * Whether to record the histogram of the cause chain length of the errors created, by name
+     * @default false
+     */
+    histograms: boolean;
+    /**
+     * The upper bounds of the histogram buckets
+     * @default [0, 1, 2, 3, 5, 10]
+     */
+    buckets: number[];
+    /** The media type of the Prometheus text exposition format */
+    readonly CONTENT_TYPE: string;
+    /** Counts a created error, once it is fully built. Each error is counted once */
+    recordCreated(err: any): void;
+    /** Counts a logged error */
+    recordLogged(err: any): void;
+    /** Gets the current values of the metrics */
+    snapshot(): MetricsSnapshot;
+    /**
+     * Gets the metrics in the Prometheus text exposition format
+     * @example
+     * ```js
+     * app.get('/metrics', (req, res) => res.type(Therror.metrics.CONTENT_TYPE).send(Therror.metrics.toPrometheus()));
+     * ```
+     */
+    toPrometheus(): string;
+    /** Sets all the metrics to zero */
+    reset(): void;
+}
+
+/** Sends the batches of serialized errors of a `Therror.Reporter` */
+export interface Transport {
+    send(batch: any[]): Promise<any>;
+    /** Used to send the errors on the process exit */
+    sendSync?(batch: any[]): any;
+}
+
+export interface ReporterOptions {
+    /** The transports, or functions receiving the batch and returning a promise */
+    transports: Array<Transport | ((batch: any[]) => Promise<any>)>;
+    /**
+     * The Therror events whose errors are reported
+     * @default ['create']
+     */
+    events?: Event[];
+    /** The scope of the events listeners */
+    scope?: EventScope;
+    /**
+     * The ratio of errors to report
+     * @default 1
+     */
+    sampleRate?: number | ((err: any) => number);
+    /** Transform the serialized errors, return a falsy value to discard them */
+    beforeSend?: BeforeSend | BeforeSend[];
+    /** @default 50 */
+    batchSize?: number;
+    /** @default 1000 */
+    maxQueueSize?: number;
+    /**
+     * The ms between flushes, 0 disables the timer
+     * @default 5000
+     */
+    flushInterval?: number;
+    /** @default true */
+    flushOnExit?: boolean;
+    /**
+     * The `Therror.retry()` options to send each batch
+     * @default {attempts: 3}
+     */
+    retry?: RetryOptions;
+    /** Called when a batch can not be sent. Defaults to emit a process warning */
+    onError?: (err: any, batch: any[]) => any;
+}
+
+/**
+ * Sends the errors to a collector, sampled, in batches, and through the `beforeSend` hooks
+ * @example
+ * ```js
+ * const reporter = new Therror.Reporter({
+ *   transports: [Therror.Reporter.transports.http('https://collector.example.com/errors')],
+ *   sampleRate: 0.5
+ * });
+ * ```
+ */
+export interface Reporter {
+    /** The errors dropped because the queue was full */
+    dropped: number;
+    /** Queues an error to be sent. Returns whether it was queued */
+    report(err: any): boolean;
+    /** Sends the queued errors */
+    flush(): Promise<any>;
+    /** Sends the queued errors through the synchronous transports */
+    flushSync(): void;
+    /** Stops reporting the errors, and sends the queued ones */
+    close(): Promise<any>;
+}
+
+export interface ReporterConstructor {
+    new (opts: ReporterOptions): Reporter;
+    /** The built-in transports */
+    transports: {
+        /** Appends the errors to a file, one JSON per line */
+        ndjson(file: string): Transport;
+        /** Writes the errors to the standard output, one JSON per line */
+        stdout(opts?: { stream?: NodeJS.WritableStream }): Transport;
+        /** POSTs the errors to an endpoint, as a JSON array */
+        http(endpoint: string, opts?: { headers?: { [header: string]: string }; timeout?: number }): Transport;
+    };
+}
+
+/**
+ * The context of the errors, propagated through the async calls with `AsyncLocalStorage`
+ * @example
+ * ```js
+ * app.use((req, res, next) => Therror.context.run({ requestId: req.id }, next));
+ * ```
+ */
+export interface ErrorContext {
+    /**
+     * Whether to capture the context in the errors
+     * @default true
+     */
+    enabled: boolean;
+    /**
+     * The context keys added to the payloads, true for all of them
+     * @default false
+     */
+    exposed: boolean | string[];
+    /** Runs the function with the context, added to the enclosing one */
+    run<R>(ctx: { [key: string]: any }, fn: () => R): R;
+    /** Gets the active context, undefined outside of `run()` */
+    get(): { [key: string]: any } | undefined;
+    /** Gets a copy of the active context, undefined outside of `run()` or when disabled */
+    snapshot(): { [key: string]: any } | undefined;
+    /** Gets the context values exposed in the payloads */
+    getExposed(ctx: any): { [key: string]: any } | undefined;
+}
+
+/** The span methods used to record the errors, as in an OpenTelemetry `Span` */
+export interface Span {
+    addEvent(name: string, attributes?: { [key: string]: any }): any;
+    setStatus?(status: { code: number; message?: string }): any;
+    isRecording?(): boolean;
+}
+
+/** The classes to document: error classes, modules exporting them, or arrays of both */
+export type DocsSource = Function | { [key: string]: any } | any[];
+
+/** The OpenAPI 3 components describing the error responses */
+export interface OpenAPIComponents {
+    components: {
+        responses: { [name: string]: any };
+        schemas: { [name: string]: any };
+    };
+}
+
+export interface MarkdownOptions {
+    /** The document title. Defaults to `Errors` */
+    title?: string;
+}
+
+export interface Docs {
+    /** Gets the HTTP classes of the source. Defaults to the classes of `Therror.registry` */
+    collect(source?: DocsSource): Function[];
+    /**
+     * Gets the OpenAPI 3 responses and payload schemas of the classes, named after the (namespaced) error name
+     * @example
+     * ```js
+     * Therror.docs.toOpenAPI(require('./errors')).components.responses['User.UserNotFound'];
+     * ```
+     */
+    toOpenAPI(source?: DocsSource): OpenAPIComponents;
+    /** Gets a Markdown catalog of the classes, grouped by namespace */
+    toMarkdown(source?: DocsSource, opts?: MarkdownOptions): string;
 }
 
-export interface TherrorConstructor<T> {
+/** A tracer with an active span, as the OpenTelemetry `trace` API */
+export interface Tracer {
+    getActiveSpan(): Span | undefined;
+}
+
+export interface RecordOptions {
+    /**
+     * Whether the error escapes the span scope
+     * @default false
+     */
+    escaped?: boolean;
+    /**
+     * The span kind. The client errors (4xx) only set the status of client spans
+     * @default 'server'
+     */
+    kind?: 'server' | 'client';
+}
+
+/** A span kept in memory by a `MemoryTracer` */
+export interface MemorySpan extends Span {
+    name: string;
+    attributes: { [key: string]: any };
+    events: Array<{ name: string; attributes: { [key: string]: any } }>;
+    /** The OpenTelemetry SpanStatusCode: 0 unset, 1 ok, 2 error */
+    status: { code: number; message?: string };
+    ended: boolean;
+    setAttribute(key: string, value: any): MemorySpan;
+    end(): void;
+}
+
+/** A minimal in-memory tracer, to inspect the recorded errors without a collector */
+export interface MemoryTracer extends Tracer {
+    spans: MemorySpan[];
+    startSpan(name: string): MemorySpan;
+    /** Starts a span, active while running the function synchronously */
+    startActiveSpan<R>(name: string, fn: (span: MemorySpan) => R): R;
+    getActiveSpan(): MemorySpan | undefined;
+}
+
+export interface TherrorConstructor<T> extends TherrorClassStatics {
     /**
      * Create a Therror with the provided message
      */
@@ -64,22 +436,210 @@ export interface TherrorConstructor<T> {
      * ```js
      * let cause = new Error('validation Failed');
      * let error = new Therror(cause, '${id} invalid', { id: 12 });
-     * error.cause() === cause
+     * error.cause === cause
      * error.message === '12 invalid';
      * error.id === 12;
      * ```
      */
     new(cause?: any, message?: string, properties?: Properties): T;
+    /**
+     * Creates a Therror with the provided properties as its instance properties. The `message`
+     * and `cause` ones are used as the message template and the error cause
+     * @example
+     * ```js
+     * let error = new Therror({ message: '${id} invalid', id: 12, cause: new Error('validation Failed') });
+     * ```
+     */
+    new(properties?: Properties): T;
 }
 
 interface TherrorStatic extends TherrorConstructor<Therror> {
-    /** Subscribes to error creations for those errors that are ${link Classes.Notificable} */
-    on(eventName: Event, callback: (error: Therror) => any): any;
     /**
-     * Notifies all subscribers about a new Error
+     * Subscribes to an error lifecycle event:
+     * * `create`: A `Therror.Notificator` error has been created
+     * * `log`: A `Therror.Loggable` error has been logged, along with the level
+     * * `serialize`: A `Therror.Serializable` error has been converted to JSON, along with the JSON
+     * * `payload`: A `Therror.HTTP` payload has been generated, along with the payload
+     * * `summary`: Notifications of `Therror.Notificator` errors have been suppressed, along with the `NotificationSummary`
+     * * `listenerError`: A listener has failed, along with `{event, error}`
+     *
+     * The listeners can be scoped to the errors of a class, of a namespace or within a status code range.
+     * A listener throwing, or rejecting, does not affect the emitting code: the failure is reported in the
+     * `listenerError` event, or as a process warning when nobody listens to it
+     * @example
+     * ```js
+     * Therror.on('log', UserError, (err, level) => audit(err));
+     * Therror.on('payload', { namespace: 'Billing', statusCode: '5xx' }, (err, payload) => alert(err));
+     * ```
+     */
+    on(eventName: 'listenerError', callback: (reason: any, context: ListenerErrorContext) => any): TherrorStatic;
+    on(eventName: Event, callback: Listener): TherrorStatic;
+    on(eventName: Event, scope: EventScope, callback: Listener): TherrorStatic;
+    /** Subscribes to the next occurrence of an event, see `Therror.on()` */
+    once(eventName: 'listenerError', callback: (reason: any, context: ListenerErrorContext) => any): TherrorStatic;
+    once(eventName: Event, callback: Listener): TherrorStatic;
+    once(eventName: Event, scope: EventScope, callback: Listener): TherrorStatic;
+    /** Unsubscribes a listener from an event, or all of them when no listener is provided */
+    off(eventName: Event, callback?: (...args: any[]) => any): TherrorStatic;
+    /**
+     * Notifies the subscribers of the event about an Error
      * @protected
      */
-    emit(eventName: Event, payload: Therror): any;
+    emit(eventName: Event, payload: Therror, ...args: any[]): boolean;
+    /**
+     * Sets the template engine used to generate the messages, both from `message` and `parse(tpl)`
+     *
+     * The default `'interpolate'` engine only replaces `${path}` placeholders with the error properties,
+     * and never runs code. `'icu'` uses the ICU MessageFormat syntax, with plurals, selects and `Intl`
+     * number and date formatting. `'lodash'` uses the full lodash template syntax, which evaluates javascript,
+     * so never use it with templates coming from outside your code
+     * @example
+     * ```js
+     * Therror.setTemplateEngine('icu');
+     * Therror.setTemplateEngine(tpl => data => i18n(tpl, data));
+     * ```
+     */
+    setTemplateEngine(engine: TemplateEngineName | TemplateEngine): void;
+    /**
+     * The max number of compiled templates kept in memory. Templates are compiled the first time
+     * a message is read, and cached by their source. `0` disables the cache
+     * @default 1000
+     */
+    templateCacheSize: number;
+    /**
+     * Sets what to do when a message template uses a property the error does not have
+     *  * `'default'`: Prints the provided value instead (`''` by default). The default policy
+     *  * `'literal'`: Prints the placeholder as it was written: `${user}`
+     *  * `'throw'`: Throws a ReferenceError when the error is created or its template is set
+     * @example
+     * ```js
+     * Therror.setMissingPlaceholderPolicy('default', '<unknown>');
+     * new Therror('The user ${user} does not exists').message === 'The user <unknown> does not exists';
+     * ```
+     */
+    setMissingPlaceholderPolicy(policy: 'default' | 'literal' | 'throw', value?: string): void;
+    /**
+     * Registers an error class in `Therror.registry` with an unique code, to be able to list the
+     * error classes and look them up by code or by name. The code is added to the instances,
+     * and to their `toPayload()` and `toJSON()` output
+     * @example
+     * ```js
+     * class UserNotFound extends Therror.ServerError({statusCode: 404}) {}
+     * Therror.register(UserNotFound, 'USER.NOT_FOUND');
+     * Therror.registry.get('USER.NOT_FOUND') === UserNotFound;
+     * ```
+     */
+    register<T extends Function>(errorClass: T, code?: string): T;
+    /**
+     * Creates a `ServerError` class from a spec, named after it, and registers it when the spec has a code
+     * @example
+     * ```js
+     * const UserNotFound = Therror.define({
+     *   name: 'UserNotFound',
+     *   namespace: 'User',
+     *   message: 'The user ${user} does not exists',
+     *   statusCode: 404,
+     *   code: 'USER.NOT_FOUND',
+     *   properties: { user: 'anonymous' }
+     * });
+     * new UserNotFound().name; // 'User.UserNotFound'
+     * ```
+     */
+    define(spec: ErrorSpec): TherrorClass<Classes.ServerError & Therror>;
+    /**
+     * Creates the classes of a catalog of specs: an object with the specs by class name, an array of specs,
+     * or the path of a JSON file with any of them, resolved from the current working directory.
+     * The classes are registered only when all of them can be
+     * @example
+     * ```js
+     * const errors = Therror.defineAll(require.resolve('./errors.json'));
+     * throw new errors.UserNotFound({ user: 'Sarah' });
+     * ```
+     */
+    defineAll(catalog: string | ErrorSpec[] | { [name: string]: Partial<ErrorSpec> }): {
+        [name: string]: TherrorClass<Classes.ServerError & Therror>;
+    };
+    /** The registry of error classes */
+    registry: Registry;
+    /** Documents the HTTP error classes */
+    docs: Docs;
+    /** The metrics of the errors created and logged */
+    metrics: Metrics;
+    /** Sends the errors to a collector */
+    Reporter: ReporterConstructor;
+    /** The context captured by the errors created inside `Therror.context.run()` */
+    context: ErrorContext;
+    /**
+     * Records an error on a span as an `exception` event, with the `exception.*` semantic attributes and the
+     * `therror.status_code`, `therror.level`, `therror.code` and `therror.causes` ones, and sets the span status
+     * @example
+     * ```js
+     * Therror.recordOn(trace.getActiveSpan(), err, { escaped: true });
+     * ```
+     */
+    recordOn(span: Span, err: any, opts?: RecordOptions): TherrorStatic;
+    /** Records the `Therror.Notificator` errors on the active span of the tracer when created. Call it without a tracer to stop */
+    registerTracer(tracer?: Tracer): TherrorStatic;
+    /** The tracer registered with `Therror.registerTracer()` */
+    tracer: Tracer | undefined;
+    MemoryTracer: new () => MemoryTracer;
+    /**
+     * Rebuilds an error from the JSON generated by a `Therror.Serializable` error, with its
+     * properties, message template and whole cause chain
+     *
+     * The error class is looked up by code or by (namespaced) name in `Therror.registry`, and by name
+     * in the `Therror.ServerError` classes. Unknown ones are rebuilt as generic Therrors, keeping their name
+     * @example
+     * ```js
+     * let err = Therror.fromJSON(JSON.parse(json));
+     * err instanceof UserNotFound; // true
+     * ```
+     */
+    fromJSON(json: Properties | string): Therror;
+    /**
+     * Runs the function until it succeeds, retrying it while it fails with retryable errors, up to
+     * `attempts` times, waiting a jittered exponential backoff delay between attempts.
+     * The error hints are taken through the whole cause chain. See `Therror.Retryable`
+     * @example
+     * ```js
+     * Therror.retry(attempt => fetchUser(id), { attempts: 5, signal: AbortSignal.timeout(10000) });
+     * ```
+     */
+    retry<R>(fn: (attempt: number, signal?: AbortSignalLike) => R | PromiseLike<R>, opts?: RetryOptions): Promise<R>;
+    /**
+     * Gets the retry hints of an error from its cause chain: whether it is `retryable`, by its own hint,
+     * a transient network error code or a transient HTTP status code, and its `retryAfter` and `backoff` hints
+     */
+    retryHints(err: any): RetryHints;
+    /**
+     * Runs the function without the side effects of the errors it creates: no `create` events, so they are
+     * neither reported nor notified, no `Therror.metrics` and no span events
+     * @example
+     * ```js
+     * let example = Therror.silently(() => new UserNotFound({ user: '<user>' }));
+     * ```
+     */
+    silently<R>(fn: () => R): R;
+    /**
+     * Creates an Express/Connect error handling middleware, sending the errors as `Therror.handler()` does.
+     * When the response has already been sent, the error is passed to the next error handler
+     * @example
+     * ```js
+     * app.use(Therror.middleware());
+     * ```
+     */
+    middleware(opts?: HandlerOptions): (err: any, req: any, res: any, next: (err?: any) => void) => void;
+    /**
+     * Creates a handler to send the errors to the client with the node `http` module. `Therror.HTTP` errors
+     * are logged and sent with their `statusCode`, `getHeaders()` and `toPayload()` translated to the request
+     * `Accept-Language`. Any other error is sent as an `InternalServerError` caused by it
+     * @example
+     * ```js
+     * const handle = Therror.handler();
+     * http.createServer((req, res) => route(req, res).catch(err => handle(err, req, res)));
+     * ```
+     */
+    handler(opts?: HandlerOptions): (err: any, req: any, res: any) => Classes.HTTP;
     /** Mixin to prepend a string to the error name  */
     Namespaced: Mixins.Namespaced;
     /** Mixin to add toJSON and toString methods to print expressive error info */
@@ -90,10 +650,22 @@ interface TherrorStatic extends TherrorConstructor<Therror> {
     Loggable: Mixins.Loggable;
     /** Mixin to preconfigure a message to errors instances */
     WithMessage: Mixins.WithMessage;
+    /** Mixin to translate the error messages with per locale catalogs */
+    Localizable: Mixins.Localizable;
+    /** Mixin to keep sensitive properties out of logs, JSON and payloads */
+    Redactable: Mixins.Redactable;
+    /** Mixin to tell whether an error is worth retrying, and when */
+    Retryable: Mixins.Retryable;
+    /** Mixin to create errors holding a list of errors, as the native `AggregateError` */
+    Aggregate: Mixins.Aggregate;
+    /** Mixin to reject the input with the problems found in each of its fields */
+    Validation: Mixins.Validation;
     /** Mixin to express HTTP  errors easily. See also `ServerError` */
     HTTP: Mixins.HTTP;
     /** Mixin to express your Server HTTP errors */
     ServerError: Mixins.ServerError;
+    /** Mixin to express gRPC errors easily, alone or along with the HTTP ones */
+    GRPC: Mixins.GRPC;
 }
 
 declare var Therror: TherrorStatic;
@@ -102,8 +674,108 @@ export default Therror;
 
 ///////////////////
 
+type BeforeSend = (json: any, err: any) => any;
+
+type NotificationKey = 'class' | 'fingerprint' | ((error: Therror) => any);
+
+/** The max notifications of a key per interval */
+interface RateLimit {
+    limit: number;
+    /** In ms */
+    interval: number;
+}
+
+/** The clock of the Notificator throttling, injectable for tests */
+interface Clock {
+    now(): number;
+    setTimeout(fn: () => void, delay: number): any;
+    clearTimeout(timer: any): void;
+}
+
+/** Notification options of a Notificator class */
+interface NotificationOptions {
+    /** The ms to suppress the repetitions of a notification */
+    dedupWindow?: number;
+    /** The max notifications of a key per interval */
+    rateLimit?: RateLimit;
+    /** The key of the deduplicated and rate limited notifications */
+    key?: NotificationKey;
+    /** The ms to report the suppressed notifications in */
+    summaryInterval?: number;
+    clock?: Clock;
+}
+
+/** A `summary` event report of the suppressed notifications of a key */
+interface NotificationSummary {
+    key: any;
+    name: string;
+    /** The last suppressed error */
+    error: Therror;
+    /** The notifications since the last summary */
+    count: number;
+    suppressed: number;
+    since: number;
+    until: number;
+    /** As `Unavailable ×1,243 in last 60s` */
+    message: string;
+}
+
+/** Options of `fingerprint()` */
+interface FingerprintOptions {
+    /**
+     * Whether to include the cause chain
+     * @default false
+     */
+    causes?: boolean;
+    /**
+     * The number of stack frames to include
+     * @default 5
+     */
+    frames?: number;
+}
+
 /** Event raised by Therror */
-type Event = 'create';
+type Event = 'create' | 'log' | 'serialize' | 'payload' | 'summary' | 'listenerError';
+
+/** Listens to an error event, receiving the error and the event arguments */
+type Listener = (error: Therror, ...args: any[]) => any;
+
+/** The errors an event listener is scoped to: an error class, or the matching errors */
+type EventScope = Constructor<any> | {
+    class?: Constructor<any>;
+    namespace?: string;
+    /** A status code, as `404`, a range, as `'5xx'`, or the range bounds, as `[400, 451]` */
+    statusCode?: number | string | [number, number];
+};
+
+/** The context of a `listenerError` event */
+interface ListenerErrorContext {
+    /** The event whose listener failed */
+    event: Event;
+    error: Therror;
+}
+
+/** Compiles a message template into a function that renders it with the provided data */
+type TemplateEngine = (template: string) => TemplateRenderer;
+
+/** The builtin template engines */
+type TemplateEngineName = 'interpolate' | 'lodash' | 'icu';
+
+/**
+ * Renders a compiled template. Can expose the property paths used by the template, and
+ * how a placeholder is written in the template syntax
+ */
+interface TemplateRenderer {
+    (data: any, opts?: RenderOptions): string;
+    placeholders?: string[];
+    literal?(path: string): string;
+}
+
+/** Options to render a template */
+interface RenderOptions {
+    /** The locale to format the message for */
+    locale?: string;
+}
 
 /** Key Value Object */
 interface Properties {
@@ -143,8 +815,11 @@ export declare namespace Classes {
          *
          * console.log('%j', error);
          * // {"message":"Something went wrong","name":"FatalError","constructor":"FatalError",
-         * //  "causes":[{"message":"ENOENT","name":"Error","constructor":"Error"}]}
+         * //  "$$template":"Something went wrong",
+         * //  "$$causes":[{"message":"ENOENT","name":"Error","constructor":"Error"}],
+         * //  "$$fingerprint":"0beec7b5ea3f..."}
          * ```
+         * Rebuild the error from it with `Therror.fromJSON()`
          */
         toJSON(): Properties;
     }
@@ -167,6 +842,72 @@ export declare namespace Classes {
     export interface WithMessage extends Therror {}
     export class WithMessage implements WithMessage {}
 
+    export interface Localizable extends Therror {
+        /**
+         * Gets the message in the provided locale, generated with `parse(tpl)` from the template
+         * registered for the error code or (namespaced) name in the catalog of the locale, or of its
+         * fallbacks: `es-AR`, `es`, `Therror.Localizable.defaultLocale`.
+         * Returns `message` when there is no translation
+         */
+        localize(locale: string): string;
+    }
+    export class Localizable implements Localizable {}
+
+    export interface Redactable extends Therror {
+        /**
+         * Gets a copy of the error, and of its cause chain, with the properties matching the
+         * redaction rules masked or dropped. Used by `toJSON()`, `toString()`, `log()`, `toPayload()`
+         * and `toProblem()`. Returns the error itself when there are no rules
+         */
+        redact(): this;
+        /** Gets the redaction rules of the error: the global ones plus the ones of its classes */
+        getRedactionRules(): RedactionRules;
+    }
+    export class Redactable implements Redactable {}
+
+    export interface Retryable extends Therror {
+        /** Whether the operation failing with this error is worth retrying */
+        retryable: boolean;
+        /** The min delay before retrying, in ms */
+        retryAfter?: number;
+        /** The `Therror.retry()` backoff options to use for this error */
+        backoff?: BackoffOptions;
+    }
+    export class Retryable implements Retryable {}
+
+    export interface Aggregate extends Therror, Iterable<any> {
+        /** The aggregated errors */
+        errors: any[];
+        /** Gets the errors matching the provided class, error name or predicate */
+        filter<E extends Error>(ErrorClass: new(...args: any[]) => E): E[];
+        filter(predicate: string | ((err: any) => boolean)): any[];
+    }
+    export class Aggregate implements Aggregate {
+        [Symbol.iterator](): Iterator<any>;
+    }
+
+    export interface Validation extends Therror {
+        /** The problems found in the fields */
+        entries: ValidationEntry[];
+        /**
+         * Adds an entry. The message is a template rendered with the entry and the error properties
+         * @default message `Therror.Validation.defaultMessage`
+         */
+        add(path: string | string[], rule?: string, message?: string, value?: any): this;
+        add(entry: ValidationEntry): this;
+        /** Whether the message is the summary of the entries: there are entries, and the error was created without message */
+        isSummary(): boolean;
+        /** Gets the messages of the entries, joined */
+        getSummary(opts?: RenderOptions): string;
+        /** Gets the message of the entry, localized when a locale is provided */
+        getEntryMessage(entry: ValidationEntry, opts?: RenderOptions): string;
+        /** Gets the `errors` member of the HTTP payloads: the entries, without their values */
+        getPayloadErrors(opts?: PayloadOptions): ValidationPayloadEntry[] | undefined;
+        /** Gets the message in the provided locale, with the entries localized */
+        localize(locale: string): string;
+    }
+    export class Validation implements Validation {}
+
     export interface HTTP extends Therror {
         /**
          * The HTTP status code associated to this error
@@ -178,15 +919,55 @@ export declare namespace Classes {
          * When the error `statusCode` is >= 500, it will set in the payload response
          * a generic response to hide the implementation details to the user, while
          * having the original properties untouched to log the error as it was defined
+         * The message is translated to the requested `locale` or `acceptLanguage`
+         */
+        toPayload(opts?: ProblemOptions): Properties;
+
+        /**
+         * Gets a RFC 9457 (formerly RFC 7807) Problem Details representation of the error,
+         * meant to be sent to the client with the `application/problem+json` content type
+         * `detail` follows the same hiding rules than `getPayloadMessage()`, and the members
+         * returned by `getProblemExtensions()` are added to the object
+         * @example
+         * ```js
+         * let err = new Therror.ServerError.NotFound('The user ${user} does not exists', {user: 'Sarah'});
+         * err.toProblem({instance: '/users/sarah'});
+         * // {
+         * //    type: 'about:blank',
+         * //    title: 'Not Found',
+         * //    status: 404,
+         * //    detail: 'The user Sarah does not exists',
+         * //    instance: '/users/sarah'
+         * // }
+         * ```
+         */
+        toProblem(opts?: ProblemOptions): Problem;
+
+        /**
+         * Gets the URI identifying the problem type. Override it to declare your own
+         * @default 'about:blank'
+         */
+        getProblemType(): string;
+
+        /**
+         * Gets the short summary of the problem type. Defaults to the HTTP status text
+         */
+        getProblemTitle(opts?: PayloadOptions): string;
+
+        /**
+         * Gets the extension members added to the Problem Details object. Override it to
+         * declare your own
+         * @default {}
          */
-        toPayload(): Properties;
+        getProblemExtensions(): Properties;
 
         /**
          * Gets the message that will be sent to the user
          * When the `statusCode` is >= 500, will return a generic message to hide implementation
          * details to the user
+         * When a locale is requested, the message is translated. See `Therror.Localizable`
          */
-        getPayloadMessage(): string;
+        getPayloadMessage(opts?: PayloadOptions): string;
 
         /**
          * Gets the error name that will be sent to the user
@@ -194,15 +975,236 @@ export declare namespace Classes {
          * details to the user
          */
         getPayloadErrorName(): string;
+
+        /**
+         * Gets the headers that will be sent to the user, as the `Retry-After` of the
+         * `Therror.Retryable` errors with a `retryAfter` hint
+         */
+        getHeaders(): { [name: string]: string };
+
+        /**
+         * Renders the payload in the media type preferred by an `Accept` header value, among the
+         * `Therror.HTTP.renderers` ones. JSON (or Problem Details, when `Therror.HTTP.problemDetails`
+         * is set) is rendered when there is no header or no acceptable media type.
+         * All the formats follow the same hiding rules than `getPayloadMessage()`
+         * @example
+         * ```js
+         * let rendered = err.render(req.headers.accept);
+         * res.set('Content-Type', rendered.contentType); // text/html; charset=utf-8
+         * res.send(rendered.body);
+         * ```
+         */
+        render(accept?: string, opts?: ProblemOptions): Rendered;
     }
     export class HTTP implements HTTP {}
 
-    export interface ServerError extends HTTP, WithMessage, Notificator, Loggable, Namespaced {}
+    export interface GRPC extends Therror {
+        /**
+         * The gRPC status code associated to this error. Defaults to the one of its HTTP `statusCode`
+         */
+        readonly grpcCode: number;
+        /**
+         * Gets the gRPC status meant to be sent to the client
+         * When the code is in `Therror.GRPC.MASKED_CODES` (INTERNAL and UNKNOWN), or the HTTP status is 5xx, the details are
+         * a generic message, to hide the implementation details to the user
+         * @example
+         * ```js
+         * new Therror.GRPC.NotFound('The user ${user} does not exists', {user: 'Sarah'}).toStatus();
+         * // { code: 5, details: 'The user Sarah does not exists', metadata: {} }
+         * ```
+         */
+        toStatus(opts?: PayloadOptions): GRPCStatus;
+        /** Gets the details that will be sent to the user, translated when a locale is requested */
+        getStatusDetails(opts?: PayloadOptions): string;
+        /** Gets the metadata that will be sent to the user: the `code` of the class, if any */
+        getStatusMetadata(): { [key: string]: string };
+    }
+    export class GRPC implements GRPC {}
+
+    export interface ServerError extends HTTP, Localizable, Redactable, Retryable, WithMessage, Notificator, Loggable, Namespaced {}
     export class ServerError implements ServerError {}
 }
 
 type Constructor<T> = new(...args: any[]) => T;
 
+/** The gRPC status classes in `Therror.GRPC` */
+type GRPCErrorConstructor = TherrorConstructor<Classes.GRPC>;
+
+/** The spec of a class created with `Therror.define()` */
+interface ErrorSpec extends Mixins.ServerErrorOptions {
+    /** The class name */
+    name: string;
+    /** See `Therror.Namespaced` */
+    namespace?: string;
+    /** The default values of the instance properties */
+    properties?: Properties;
+}
+
+/** The status sent to a gRPC client */
+interface GRPCStatus {
+    code: number;
+    details: string;
+    metadata: { [key: string]: string };
+}
+
+/** A Therror class created by a mixin */
+type TherrorClass<T> = Constructor<T> & TherrorClassStatics;
+
+type RedactionMode = 'mask' | 'drop';
+
+/** Redaction rules of a Redactable class */
+interface RedactionOptions {
+    /** Property names to redact at any depth, as `password` or `*token*` */
+    keys?: string[];
+    /** Property paths to redact, as `user.card` or `cards.*.cvv`. `**` matches any depth */
+    paths?: string[];
+    /** Defaults to `Therror.Redactable.mode` */
+    mode?: RedactionMode;
+}
+
+/** Effective redaction rules of an error */
+interface RedactionRules {
+    keys: string[];
+    paths: string[];
+    mode: RedactionMode;
+    mask: any;
+}
+
+/** Backoff options of `Therror.retry()` */
+interface BackoffOptions {
+    /**
+     * The delay before the second attempt, in ms
+     * @default 100
+     */
+    initialDelay?: number;
+    /**
+     * The max delay between attempts, in ms
+     * @default 30000
+     */
+    maxDelay?: number;
+    /**
+     * The delay multiplier for each attempt
+     * @default 2
+     */
+    factor?: number;
+    /**
+     * Whether to randomize the delays
+     * @default true
+     */
+    jitter?: boolean;
+}
+
+/** Options of `Therror.retry()` */
+interface RetryOptions extends BackoffOptions {
+    /**
+     * The max number of attempts
+     * @default 3
+     */
+    attempts?: number;
+    /** Stops retrying when aborted, rejecting with its reason */
+    signal?: AbortSignalLike;
+    /** Decides whether to retry, instead of the error hints */
+    shouldRetry?(err: any, attempt: number): boolean;
+    /** Called before waiting for the next attempt */
+    onRetry?(err: any, attempt: number, delay: number): void;
+}
+
+/** The AbortSignal members used by `Therror.retry()` */
+interface AbortSignalLike {
+    readonly aborted: boolean;
+    readonly reason?: any;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+
+/** Options of the `Therror.Retryable` mixin */
+interface RetryableOptions {
+    /**
+     * Whether the errors are retryable
+     * @default true
+     */
+    retryable?: boolean;
+    /** The min delay before retrying, in ms */
+    retryAfter?: number;
+    /** The `Therror.retry()` backoff options to use for these errors */
+    backoff?: BackoffOptions;
+}
+
+/** The retry hints of an error, from its cause chain */
+interface RetryHints {
+    retryable: boolean;
+    retryAfter?: number;
+    backoff?: BackoffOptions;
+}
+
+/** A problem found in an input field */
+interface ValidationEntry {
+    /** The property path of the field, as `address.zip` */
+    path?: string | string[];
+    /** The rule the field does not meet, as `required` */
+    rule?: string;
+    /** The message template, rendered with the entry and the error properties */
+    message?: string;
+    /** The invalid value. Not sent in the payloads */
+    value?: any;
+    /** Any other property to use in the message template */
+    [key: string]: any;
+}
+
+/** A validation entry, as sent in the payloads */
+interface ValidationPayloadEntry {
+    path?: string;
+    rule?: string;
+    message: string;
+}
+
+/** Options to generate the payloads sent to the client */
+interface PayloadOptions {
+    /** The locale to translate the messages to */
+    locale?: string;
+    /** An `Accept-Language` header value to negotiate the locale */
+    acceptLanguage?: string;
+}
+
+/** Options to generate a Problem Details object */
+interface ProblemOptions extends PayloadOptions {
+    /** A URI reference that identifies the specific occurrence of the problem */
+    instance?: string;
+}
+
+/** Renders the (redacted) error as a response body */
+type Renderer = (err: Classes.HTTP, opts?: ProblemOptions) => string;
+
+/** A response body rendered by `render()` */
+interface Rendered {
+    /** The media type, with its charset */
+    contentType: string;
+    body: string;
+}
+
+/** Options of `Therror.handler()` and `Therror.middleware()` */
+interface HandlerOptions {
+    /**
+     * Whether to log the errors
+     * @default true
+     */
+    log?: boolean;
+    /**
+     * Whether to translate the payloads to the request `Accept-Language`
+     * @default true
+     */
+    localize?: boolean;
+}
+
+/** RFC 9457 Problem Details object */
+interface Problem extends Properties {
+    type: string;
+    title: string;
+    status: number;
+    detail: string;
+    instance?: string;
+}
+
 declare namespace Mixins {
     interface Namespaced {
         /**
@@ -232,7 +1234,7 @@ declare namespace Mixins {
          * console.log(err) === '[Server.InvalidParamError: Not a valid parameter]';
          * ```
          */
-        <T extends Constructor<{}>>(Base?: T): Constructor<Classes.Serializable & Therror> & T;
+        <T extends Constructor<{}>>(Base?: T): TherrorClass<Classes.Serializable & Therror> & T;
     }
 
     interface Notificator {
@@ -240,7 +1242,41 @@ declare namespace Mixins {
          * Mixin to add notification capabilities to this errors:
          * Its creation will emit a 'create' event, subscribable with Therror.on('create', ...)
          */
-        <T extends Constructor<{}>>(Base?: T): Constructor<Classes.Notificator & Therror> & T;
+        <T extends Constructor<{}>>(Base?: T): TherrorClass<Classes.Notificator & Therror> & T;
+        /**
+         * The notifications can be deduplicated and rate limited by key, the error class or its `fingerprint()`.
+         * The suppressed ones are reported every `summaryInterval` in a `summary` event.
+         * The options are added to the global ones in `Therror.Notificator`
+         * @example
+         * ```js
+         * Therror.on('summary', (err, summary) => console.warn(summary.message)); // Unavailable ×1,243 in last 60s
+         * class Unavailable extends Therror.Notificator({ dedupWindow: 1000, key: 'fingerprint' }) {}
+         * ```
+         */
+        <T extends Constructor<{}>>(opts?: NotificationOptions, Base?: T): TherrorClass<Classes.Notificator & Therror> & T;
+        /**
+         * The ms to suppress the repetitions of a notification
+         * @default 0
+         */
+        dedupWindow: number;
+        /** The max notifications of a key per interval */
+        rateLimit?: RateLimit;
+        /**
+         * The key of the deduplicated and rate limited notifications
+         * @default 'class'
+         */
+        key: NotificationKey;
+        /**
+         * The ms to report the suppressed notifications in
+         * @default 60000
+         */
+        summaryInterval: number;
+        /** The clock of the throttling windows and summaries */
+        clock: Clock;
+        /** Reports the suppressed notifications now, as before exiting */
+        flush(): void;
+        /** Forgets the notifications, without reporting them */
+        clear(): void;
     }
 
     interface Loggable {
@@ -266,7 +1302,7 @@ declare namespace Mixins {
          * notFound.level(); // 'info'
          * ```
          */
-        <T extends Constructor<{}>>(level?: string, Base?: T): Constructor<Classes.Loggable & Therror> & T;
+        <T extends Constructor<{}>>(level?: string, Base?: T): TherrorClass<Classes.Loggable & Therror> & T;
         /**
          * The Logger used to Log Loggable errors
          * @default console
@@ -284,7 +1320,122 @@ declare namespace Mixins {
          * // { [UserNotFoundError: The user John does not exists] }
          * ```
          */
-        <T extends Constructor<{}>>(msg: string, Base?: T): Constructor<Classes.WithMessage & Therror> & T;
+        <T extends Constructor<{}>>(msg: string, Base?: T): TherrorClass<Classes.WithMessage & Therror> & T;
+    }
+
+    interface Localizable {
+        /**
+         * Mixin to add `localize(locale)` to errors, translating their messages with the catalogs
+         * registered with `Therror.Localizable.register(locale, catalog)`
+         * @example
+         * ```js
+         * Therror.Localizable.register('es', {
+         *   UserNotFound: 'El usuario ${user} no existe',
+         *   STATUS_CODES: { 404: 'No encontrado' }
+         * });
+         * class UserNotFound extends Therror.Localizable(Therror.ServerError.NotFound) {}
+         * let err = new UserNotFound('The user ${user} does not exists', {user: 'John'});
+         * err.localize('es-AR'); // 'El usuario John no existe'
+         * ```
+         */
+        <T extends Constructor<{}>>(Base?: T): TherrorClass<Classes.Localizable & Therror> & T;
+        /**
+         * Adds messages to the catalog of the locale. Messages are keyed by error code or (namespaced)
+         * name, and the `STATUS_CODES` key holds the translated HTTP status texts
+         */
+        register(locale: string, catalog: Catalog): void;
+        /** The locale used when the requested ones have no translation */
+        defaultLocale: string | undefined;
+        /** The registered catalogs */
+        readonly catalogs: Catalogs;
+    }
+
+    interface Redactable {
+        /**
+         * Mixin to keep sensitive properties out of `toJSON()`, `toString()`, `log()`, `toPayload()` and
+         * `toProblem()`, in the error and in its cause chain. The properties are left untouched in memory.
+         * The rules are added to the global `Therror.Redactable.keys`, `paths` and `mode`
+         * @example
+         * ```js
+         * Therror.Redactable.keys = ['password', '*token*'];
+         * class LoginError extends Therror.Redactable({ paths: ['cards.*.cvv'] }, Therror.Serializable()) {}
+         * let err = new LoginError('Invalid login for ${user}', {user: 'John', password: '1234'});
+         * err.password; // '1234'
+         * err.toJSON().password; // '[REDACTED]'
+         * ```
+         */
+        <T extends Constructor<{}>>(opts?: RedactionOptions, Base?: T): TherrorClass<Classes.Redactable & Therror> & T;
+        /** Property names redacted at any depth by all the Redactable errors, as `password` or `*token*` */
+        keys: string[];
+        /** Property paths redacted by all the Redactable errors, as `user.card` or `cards.*.cvv`. `**` matches any depth */
+        paths: string[];
+        /**
+         * Whether to replace the redacted values with `mask`, or to remove them
+         * @default 'mask'
+         */
+        mode: RedactionMode;
+        /**
+         * The value printed for the masked properties
+         * @default '[REDACTED]'
+         */
+        mask: any;
+    }
+
+    interface Retryable {
+        /**
+         * Mixin to add the `retryable`, `retryAfter` and `backoff` retry hints, honoured by `Therror.retry()`
+         * through the whole cause chain. The mixin options are the defaults, overridable per instance
+         * @example
+         * ```js
+         * class RateLimited extends Therror.Retryable({ retryAfter: 1000 }) {}
+         * let err = new RateLimited({ retryAfter: 30000 });
+         * err.retryable; // true
+         * ```
+         */
+        <T extends Constructor<{}>>(opts?: RetryableOptions, Base?: T): TherrorClass<Classes.Retryable & Therror> & T;
+        /** The HTTP status codes of the retryable `ServerError` classes: 408, 425, 429, 502, 503 and 504 */
+        STATUS_CODES: number[];
+        /** The codes of the transient network errors: `ECONNRESET`, `ECONNREFUSED`, `ETIMEDOUT`... */
+        ERROR_CODES: string[];
+    }
+
+    interface Aggregate {
+        /**
+         * Mixin to create errors holding a list of errors, as the native `AggregateError`. The errors are
+         * available in `errors`, to be used in templates, and are included in `toJSON()` and `toPayload()`,
+         * each one with its own redaction and hiding rules
+         * @example
+         * ```js
+         * class ImportFailed extends Therror.Aggregate(Therror.ServerError.BadRequest) {}
+         * let err = new ImportFailed([new InvalidRow({row: 1}), new InvalidRow({row: 7})], '${errors.length} rows are invalid');
+         * err.message; // '2 rows are invalid'
+         * err.filter(InvalidRow).length; // 2
+         * ```
+         */
+        <T extends Constructor<{}>>(Base?: T): TherrorClass<Classes.Aggregate & Therror> & T;
+    }
+
+    interface Validation {
+        /**
+         * Mixin to collect the problems found in the input fields, as `{path, rule, message, value}` entries.
+         * The message defaults to the summary of the entries messages, and `toPayload()` includes them in
+         * an `errors` array, without their values. The entries messages are templates rendered with the
+         * same engine as `message`, localized with the catalog messages keyed by `Code.rule`, `Name.rule` or `rule`
+         * @example
+         * ```js
+         * class InvalidUser extends Therror.Validation(Therror.ServerError.UnprocessableEntity) {}
+         * let err = new InvalidUser()
+         *   .add('email', 'required', '${path} is required')
+         *   .add({ path: 'age', rule: 'min', min: 18, value: 12, message: '${path} must be at least ${min}' });
+         * err.message; // 'email is required, age must be at least 18'
+         * ```
+         */
+        <T extends Constructor<{}>>(Base?: T): TherrorClass<Classes.Validation & Therror> & T;
+        /**
+         * The message template of the entries without message
+         * @default '${path} is not valid'
+         */
+        defaultMessage: string;
     }
 
     interface HTTP {
@@ -311,7 +1462,93 @@ declare namespace Mixins {
          * // }
          * ```
          */
-        <T extends Constructor<{}>>(statusCode?: number|string, Base?: T): Constructor<Classes.HTTP & Therror> & T;
+        <T extends Constructor<{}>>(statusCode?: number|string, Base?: T): TherrorClass<Classes.HTTP & Therror> & T;
+        /**
+         * Make `toPayload()` return the Problem Details object from `toProblem()`
+         * @default false
+         */
+        problemDetails: boolean;
+        /** The media type for Problem Details responses: 'application/problem+json' */
+        readonly PROBLEM_CONTENT_TYPE: string;
+        /**
+         * The renderers of `render()`, by media type: `application/json`, `application/problem+json`,
+         * `text/plain`, `text/html`, `application/xml` and `text/xml` by default
+         */
+        renderers: { [contentType: string]: Renderer };
+        /**
+         * Registers a renderer to be negotiated by `render()`, replacing the current one of the media type
+         * @example
+         * ```js
+         * Therror.HTTP.registerRenderer('text/csv', (err, opts) =>
+         *   `${err.getPayloadErrorName()},${err.getPayloadMessage(opts)}`
+         * );
+         * ```
+         */
+        registerRenderer(contentType: string, renderer: Renderer): void;
+        /** The HTTP status texts, keyed by status code */
+        readonly STATUS_CODES: { [statusCode: string]: string };
+    }
+
+    interface GRPC {
+        /**
+         * Mixin to add `toStatus()` and `grpcCode` to errors. The code is a canonical gRPC status code,
+         * or its name. Without it, it is mapped from the HTTP status code of the base class, or UNKNOWN
+         * @example
+         * ```js
+         * class UserNotFound extends Therror.GRPC('NOT_FOUND') {}
+         * class UserGone extends Therror.GRPC(Therror.ServerError({ statusCode: 410 })) {}
+         * ```
+         */
+        <T extends Constructor<{}>>(code?: number | string, Base?: T): TherrorClass<Classes.GRPC & Therror> & T;
+        <T extends Constructor<{}>>(Base: T): TherrorClass<Classes.GRPC & Therror> & T;
+        /** The canonical gRPC status code names, keyed by code */
+        readonly STATUS_CODES: { [code: string]: string };
+        /**
+         * The gRPC status codes whose details are hidden to the user
+         * @default [2, 13]
+         */
+        MASKED_CODES: number[];
+        /** The gRPC status code names of the HTTP status codes */
+        FROM_HTTP: { [statusCode: string]: string };
+        /** The HTTP status codes of the gRPC status code names */
+        TO_HTTP: { [name: string]: number };
+        /** Gets the gRPC status code of an HTTP status code */
+        fromHTTP(statusCode: number | string): number;
+        /** Gets the HTTP status code of a gRPC status code, or of its name */
+        toHTTP(code: number | string): number;
+
+        Cancelled: GRPCErrorConstructor;
+        1: GRPCErrorConstructor;
+        Unknown: GRPCErrorConstructor;
+        2: GRPCErrorConstructor;
+        InvalidArgument: GRPCErrorConstructor;
+        3: GRPCErrorConstructor;
+        DeadlineExceeded: GRPCErrorConstructor;
+        4: GRPCErrorConstructor;
+        NotFound: GRPCErrorConstructor;
+        5: GRPCErrorConstructor;
+        AlreadyExists: GRPCErrorConstructor;
+        6: GRPCErrorConstructor;
+        PermissionDenied: GRPCErrorConstructor;
+        7: GRPCErrorConstructor;
+        ResourceExhausted: GRPCErrorConstructor;
+        8: GRPCErrorConstructor;
+        FailedPrecondition: GRPCErrorConstructor;
+        9: GRPCErrorConstructor;
+        Aborted: GRPCErrorConstructor;
+        10: GRPCErrorConstructor;
+        OutOfRange: GRPCErrorConstructor;
+        11: GRPCErrorConstructor;
+        Unimplemented: GRPCErrorConstructor;
+        12: GRPCErrorConstructor;
+        Internal: GRPCErrorConstructor;
+        13: GRPCErrorConstructor;
+        Unavailable: GRPCErrorConstructor;
+        14: GRPCErrorConstructor;
+        DataLoss: GRPCErrorConstructor;
+        15: GRPCErrorConstructor;
+        Unauthenticated: GRPCErrorConstructor;
+        16: GRPCErrorConstructor;
     }
 
     /**
@@ -336,14 +1573,37 @@ declare namespace Mixins {
          * @default to a human readable description for the `statusCode`
          */
         message?: string;
+        /**
+         * The stable machine code for this kind of errors, as `USER.NOT_FOUND`
+         * See `Therror.register`
+         */
+        code?: string;
+        /** The notification options. See `Therror.Notificator` */
+        notify?: NotificationOptions;
+        /**
+         * The properties to keep out of logs and payloads
+         * See `Therror.Redactable`
+         */
+        redact?: RedactionOptions;
+        /**
+         * Whether the errors are retryable
+         * See `Therror.Retryable`
+         * @default true for the status codes in `Therror.Retryable.STATUS_CODES`, else undefined so the causes decide
+         */
+        retryable?: boolean;
+        /** The min delay before retrying, in ms */
+        retryAfter?: number;
+        /** The `Therror.retry()` backoff options to use for these errors */
+        backoff?: BackoffOptions;
     }
 
     interface ServerError {
         /**
          * Mixin to add a set of useful tools to make your Server Errors very expressive
          *
-         * Includes `Therror.Notificator`, `Therror.Loggable`, `Therror.WithMessage` and `Therror.HTTP` mixins,
-         * configurable via mixin parameters
+         * Includes `Therror.Notificator`, `Therror.Loggable`, `Therror.Redactable`, `Therror.Retryable`, `Therror.Localizable`,
+         * `Therror.WithMessage` and
+         * `Therror.HTTP` mixins, configurable via mixin parameters
          *
          * A set of all HTTP Errors classes created with this mixin is available as properties in this method ie:
          * `Therror.ServerError.NotFound`
@@ -363,7 +1623,7 @@ declare namespace Mixins {
          * err.log(); // executes Therror.Loggable.logger.error(err);
          * ```
          */
-        <T extends Constructor<{}>>(opts?: ServerErrorOptions, Base?: T): Constructor<Classes.ServerError & Therror> & T;
+        <T extends Constructor<{}>>(opts?: ServerErrorOptions, Base?: T): TherrorClass<Classes.ServerError & Therror> & T;
 
         BadRequest: typeof ServerErrors.BadRequest;
         400: typeof ServerErrors.BadRequest;
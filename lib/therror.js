@@ -18,12 +18,45 @@
 'use strict';
 
 const _ = require('lodash'),
+  fs = require('fs'),
+  path = require('path'),
   serializeError = require('serr'),
-  EventEmitter = require('events').EventEmitter;
+  templateEngines = require('./template'),
+  Registry = require('./registry'),
+  Catalogs = require('./catalogs'),
+  Events = require('./events'),
+  fingerprint = require('./fingerprint'),
+  Throttle = require('./throttle'),
+  Metrics = require('./metrics'),
+  Context = require('./context'),
+  redaction = require('./redaction'),
+  tracing = require('./tracing'),
+  renderers = require('./renderers'),
+  retry = require('./retry');
 
 const templateSymbol = Symbol('template');
-const causeSymbol = Symbol('cause');
-const emitter = new EventEmitter();
+const literalSymbol = Symbol('literal');
+const retrySymbol = Symbol('retry');
+const aggregateSymbol = Symbol('aggregate');
+const events = new Events();
+// The Therror.Notificator options, configurable globally and per class
+const NOTIFICATION_KEYS = [
+  'dedupWindow',
+  'rateLimit',
+  'key',
+  'summaryInterval',
+  'clock'
+];
+// The compiled templates, by engine, freed with the engines
+let templateCache = new WeakMap();
+// The template engines of the classes, null for the global one
+const classEngines = new WeakMap();
+const catalogs = new Catalogs();
+
+let templateEngine = templateEngines.interpolate;
+let missingPlaceholders = { policy: 'default', value: '' };
+// The depth of the Therror.silently() calls running
+let silenced = 0;
 
 /**
  * Therror class
@@ -40,56 +73,648 @@ class Therror extends Error {
 
     Error.captureStackTrace(this, this.constructor);
 
-    let name = this.constructor.name;
-    Object.defineProperty(this, 'name', {
-      enumerable: false,
-      writable: true,
-      value: name === 'Therror' ? 'Error' : name
-    });
+    initialize(this, args);
+    checkPlaceholders(this);
 
-    Object.defineProperty(this, 'isTherror', {
-      enumerable: false,
-      value: true
-    });
+    let context = Therror.context.snapshot();
+    if (context && _.isUndefined(this.context)) {
+      this.context = context;
+    }
+  }
+
+  /**
+   * Iterates over the cause chain: the cause of this error, the cause of its
+   * cause... It supports native errors, Therrors and non Error causes, and
+   * stops when finding a cause already visited
+   *
+   * @example
+   * ```js
+   * let err = new Therror(new Error('ENOENT', {cause: 'disk'}), 'Not found');
+   *
+   * Array.from(err.causes()); // [[Error: ENOENT], 'disk']
+   * ```
+   *
+   * @returns {Iterator}
+   */
+  causes() {
+    return walkCauses(this);
+  }
+
+  /**
+   * Gets the last cause in the cause chain
+   *
+   * @returns {*} The root cause, undefined when the error has no cause
+   */
+  rootCause() {
+    let root;
+    for (let cause of this.causes()) {
+      root = cause;
+    }
+    return root;
+  }
+
+  /**
+   * Finds the first cause in the cause chain matching the provided class,
+   * error name or predicate
+   *
+   * @example
+   * ```js
+   * let err = new Therror(new TypeError('Invalid id'), 'Not found');
+   *
+   * err.findCause(TypeError); // [TypeError: Invalid id]
+   * ```
+   *
+   * @param {class|String|Function} predicate
+   * @returns {*} The cause found, or undefined
+   */
+  findCause(predicate) {
+    let matches = causeMatcher(predicate);
+    for (let cause of this.causes()) {
+      if (matches(cause)) {
+        return cause;
+      }
+    }
+    return undefined;
+  }
 
-    args.properties.forEach((property, index) => {
-      if (_.isString(property)) {
-        this[index] = property;
-      } else {
-        Object.assign(this, property);
+  /**
+   * Checks whether any cause in the cause chain matches the provided class,
+   * error name or predicate
+   *
+   * @param {class|String|Function} predicate
+   * @returns {Boolean}
+   */
+  hasCause(predicate) {
+    let matches = causeMatcher(predicate);
+    for (let cause of this.causes()) {
+      if (matches(cause)) {
+        return true;
       }
-    });
+    }
+    return false;
+  }
 
-    this[causeSymbol] = args.cause;
-    this[templateSymbol] = _.template(
-      args.message || (args.cause && args.cause.message) || 'Unknown error'
-    );
+  /**
+   * Gets a stable hash identifying the kind of error, to group and deduplicate
+   * the errors: the same for all the instances of a class created at the same
+   * place, whatever their properties. It is the SHA-1 of the
+   * `getFingerprintParts()` values, plus the ones of the causes when requested
+   *
+   * @example
+   * ```js
+   * let err = new UserNotFound({ user: 'John' });
+   *
+   * err.fingerprint(); // 'c1a3...'
+   * err.fingerprint({ causes: true, frames: 3 });
+   * ```
+   *
+   * @param {Object} [opts] The options
+   * @param {Boolean} [opts.causes] Whether to include the cause chain. Defaults to false
+   * @param {Integer} [opts.frames] The number of stack frames to include. Defaults to 5
+   * @returns {String} The hex hash
+   */
+  fingerprint(opts) {
+    opts = Object.assign({ causes: false, frames: 5 }, opts);
+    let parts = [this.getFingerprintParts(opts)];
+    if (opts.causes) {
+      for (let cause of this.causes()) {
+        parts.push(getCauseFingerprintParts(cause, opts));
+      }
+    }
+    return fingerprint.hash(parts);
   }
 
-  cause() {
-    return this[causeSymbol];
+  /**
+   * Gets the values identifying the kind of error, hashed by `fingerprint()`:
+   * the name, the namespace, the raw message template, the status code and
+   * the normalized top stack frames. The messages taken from the causes are
+   * left out, as they vary from one error to another, in favour of the
+   * message template of the class. Override it to customize the grouping
+   *
+   * @example
+   * ```js
+   * class QueryError extends Therror {
+   *   // group by the failing table too
+   *   getFingerprintParts(opts) {
+   *     return super.getFingerprintParts(opts).concat(this.table);
+   *   }
+   * }
+   * ```
+   *
+   * @param {Object} opts The `fingerprint()` options
+   * @returns {Array}
+   */
+  getFingerprintParts(opts) {
+    return [
+      this.name,
+      this.namespace,
+      this[literalSymbol]
+        ? this.constructor.messageTemplate
+        : this[templateSymbol],
+      this.statusCode
+    ].concat(fingerprint.getStackFrames(this.stack, opts.frames));
   }
 
-  parse(tpl) {
-    return _.template(tpl)(this).trim();
+  /**
+   * Generates a message from the template with the error properties, using
+   * the template engine of the error class
+   *
+   * @param {String} tpl The template
+   * @param {Object} [opts] The render options
+   * @param {String} [opts.locale] The locale to format the message for
+   * @returns {String}
+   */
+  parse(tpl, opts) {
+    return render(String(tpl), this, opts);
   }
 
   set message(value) {
-    this[templateSymbol] = _.template(value);
+    this[templateSymbol] = String(value);
+    this[literalSymbol] = false;
+    checkPlaceholders(this);
   }
 
   get message() {
-    return this[templateSymbol](this).trim();
+    return renderMessage(this);
+  }
+
+  /**
+   * Gets the property paths used by the message template of this class, as
+   * defined with `Therror.WithMessage` or `Therror.ServerError`
+   *
+   * @example
+   * ```js
+   * class UserNotFound extends Therror.WithMessage('The user ${user.name} does not exists') {}
+   *
+   * UserNotFound.placeholders(); // ['user.name']
+   * ```
+   *
+   * @param {String} [tpl] The template to inspect. Defaults to the class message template
+   * @returns {String[]}
+   */
+  static placeholders(tpl) {
+    tpl = tpl || this.messageTemplate;
+    return tpl
+      ? (
+          compile(String(tpl), getTemplateEngine(this)).placeholders || []
+        ).slice()
+      : [];
+  }
+
+  /**
+   * The template engine used by the instances of this class, when it is not
+   * the one set with `Therror.setTemplateEngine()`. Override it to opt-in for
+   * another template syntax in a single class. It is read once per class
+   *
+   * @example
+   * ```js
+   * class InvalidItems extends Therror.WithMessage(
+   *   '{count, plural, one {# item is} other {# items are}} invalid'
+   * ) {
+   *   static get templateEngine() {
+   *     return 'icu';
+   *   }
+   * }
+   * ```
+   *
+   * @returns {String|Function|undefined} `'interpolate'`, `'lodash'`, `'icu'` or a template engine function
+   */
+  static get templateEngine() {
+    return undefined;
+  }
+
+  /**
+   * The message template shared by all the instances of this class, if any
+   *
+   * @returns {String|undefined}
+   */
+  static get messageTemplate() {
+    return undefined;
+  }
+
+  /**
+   * The stable machine code identifying this class, as `USER.NOT_FOUND`, if
+   * any. Set it with `Therror.register()` or the `Therror.ServerError` options
+   *
+   * @returns {String|undefined}
+   */
+  static get code() {
+    return undefined;
+  }
+
+  /**
+   * Rebuilds an error from the JSON generated by a `Therror.Serializable`
+   * error, with its properties, message template and whole cause chain
+   *
+   * The error class is looked up by code or by (namespaced) name in
+   * `Therror.registry`, and by name in the `Therror.ServerError` classes.
+   * Errors whose class is unknown are rebuilt as generic Therrors, keeping
+   * their name. The constructors of the classes are not called, so no
+   * `create` event is emitted
+   *
+   * @example
+   * ```js
+   * Therror.register(UserNotFound, 'USER.NOT_FOUND');
+   *
+   * let json = JSON.stringify(new UserNotFound(cause, {user: 'John'}));
+   * // ... send it to another process
+   * let err = Therror.fromJSON(JSON.parse(json));
+   *
+   * err instanceof UserNotFound; // true
+   * err.message; // 'The user John does not exists'
+   * ```
+   *
+   * @param {Object|String} json The error JSON, as object or string
+   * @returns {Error}
+   */
+  static fromJSON(json) {
+    if (_.isString(json)) {
+      json = JSON.parse(json);
+    }
+
+    let chain = [json].concat((json && json.$$causes) || []);
+    return _.reduceRight(
+      chain,
+      (cause, causeJSON) => fromSerializableObject(causeJSON, cause),
+      undefined
+    );
+  }
+
+  /**
+   * Registers an error class in `Therror.registry` with an unique code, to
+   * be able to list the error classes and look them up by code or by name
+   *
+   * @example
+   * ```js
+   * class UserNotFound extends Therror.ServerError({statusCode: 404}) {}
+   * Therror.register(UserNotFound, 'USER.NOT_FOUND');
+   *
+   * Therror.registry.get('USER.NOT_FOUND') === UserNotFound;
+   * Therror.registry.get('UserNotFound') === UserNotFound;
+   * new UserNotFound().code === 'USER.NOT_FOUND';
+   * ```
+   *
+   * @param {class} ErrorClass The error class
+   * @param {String} [code] The error code. Defaults to the one declared by the class
+   * @returns {class} The error class
+   */
+  static register(ErrorClass, code) {
+    return Therror.registry.register(ErrorClass, code);
+  }
+
+  /**
+   * Creates a `Therror.ServerError` class from a spec, named after it, and
+   * registers it when the spec has a code
+   *
+   * @example
+   * ```js
+   * const UserNotFound = Therror.define({
+   *   name: 'UserNotFound',
+   *   namespace: 'User',
+   *   message: 'The user ${user} does not exists',
+   *   statusCode: 404,
+   *   level: 'info',
+   *   code: 'USER.NOT_FOUND',
+   *   properties: { user: 'anonymous' }
+   * });
+   *
+   * let err = new UserNotFound();
+   * err.name; // 'User.UserNotFound'
+   * err.message; // 'The user anonymous does not exists'
+   * ```
+   *
+   * @param {Object} spec The class spec, with the other `Therror.ServerError` options
+   * @param {String} spec.name The class name
+   * @param {String} [spec.namespace] The namespace, see `Therror.Namespaced`
+   * @param {String} [spec.message] The message template
+   * @param {String|Integer} [spec.statusCode] The HTTP status code. Defaults to 500
+   * @param {String} [spec.level] The logging level. Defaults to 'error'
+   * @param {String} [spec.code] The machine code to register the class with
+   * @param {Object} [spec.properties] The default values of the instance properties
+   * @returns {class}
+   */
+  static define(spec) {
+    let ErrorClass = createErrorClass(spec);
+    if (spec.code) {
+      Therror.register(ErrorClass, spec.code);
+    }
+    return ErrorClass;
+  }
+
+  /**
+   * Creates the classes of a catalog of error specs, see `Therror.define()`.
+   * The catalog is an object with the specs by class name, or an array of
+   * specs, or the path of a JSON file with any of them. The relative paths
+   * are resolved from the current working directory, as `fs` does, so use
+   * `require.resolve()` or `__dirname` to get the ones next to your module
+   *
+   * The classes are registered only when all of them are valid and their
+   * codes are not registered yet
+   *
+   * @example
+   * ```js
+   * // errors.json
+   * // {
+   * //   "UserNotFound": { "statusCode": 404, "message": "The user ${user} does not exists" },
+   * //   "UserExists": { "statusCode": 409, "code": "USER.EXISTS" }
+   * // }
+   * const errors = Therror.defineAll(require.resolve('./errors.json'));
+   *
+   * throw new errors.UserNotFound({ user: 'Sarah' });
+   * ```
+   *
+   * @param {Object|Object[]|String} catalog The specs, or the path of the JSON file
+   * @returns {Object} The classes, by name
+   */
+  static defineAll(catalog) {
+    if (_.isString(catalog)) {
+      catalog = JSON.parse(fs.readFileSync(path.resolve(catalog), 'utf8'));
+    }
+    if (!_.isObject(catalog)) {
+      throw new TypeError('Expected a catalog of error specs');
+    }
+
+    let specs = _.isArray(catalog)
+      ? catalog
+      : _.map(catalog, (spec, name) => Object.assign({ name: name }, spec));
+    // Create all the classes before registering any of them, and register
+    // all of them or none, so a failing catalog can be fixed and defined again
+    let classes = specs.reduce((classes, spec) => {
+      if (_.has(classes, spec.name)) {
+        throw new Error(`Error class ${spec.name} is defined twice`);
+      }
+      classes[spec.name] = createErrorClass(spec);
+      return classes;
+    }, {});
+    let registered = [];
+    try {
+      specs.forEach(spec => {
+        if (spec.code) {
+          Therror.register(classes[spec.name], spec.code);
+          registered.push(spec.code);
+        }
+      });
+    } catch (err) {
+      registered.forEach(code => Therror.registry.unregister(code));
+      throw err;
+    }
+    return classes;
   }
 
   //////
 
-  static on(ev, cb) {
-    return emitter.on(ev, cb);
+  /**
+   * Subscribes to an error lifecycle event:
+   * * `create`: A `Therror.Notificator` error has been created
+   * * `log`: A `Therror.Loggable` error has been logged, along with the level
+   * * `serialize`: A `Therror.Serializable` error has been converted to JSON, along with the JSON
+   * * `payload`: A `Therror.HTTP` payload has been generated, along with the payload
+   * * `summary`: Notifications of `Therror.Notificator` errors have been suppressed, along with the summary
+   * * `listenerError`: A listener has failed, along with `{event, error}`
+   *
+   * The listeners can be scoped to the errors of a class, of a namespace or
+   * within a status code range (as `404`, `'5xx'` or `[400, 451]`). A listener
+   * throwing, or rejecting, does not affect the emitting code: the failure is
+   * reported in the `listenerError` event, or as a process warning when nobody
+   * listens to it
+   *
+   * @example
+   * ```js
+   * Therror.on('create', err => metrics.increment(err.name));
+   * Therror.on('log', UserError, (err, level) => audit(err));
+   * Therror.on('payload', { namespace: 'Billing', statusCode: '5xx' }, (err, payload) => alert(err));
+   * ```
+   *
+   * @param {String} ev The event name
+   * @param {class|Object} [scope] The error class, or `{class, namespace, statusCode}`
+   * @param {Function} cb The listener, receiving the error and the event arguments
+   * @returns {Therror}
+   */
+  static on(ev, scope, cb) {
+    events.on(ev, scope, cb);
+    return this;
+  }
+
+  /**
+   * Subscribes to the next occurrence of an event, see `Therror.on()`
+   *
+   * @param {String} ev The event name
+   * @param {class|Object} [scope] The error class, or `{class, namespace, statusCode}`
+   * @param {Function} cb The listener, receiving the error and the event arguments
+   * @returns {Therror}
+   */
+  static once(ev, scope, cb) {
+    events.on(ev, scope, cb, true);
+    return this;
+  }
+
+  /**
+   * Unsubscribes a listener from an event, or all of them when no listener is provided
+   *
+   * @param {String} ev The event name
+   * @param {Function} [cb] The listener
+   * @returns {Therror}
+   */
+  static off(ev, cb) {
+    events.off(ev, cb);
+    return this;
+  }
+
+  static emit(name, payload, ...args) {
+    return events.emit(name, payload, ...args);
+  }
+
+  /**
+   * Records an error on an OpenTelemetry span as an `exception` event, with
+   * the `exception.*` semantic attributes and the Therror ones, and sets the
+   * span status from the HTTP status class of the error
+   *
+   * @example
+   * ```js
+   * const { trace } = require('@opentelemetry/api');
+   *
+   * Therror.recordOn(trace.getActiveSpan(), err, { escaped: true });
+   * ```
+   *
+   * @param {Object} span The span
+   * @param {*} err The error
+   * @param {Object} [opts] The options
+   * @param {Boolean} [opts.escaped] Whether the error escapes the span scope. Defaults to false
+   * @param {String} [opts.kind] The span kind, `server` or `client`. The client errors (4xx) only set the status of client spans. Defaults to `server`
+   * @returns {Therror}
+   */
+  static recordOn(span, err, opts) {
+    tracing.recordOn(span, err, opts);
+    return this;
   }
 
-  static emit(name, payload) {
-    return emitter.emit(name, payload);
+  /**
+   * Registers a tracer, as the OpenTelemetry `trace` API, to record the
+   * `Therror.Notificator` errors on its active span when they are created,
+   * even when their `create` notification is throttled. Call it without a
+   * tracer to stop recording them
+   *
+   * @example
+   * ```js
+   * Therror.registerTracer(require('@opentelemetry/api').trace);
+   * ```
+   *
+   * @param {Object} [tracer] An object with a `getActiveSpan()` method
+   * @returns {Therror}
+   */
+  static registerTracer(tracer) {
+    if (tracer && !_.isFunction(tracer.getActiveSpan)) {
+      throw new TypeError('Expected a tracer with a getActiveSpan method');
+    }
+    Therror.tracer = tracer;
+    return this;
+  }
+
+  /**
+   * Sets the template engine used to generate the messages of all errors,
+   * both from `message` and `parse(tpl)`
+   *
+   * The default `'interpolate'` engine only replaces `${path}` placeholders
+   * with the error properties, and never runs code. Use `'icu'` to opt-in for
+   * the ICU MessageFormat syntax, with plurals, selects and `Intl` number and
+   * date formatting, `'lodash'` for the full lodash template syntax, or
+   * provide your own engine: a function receiving the template and returning
+   * a render function
+   *
+   * @example
+   * ```js
+   * Therror.setTemplateEngine('lodash');
+   *
+   * let err = new Therror('<%= users.join(", ") %> not found', {users: ['John', 'Sarah']});
+   * // [Error: John, Sarah not found]
+   *
+   * Therror.setTemplateEngine(tpl => data => i18n(tpl, data));
+   * ```
+   *
+   * @param {String|Function} engine `'interpolate'`, `'lodash'`, `'icu'` or a template engine function
+   */
+  static setTemplateEngine(engine) {
+    templateEngine = resolveTemplateEngine(engine);
+    templateCache = new WeakMap();
+  }
+
+  /**
+   * Sets what to do when a message template uses a property the error does
+   * not have:
+   *
+   * * `'default'`: Prints the provided value instead. The default policy, printing `''`
+   * * `'literal'`: Prints the placeholder as it was written: `${user}`
+   * * `'throw'`: Throws a ReferenceError when the error is created or its
+   *   template is set. Prints the default value when the message is read.
+   *   The messages taken from the causes are not checked, as they are not
+   *   templates
+   *
+   * @example
+   * ```js
+   * Therror.setMissingPlaceholderPolicy('default', '<unknown>');
+   *
+   * let err = new Therror('The user ${user} does not exists');
+   * // [Error: The user <unknown> does not exists]
+   * ```
+   *
+   * @param {String} policy `'default'`, `'literal'` or `'throw'`
+   * @param {String} [value] The value to print for the `'default'` policy. Defaults to `''`
+   */
+  static setMissingPlaceholderPolicy(policy, value) {
+    if (['default', 'literal', 'throw'].indexOf(policy) === -1) {
+      throw new TypeError(`Invalid missing placeholder policy: ${policy}`);
+    }
+    missingPlaceholders = {
+      policy: policy,
+      value: _.isUndefined(value) ? '' : String(value)
+    };
+  }
+
+  /**
+   * Runs the function until it succeeds, retrying it while it fails with
+   * retryable errors, up to `attempts` times. Waits between attempts an
+   * exponential backoff delay, randomized with "full jitter" to spread the
+   * retries of all the clients failing at the same time
+   *
+   * Whether an error is retryable, and the `retryAfter` and `backoff` hints,
+   * are taken from the first error in its cause chain providing them. See
+   * `Therror.Retryable` and `Therror.retryHints()`
+   *
+   * @example
+   * ```js
+   * Therror.retry(attempt => fetchUser(id), {
+   *   attempts: 5,
+   *   signal: AbortSignal.timeout(10000)
+   * }).then(user => ...);
+   * ```
+   *
+   * @param {Function} fn The function to run. Receives the attempt number and the signal
+   * @param {Object} [opts] The options
+   * @param {Number} [opts.attempts] The max number of attempts. Defaults to 3
+   * @param {Number} [opts.initialDelay] The delay before the second attempt, in ms. Defaults to 100
+   * @param {Number} [opts.maxDelay] The max delay between attempts, in ms. Defaults to 30000
+   * @param {Number} [opts.factor] The delay multiplier for each attempt. Defaults to 2
+   * @param {Boolean} [opts.jitter] Whether to randomize the delays. Defaults to true
+   * @param {AbortSignal} [opts.signal] Stops retrying when aborted, rejecting with its reason
+   * @param {Function} [opts.shouldRetry] Decides whether to retry instead of the error hints: `(err, attempt) => Boolean`
+   * @param {Function} [opts.onRetry] Called before waiting for the next attempt: `(err, attempt, delay) => {}`
+   * @returns {Promise} Resolves with the function result, or rejects with its last error
+   */
+  static retry(fn, opts) {
+    return retry(fn, opts, Therror.retryHints);
+  }
+
+  /**
+   * Gets the retry hints of an error, looking for them through its cause chain
+   *
+   * An error is retryable when it, or the first of its causes saying so, is
+   * `retryable`, has a transient network error code (`ECONNRESET`...) or a
+   * transient HTTP status code (`503`...)
+   *
+   * @param {Error} err The error
+   * @returns {Object} `{retryable, retryAfter, backoff}`
+   */
+  static retryHints(err) {
+    let hints = {};
+    [err].concat(Array.from(walkCauses(err))).forEach(cause => {
+      if (!_.isObject(cause)) {
+        return;
+      }
+      if (_.isUndefined(hints.retryable)) {
+        hints.retryable = isRetryable(cause);
+      }
+      if (_.isUndefined(hints.retryAfter) && cause.retryAfter >= 0) {
+        hints.retryAfter = cause.retryAfter;
+      }
+      if (_.isUndefined(hints.backoff) && _.isObject(cause.backoff)) {
+        hints.backoff = cause.backoff;
+      }
+    });
+    hints.retryable = hints.retryable === true;
+    return hints;
+  }
+
+  /**
+   * Runs the function without the side effects of the errors it creates: they
+   * emit no `create` events, so they are neither reported nor notified, and
+   * are neither counted in `Therror.metrics` nor recorded on the active span.
+   * Useful to create example errors, as `Therror.docs` does
+   *
+   * @example
+   * ```js
+   * let example = Therror.silently(() => new UserNotFound({ user: '<user>' }));
+   * ```
+   *
+   * @param {Function} fn The function to run, synchronously
+   * @returns {*} The function result
+   */
+  static silently(fn) {
+    silenced++;
+    try {
+      return fn();
+    } finally {
+      silenced--;
+    }
   }
 
   //////////
@@ -128,6 +753,10 @@ class Therror extends Error {
       get namespace() {
         return name;
       }
+
+      static get namespace() {
+        return name;
+      }
     };
   }
 
@@ -149,9 +778,13 @@ class Therror extends Error {
    * //    at repl:1:35
    * //    at REPLServer.defaultEval (repl.js:248:27) ...
    * console.log('%j', error);
-   * // {"message":"Something went wrong","name":"FatalError","constructor":"FatalError"}
+   * // {"message":"Something went wrong","name":"FatalError","constructor":"FatalError",
+   * //  "$$template":"Something went wrong","$$fingerprint":"0beec7b5ea3f..."}
    * ```
    *
+   * The JSON keeps the message template of the errors, to be able to rebuild
+   * them with `Therror.fromJSON()`, and their `fingerprint()`
+   *
    * @param {class} [Base] The Base class to extend
    * @returns {class}
    * @constructor
@@ -160,11 +793,34 @@ class Therror extends Error {
     let BaseClass = Base || Therror;
     return class extends BaseClass {
       toString() {
-        return serializeError(this).toString(true);
+        let err = redact(this);
+        return [serializeError(err).toString(true)]
+          .concat(
+            getSerializableCauses(err).map(cause =>
+              serializeError(cause).toString(true)
+            )
+          )
+          .join('\nCaused by: ');
       }
 
       toJSON() {
-        return serializeError(this).toObject();
+        let err = redact(this);
+        let json = toSerializableObject(err);
+        let causes = _.flatMap(getSerializableCauses(err), cause => {
+          let causeJSON = toSerializableObject(cause);
+          return [_.omit(causeJSON, '$$causes')].concat(
+            causeJSON.$$causes || []
+          );
+        });
+        if (causes.length) {
+          json.$$causes = causes;
+        }
+        if (isAggregate(err)) {
+          json.$$errors = err.errors.map(getChildJSON);
+        }
+        json.$$fingerprint = this.fingerprint();
+        Therror.emit('serialize', this, json);
+        return json;
       }
     };
   }
@@ -188,16 +844,48 @@ class Therror extends Error {
    * // { [FatalError: Something went wrong] }
    * ```
    *
+   * The notifications can be deduplicated and rate limited by key, the error
+   * class or its `fingerprint()`, to not flood the listeners with a hot loop
+   * of errors. The suppressed ones are reported every `summaryInterval` in a
+   * `summary` event, and when calling `Therror.Notificator.flush()`. The
+   * options are added to the global ones in `Therror.Notificator`
+   *
+   * @example
+   * ```js
+   * Therror.on('summary', (err, summary) => console.warn(summary.message));
+   *
+   * class Unavailable extends Therror.Notificator({ dedupWindow: 1000, key: 'fingerprint' }) {}
+   * // Unavailable ×1,243 in last 60s
+   * ```
+   *
+   * @param {Object} [opts] The notification options. Can be omitted
+   * @param {Number} [opts.dedupWindow] The ms to suppress the repetitions of a notification
+   * @param {Object} [opts.rateLimit] The max notifications of a key per interval, as `{limit: 10, interval: 60000}`
+   * @param {String|Function} [opts.key] `'class'`, `'fingerprint'` or `err => key`
+   * @param {Number} [opts.summaryInterval] The ms to report the suppressed notifications in
+   * @param {Object} [opts.clock] `{now, setTimeout, clearTimeout}`
    * @param {class} [Base] The Base class to extend
    * @returns {class}
    * @constructor
    */
-  static Notificator(Base) {
+  static Notificator(opts, Base) {
+    if (_.isFunction(opts)) {
+      // Notificator(Base)
+      Base = opts;
+      opts = undefined;
+    }
     let BaseClass = Base || Therror;
     return class extends BaseClass {
       constructor(err, msg, prop) {
         super(err, msg, prop);
-        Therror.emit('create', this);
+        if (!silenced) {
+          Therror.metrics.recordCreated(this);
+          recordOnActiveSpan(this);
+          notify(
+            this,
+            Object.assign(_.pick(Therror.Notificator, NOTIFICATION_KEYS), opts)
+          );
+        }
       }
     };
   }
@@ -236,10 +924,14 @@ class Therror extends Error {
       log(opts) {
         // official support for therror-connect, who calls err.log({req, res})
         // normally, the users may set req.logger as the per-request logger
-        if (opts && opts.req && opts.req.logger && opts.req.logger[level]) {
-          return opts.req.logger[level](this);
-        }
-        return Therror.Loggable.logger[level](this);
+        let logger =
+          opts && opts.req && opts.req.logger && opts.req.logger[level]
+            ? opts.req.logger
+            : Therror.Loggable.logger;
+        let result = logger[level](redact(this));
+        Therror.metrics.recordLogged(this);
+        Therror.emit('log', this, level);
+        return result;
       }
 
       level() {
@@ -248,6 +940,391 @@ class Therror extends Error {
     };
   }
 
+  /**
+   * Mixin to keep sensitive properties out of the error outputs. Adds a
+   * `redact()` method returning a copy of the error, and of its cause chain,
+   * with the matching properties masked or dropped, used by `toJSON()`,
+   * `toString()`, `log()`, `toPayload()` and `toProblem()`. The error
+   * properties are left untouched, so your code can still read them
+   *
+   * The rules are added to the global ones in `Therror.Redactable.keys`,
+   * `Therror.Redactable.paths` and `Therror.Redactable.mode`
+   *
+   * @example
+   * ```js
+   * Therror.Redactable.keys = ['password', '*token*'];
+   *
+   * class LoginError extends Therror.Redactable(
+   *   { paths: ['card.number', 'cards.*.cvv'] },
+   *   Therror.Serializable()
+   * ) {}
+   *
+   * let err = new LoginError('Invalid login for ${user}', {user: 'John', password: '1234'});
+   * err.password; // '1234'
+   * err.toJSON().password; // '[REDACTED]'
+   * ```
+   *
+   * @param {Object} [opts] The redaction rules
+   * @property {String[]} [opts.keys] Property names to redact at any depth, as `password` or `*token*`
+   * @property {String[]} [opts.paths] Property paths to redact, as `user.card` or `cards.*.cvv`. `**` matches any depth
+   * @property {String} [opts.mode] `'mask'` or `'drop'`. Defaults to `Therror.Redactable.mode`
+   * @param {class} [Base] The Base class to extend
+   * @returns {class}
+   * @constructor
+   */
+  static Redactable(opts, Base) {
+    opts = opts || {};
+    let BaseClass = Base || Therror;
+    return class extends BaseClass {
+      redact() {
+        let rules = this.getRedactionRules();
+        if (!rules.keys.length && !rules.paths.length) {
+          return this;
+        }
+        return redaction.redactError(this, rules);
+      }
+
+      getRedactionRules() {
+        let rules = _.isFunction(super.getRedactionRules)
+          ? super.getRedactionRules()
+          : {
+              keys: Therror.Redactable.keys,
+              paths: Therror.Redactable.paths,
+              mode: Therror.Redactable.mode
+            };
+        return {
+          keys: rules.keys.concat(opts.keys || []),
+          paths: rules.paths.concat(opts.paths || []),
+          mode: opts.mode || rules.mode,
+          mask: Therror.Redactable.mask
+        };
+      }
+    };
+  }
+
+  /**
+   * Mixin to tell whether an error is worth retrying, and when. Adds the
+   * `retryable`, `retryAfter` (in ms) and `backoff` properties, defaulting to
+   * the mixin options, which can be overridden per instance.
+   * `Therror.retry()` honours them through the whole cause chain
+   *
+   * `Therror.ServerError` classes are retryable for the status codes in
+   * `Therror.Retryable.STATUS_CODES` (408, 425, 429, 502, 503 and 504). For
+   * the rest `retryable` is undefined, so their causes decide
+   *
+   * @example
+   * ```js
+   * class RateLimited extends Therror.Retryable({ retryAfter: 1000 }) {}
+   *
+   * let err = new RateLimited({ retryAfter: 30000 });
+   * err.retryable; // true
+   * err.retryAfter; // 30000
+   * ```
+   *
+   * @param {Object} [opts] The options
+   * @property {Boolean} [opts.retryable] Whether the errors are retryable. Defaults to true
+   * @property {Number} [opts.retryAfter] The min delay before retrying, in ms
+   * @property {Object} [opts.backoff] The `Therror.retry()` backoff options to use for these errors
+   * @param {class} [Base] The Base class to extend
+   * @returns {class}
+   * @constructor
+   */
+  static Retryable(opts, Base) {
+    opts = Object.assign({ retryable: true }, opts);
+    let BaseClass = Base || Therror;
+    return class extends BaseClass {
+      get retryable() {
+        return getRetryHint(this, 'retryable', opts);
+      }
+
+      set retryable(value) {
+        setRetryHint(this, 'retryable', value);
+      }
+
+      get retryAfter() {
+        return getRetryHint(this, 'retryAfter', opts);
+      }
+
+      set retryAfter(value) {
+        setRetryHint(this, 'retryAfter', value);
+      }
+
+      get backoff() {
+        return getRetryHint(this, 'backoff', opts);
+      }
+
+      set backoff(value) {
+        setRetryHint(this, 'backoff', value);
+      }
+    };
+  }
+
+  /**
+   * Mixin to create errors holding a list of errors, as the native
+   * `AggregateError`, for operations failing several times at once: batch
+   * imports, parallel requests... The errors are available in the `errors`
+   * property, to be used in the message template, and are included in the
+   * `toJSON()` and `toPayload()` outputs, each one with its own redaction and
+   * hiding rules
+   *
+   * @example
+   * ```js
+   * class ImportFailed extends Therror.Aggregate(Therror.ServerError.BadRequest) {}
+   *
+   * let err = new ImportFailed([new InvalidRow({row: 1}), new InvalidRow({row: 7})],
+   *   '${errors.length} rows are invalid');
+   *
+   * err.message; // '2 rows are invalid'
+   * err.filter(InvalidRow).length; // 2
+   * for (let rowError of err) {
+   *   // ...
+   * }
+   * ```
+   *
+   * @param {class} [Base] The Base class to extend
+   * @returns {class}
+   * @constructor
+   */
+  static Aggregate(Base) {
+    let BaseClass = Base || Therror;
+    return class extends BaseClass {
+      constructor(errors) {
+        let args = getArguments(
+          _.isArray(errors)
+            ? Array.prototype.slice.call(arguments, 1)
+            : arguments
+        );
+        let properties = Object.assign.apply(
+          null,
+          [{}].concat(args.properties.filter(_.isObject))
+        );
+        properties.errors = Array.from(
+          _.isArray(errors) ? errors : properties.errors || []
+        );
+
+        let message =
+          args.message ||
+          getMixinMessage(BaseClass, '${errors.length} errors occurred');
+        let superArgs = [properties];
+        if (message) {
+          superArgs.unshift(message);
+        }
+        if (!_.isUndefined(args.cause)) {
+          superArgs.unshift(args.cause);
+        }
+
+        super(...superArgs);
+        setErrors(this, this.errors);
+      }
+
+      get [aggregateSymbol]() {
+        return true;
+      }
+
+      [Symbol.iterator]() {
+        return this.errors[Symbol.iterator]();
+      }
+
+      /**
+       * Gets the errors matching the provided class, error name or predicate
+       *
+       * @param {class|String|Function} predicate
+       * @returns {Array}
+       */
+      filter(predicate) {
+        return this.errors.filter(causeMatcher(predicate));
+      }
+
+      /**
+       * Gets the `errors` member of the HTTP payloads: the payloads of the
+       * aggregated errors
+       *
+       * @param {Object} [opts] The payload options
+       * @returns {Object[]}
+       */
+      getPayloadErrors(opts) {
+        return this.errors.map(child => getChildPayload(child, opts));
+      }
+    };
+  }
+
+  /**
+   * Mixin to reject the input with the problems found in each of its fields.
+   * Collects entries as `{path, rule, message, value}`, where `message` is a
+   * template rendered with the entry and the error properties, using the same
+   * engine as `message`. The error message defaults to the summary of the
+   * entries messages, and `toPayload()` includes them in an `errors` array,
+   * without their values
+   *
+   * The entries messages are localized with the catalog messages keyed by
+   * `Code.rule`, `Name.rule` or `rule`
+   *
+   * @example
+   * ```js
+   * class InvalidUser extends Therror.Validation(Therror.ServerError.UnprocessableEntity) {}
+   *
+   * let err = new InvalidUser()
+   *   .add('email', 'required', '${path} is required')
+   *   .add({ path: 'age', rule: 'min', min: 18, value: 12, message: '${path} must be at least ${min}' });
+   *
+   * err.message; // 'email is required, age must be at least 18'
+   * err.toPayload();
+   * // {
+   * //   error: 'InvalidUser',
+   * //   message: 'email is required, age must be at least 18',
+   * //   errors: [
+   * //     { path: 'email', rule: 'required', message: 'email is required' },
+   * //     { path: 'age', rule: 'min', message: 'age must be at least 18' }
+   * //   ]
+   * // }
+   * ```
+   *
+   * @param {class} [Base] The Base class to extend
+   * @returns {class}
+   * @constructor
+   */
+  static Validation(Base) {
+    let BaseClass = Base || Therror;
+    // the instances with this message show the summary of their entries
+    let summaryMessage = BaseClass.messageTemplate || 'Validation failed';
+    return class extends BaseClass {
+      constructor(entries) {
+        let args = getArguments(
+          _.isArray(entries)
+            ? Array.prototype.slice.call(arguments, 1)
+            : arguments
+        );
+        let properties = Object.assign.apply(
+          null,
+          [{}].concat(args.properties.filter(_.isObject))
+        );
+        entries = _.isArray(entries) ? entries : properties.entries || [];
+        properties.entries = [];
+
+        let superArgs = [args.message || summaryMessage, properties];
+        if (!_.isUndefined(args.cause)) {
+          superArgs.unshift(args.cause);
+        }
+
+        super(...superArgs);
+        entries.forEach(entry => this.add(entry));
+      }
+
+      /**
+       * Adds an entry, as `(path, rule, message, value)` or as an object
+       * with any other property to be used in its message template
+       *
+       * @param {String|String[]|Object} path The property path of the field, or the entry
+       * @param {String} [rule] The rule the field does not meet, as `required`
+       * @param {String} [message] The message template. Defaults to `Therror.Validation.defaultMessage`
+       * @param {*} [value] The invalid value
+       * @returns {this}
+       */
+      add(path, rule, message, value) {
+        let entry = _.isPlainObject(path)
+          ? Object.assign({}, path)
+          : { path: path, rule: rule, message: message, value: value };
+        if (_.isArray(entry.path)) {
+          entry.path = entry.path.join('.');
+        }
+        this.entries.push(_.omitBy(entry, _.isUndefined));
+        return this;
+      }
+
+      set message(value) {
+        super.message = value;
+      }
+
+      get message() {
+        return this.isSummary() ? this.getSummary() : super.message;
+      }
+
+      localize(locale) {
+        if (this.isSummary()) {
+          return this.getSummary({ locale: locale });
+        }
+        return _.isFunction(super.localize)
+          ? super.localize(locale)
+          : renderMessage(this, { locale: locale });
+      }
+
+      /**
+       * Whether the message is the summary of the entries: there are entries,
+       * and the error was created without message
+       *
+       * @returns {Boolean}
+       */
+      isSummary() {
+        return (
+          this[templateSymbol] === summaryMessage &&
+          _.isArray(this.entries) &&
+          this.entries.length > 0
+        );
+      }
+
+      /**
+       * Gets the messages of the entries, joined
+       *
+       * @param {Object} [opts] The render options, as the `locale`
+       * @returns {String}
+       */
+      getSummary(opts) {
+        return this.entries
+          .map(entry => this.getEntryMessage(entry, opts))
+          .join(', ');
+      }
+
+      /**
+       * Gets the message of the entry, localized when a locale is provided
+       *
+       * @param {Object} entry The entry
+       * @param {Object} [opts] The render options, as the `locale`
+       * @returns {String}
+       */
+      getEntryMessage(entry, opts) {
+        let locale = opts && opts.locale;
+        let tpl =
+          (locale &&
+            entry.rule &&
+            catalogs.message(locale, [
+              this.constructor.code && `${this.constructor.code}.${entry.rule}`,
+              `${this.name}.${entry.rule}`,
+              `${this.constructor.name}.${entry.rule}`,
+              entry.rule
+            ])) ||
+          entry.message ||
+          Therror.Validation.defaultMessage;
+        return render(String(tpl), Object.assign(Object.create(this), entry), {
+          locale: locale
+        });
+      }
+
+      /**
+       * Gets the `errors` member of the HTTP payloads: the entries, without
+       * their values
+       *
+       * @param {Object} [opts] The payload options
+       * @returns {Object[]}
+       */
+      getPayloadErrors(opts) {
+        if (this.statusCode >= 500) {
+          return undefined;
+        }
+        let locale = getPayloadLocale(opts);
+        return this.entries.map(entry =>
+          _.omitBy(
+            {
+              path: entry.path,
+              rule: entry.rule,
+              message: this.getEntryMessage(entry, { locale: locale })
+            },
+            _.isUndefined
+          )
+        );
+      }
+    };
+  }
+
   /**
    * Mixin to add preconfigured message to a Therror. It's sugar for your mixins
    * chain to share the same message across all app
@@ -276,8 +1353,70 @@ class Therror extends Error {
 
         args.message = args.message || msg;
 
-        // TODO Support multiple properties
-        super(args.cause, args.message, args.properties[0]);
+        super(args.cause, args.message, ...args.properties);
+      }
+
+      static get messageTemplate() {
+        return msg;
+      }
+    };
+  }
+
+  /**
+   * Mixin to add localized messages to a Therror. Adds a `localize(locale)`
+   * method returning the message in the requested locale, generated with
+   * `parse(tpl)` from the message catalogs registered with
+   * `Therror.Localizable.register(locale, catalog)`
+   *
+   * Catalogs map error codes or (namespaced) error names to message templates.
+   * Missing messages are looked up in the less specific locales, and then in
+   * the `Therror.Localizable.defaultLocale` one: `es-AR`, `es`, default.
+   * The `STATUS_CODES` key of a catalog holds the localized texts for
+   * `Therror.HTTP.STATUS_CODES`, used for the HTTP errors with the default
+   * message, and for the hidden payloads of the ones with statusCode >= 500
+   *
+   * @example
+   * ```js
+   * Therror.Localizable.register('es', {
+   *   UserNotFound: 'El usuario ${user} no existe',
+   *   STATUS_CODES: { 503: 'Servicio no disponible' }
+   * });
+   *
+   * class UserNotFound extends Therror.Localizable(Therror.ServerError.NotFound) {}
+   *
+   * let err = new UserNotFound('The user ${user} does not exists', {user: 'John'});
+   *
+   * err.localize('es-AR'); // 'El usuario John no existe'
+   * err.toPayload({acceptLanguage: 'es-AR,es;q=0.9,en;q=0.5'});
+   * // {
+   * //    error: 'UserNotFound',
+   * //    message: 'El usuario John no existe'
+   * // }
+   * ```
+   *
+   * @param {class} [Base] The Base class to extend
+   * @returns {class}
+   * @constructor
+   */
+  static Localizable(Base) {
+    let BaseClass = Base || Therror;
+    return class extends BaseClass {
+      localize(locale) {
+        let tpl = catalogs.message(locale, [
+          this.constructor.code,
+          this.name,
+          this.constructor.name
+        ]);
+        if (
+          _.isUndefined(tpl) &&
+          !_.isUndefined(this.statusCode) &&
+          this[templateSymbol] === getStatusText(this.statusCode)
+        ) {
+          tpl = catalogs.statusText(locale, getResponseStatus(this.statusCode));
+        }
+        return _.isUndefined(tpl)
+          ? renderMessage(this, { locale: locale })
+          : this.parse(tpl, { locale: locale });
       }
     };
   }
@@ -318,6 +1457,49 @@ class Therror extends Error {
    * // }
    * ```
    *
+   * Also exposes a toProblem() method, returning a RFC 9457 (formerly RFC 7807)
+   * Problem Details object, following the same hiding rules. Each class can
+   * declare its own problem `type` URI and extension members overriding
+   * `getProblemType()` and `getProblemExtensions()`. Set
+   * `Therror.HTTP.problemDetails = true` to make toPayload() return it
+   *
+   * @example
+   * ```js
+   * class OutOfCredit extends Therror.HTTP('403') {
+   *   getProblemType() {
+   *     return 'https://example.com/probs/out-of-credit';
+   *   }
+   *
+   *   getProblemExtensions() {
+   *     return { balance: this.balance };
+   *   }
+   * }
+   *
+   * let err = new OutOfCredit('Your balance is ${balance}', {balance: 30});
+   *
+   * res.set('Content-Type', Therror.HTTP.PROBLEM_CONTENT_TYPE);
+   * res.json(err.toProblem({instance: '/account/12345/msgs/abc'}))
+   * // {
+   * //    type: 'https://example.com/probs/out-of-credit',
+   * //    title: 'Forbidden',
+   * //    status: 403,
+   * //    detail: 'Your balance is 30',
+   * //    instance: '/account/12345/msgs/abc',
+   * //    balance: 30
+   * // }
+   * ```
+   *
+   * The render(accept) method renders the payload in the media type preferred
+   * by an `Accept` header: JSON, Problem Details, plain text, an HTML page or
+   * XML, or any other registered with `Therror.HTTP.registerRenderer()`
+   *
+   * @example
+   * ```js
+   * let rendered = err.render(req.headers.accept);
+   * res.set('Content-Type', rendered.contentType); // text/html; charset=utf-8
+   * res.send(rendered.body);
+   * ```
+   *
    * @param {String|Integer} statusCode The error Status Code
    * @param {class} [Base] The Base class to extend. Defaults to Therror
    * @returns {class}
@@ -336,44 +1518,258 @@ class Therror extends Error {
           Therror.HTTP.STATUS_CODES[statusCode] ||
           Therror.HTTP.STATUS_CODES[500];
 
-        // TODO Support multiple properties
-        super(args.cause, args.message, args.properties[0]);
+        super(args.cause, args.message, ...args.properties);
+        if (!silenced) {
+          Therror.metrics.recordCreated(this);
+        }
       }
 
-      toPayload() {
-        return {
-          error: this.getPayloadErrorName(),
-          message: this.getPayloadMessage()
+      toPayload(opts) {
+        if (Therror.HTTP.problemDetails) {
+          return this.toProblem(opts);
+        }
+        let err = redact(this);
+        let payload = {
+          error: err.getPayloadErrorName(),
+          message: err.getPayloadMessage(opts)
+        };
+        let code = getClassCode(this);
+        if (!_.isUndefined(code)) {
+          payload.code = code;
+        }
+        let context = Therror.context.getExposed(err.context);
+        if (context) {
+          payload.context = context;
+        }
+        if (_.isFunction(err.getPayloadErrors)) {
+          let errors = err.getPayloadErrors(opts);
+          if (errors) {
+            payload.errors = errors;
+          }
+        }
+        Therror.emit('payload', this, payload);
+        return payload;
+      }
+
+      toProblem(opts) {
+        opts = opts || {};
+        let err = redact(this);
+        let problem = {
+          type: err.getProblemType(),
+          title: err.getProblemTitle(opts),
+          status: getResponseStatus(this.statusCode),
+          detail: err.getPayloadMessage(opts)
         };
+        if (opts.instance) {
+          problem.instance = opts.instance;
+        }
+        if (_.isFunction(err.getPayloadErrors)) {
+          let errors = err.getPayloadErrors(opts);
+          if (errors) {
+            problem.errors = errors;
+          }
+        }
+        let code = getClassCode(this);
+        // standard members can not be overwritten by the extensions
+        problem = Object.assign(
+          _.isUndefined(code) ? {} : { code: code },
+          _.omitBy(
+            { context: Therror.context.getExposed(err.context) },
+            _.isUndefined
+          ),
+          err.getProblemExtensions(),
+          problem
+        );
+        Therror.emit('payload', this, problem);
+        return problem;
+      }
+
+      getProblemType() {
+        return 'about:blank';
       }
 
-      getPayloadMessage() {
-        return this.statusCode < 500
-          ? this.message
-          : Therror.HTTP.STATUS_CODES[this.statusCode] ||
-              Therror.HTTP.STATUS_CODES[500];
+      getProblemTitle(opts) {
+        return getStatusText(this.statusCode, getPayloadLocale(opts));
+      }
+
+      getProblemExtensions() {
+        return {};
+      }
+
+      getPayloadMessage(opts) {
+        let locale = getPayloadLocale(opts);
+        if (getResponseStatus(this.statusCode) >= 500) {
+          return getStatusText(this.statusCode, locale);
+        }
+        return locale && _.isFunction(this.localize)
+          ? this.localize(locale)
+          : this.message;
       }
 
       getPayloadErrorName() {
-        return this.statusCode < 500
+        let status = getResponseStatus(this.statusCode);
+        return status < 500
           ? this.name
-          : _.upperFirst(
-              _.camelCase(
-                Therror.HTTP.STATUS_CODES[this.statusCode] ||
-                  Therror.HTTP.STATUS_CODES[500]
-              )
-            );
+          : _.upperFirst(_.camelCase(Therror.HTTP.STATUS_CODES[status]));
+      }
+
+      // The body in the preferred media type of the `Accept` header, or the default one
+      render(accept, opts) {
+        let registered = Therror.HTTP.renderers;
+        let defaultType = Therror.HTTP.problemDetails
+          ? Therror.HTTP.PROBLEM_CONTENT_TYPE
+          : 'application/json';
+        let contentType =
+          renderers.negotiate(
+            accept,
+            _.uniq([defaultType].concat(Object.keys(registered))).filter(type =>
+              _.isFunction(registered[type])
+            )
+          ) || defaultType;
+        return {
+          contentType: `${contentType}; charset=utf-8`,
+          body: registered[contentType](redact(this), opts)
+        };
+      }
+
+      // Retry-After (in seconds) for the Therror.Retryable errors with retryAfter
+      getHeaders() {
+        let headers = {};
+        if (this.retryAfter > 0) {
+          headers['Retry-After'] = String(Math.ceil(this.retryAfter / 1000));
+        }
+        return headers;
+      }
+
+      get statusCode() {
+        return statusCode;
+      }
+
+      static get messageTemplate() {
+        return (
+          Therror.HTTP.STATUS_CODES[statusCode] ||
+          Therror.HTTP.STATUS_CODES[500]
+        );
+      }
+    };
+  }
+
+  /**
+   * Mixin to create gRPC errors, with a canonical status code
+   *
+   * Exposes a toStatus() method meant to get the status sent to the client.
+   * When the code is INTERNAL or UNKNOWN (`Therror.GRPC.MASKED_CODES`), or
+   * the error is an HTTP 5xx one, as `toPayload()` hides its message, it sets
+   * a generic `details` to hide the implementation details to the user,
+   * while having the original properties untouched to log the error
+   *
+   * @example
+   * ```js
+   * class UserNotFound extends Therror.GRPC('NOT_FOUND') {}
+   *
+   * let err = new UserNotFound('The user ${user} does not exists', {user: 'Sarah'});
+   *
+   * callback(err.toStatus());
+   * // {
+   * //    code: 5,
+   * //    details: 'The user Sarah does not exists',
+   * //    metadata: {}
+   * // }
+   * ```
+   *
+   * Without a code, it is mapped from the HTTP status code of the base class,
+   * so one error can serve both transports
+   *
+   * @example
+   * ```js
+   * class UserNotFound extends Therror.GRPC(Therror.ServerError({statusCode: 404})) {}
+   *
+   * let err = new UserNotFound();
+   * err.statusCode; // 404
+   * err.grpcCode; // 5
+   * ```
+   *
+   * Some convenience shortcut classes are available in Therror.GRPC, as
+   * `Therror.GRPC.NotFound` or `Therror.GRPC[5]`
+   *
+   * @param {String|Integer} [code] The gRPC status code, or its name. Defaults to the one of the HTTP status code, or UNKNOWN
+   * @param {class} [Base] The Base class to extend. Defaults to Therror
+   * @returns {class}
+   * @constructor
+   */
+  static GRPC(code, Base) {
+    if (_.isFunction(code)) {
+      // Therror.GRPC(Base)
+      Base = code;
+      code = undefined;
+    }
+    let BaseClass = Base || Therror;
+    let grpcCode = _.isNil(code) ? undefined : getGRPCCode(code);
+    let messageTemplate = getGRPCMessage(
+      _.isUndefined(grpcCode) ? getGRPCCode('UNKNOWN') : grpcCode
+    );
+    return class extends BaseClass {
+      constructor() {
+        let args = getArguments(arguments);
+
+        let message =
+          args.message ||
+          (args.cause && args.cause.message) ||
+          getMixinMessage(BaseClass, messageTemplate);
+
+        if (message) {
+          super(args.cause, message, ...args.properties);
+        } else {
+          super(...arguments);
+        }
+      }
+
+      toStatus(opts) {
+        let err = redact(this);
+        return {
+          code: this.grpcCode,
+          details: err.getStatusDetails(opts),
+          metadata: err.getStatusMetadata()
+        };
+      }
+
+      getStatusDetails(opts) {
+        if (
+          Therror.GRPC.MASKED_CODES.indexOf(this.grpcCode) !== -1 ||
+          this.statusCode >= 500
+        ) {
+          return getGRPCMessage(this.grpcCode);
+        }
+        let locale = getPayloadLocale(opts);
+        return locale && _.isFunction(this.localize)
+          ? this.localize(locale)
+          : this.message;
+      }
+
+      getStatusMetadata() {
+        let code = getClassCode(this);
+        return _.isUndefined(code) ? {} : { code: String(code) };
+      }
+
+      get grpcCode() {
+        if (!_.isUndefined(grpcCode)) {
+          return grpcCode;
+        }
+        return _.isUndefined(this.statusCode)
+          ? getGRPCCode('UNKNOWN')
+          : Therror.GRPC.fromHTTP(this.statusCode);
       }
 
-      get statusCode() {
-        return statusCode;
+      static get messageTemplate() {
+        return BaseClass.messageTemplate || messageTemplate;
       }
     };
   }
 
   /**
    * Mixin with a server common use case
-   * Includes Therror.Notificator, Therror.Loggagle, Therror.WithMessage and
+   * Includes Therror.Notificator, Therror.Loggagle, Therror.Redactable,
+   * Therror.Retryable, Therror.Localizable, Therror.WithMessage and
    * Therror.HTTP mixins
    *
    * @example
@@ -390,6 +1786,12 @@ class Therror extends Error {
    * @property {String} [opt.level] The Logging level. Defaults to 'error'
    * @property {String} [opt.statusCode] The HTTP Status code. Defaults to 500
    * @property {String} [opt.message] The Error message. Defaults to HTTP default one
+   * @property {String} [opt.code] The stable machine code of the error, as `USER.NOT_FOUND`
+   * @property {Object} [opt.notify] The notification options. See Therror.Notificator
+   * @property {Object} [opt.redact] The redaction rules. See Therror.Redactable
+   * @property {Boolean} [opt.retryable] Whether the errors are retryable. Defaults to true for Therror.Retryable.STATUS_CODES, else their causes decide
+   * @property {Number} [opt.retryAfter] The min delay before retrying, in ms
+   * @property {Object} [opt.backoff] The Therror.retry() backoff options to use for these errors
    * @param {class} [Base] The Base class to extend
    * @returns {class}
    * @constructor
@@ -398,26 +1800,115 @@ class Therror extends Error {
     opt = opt || {};
     Base = Base || Therror;
 
+    let statusCode = parseInt(opt.statusCode || 500, 10);
     let WithMessage = opt.message
       ? Therror.WithMessage.bind(null, opt.message)
       : Passthru => Passthru; // Passthru mixin, to use Therror.HTTP default message
 
-    return Therror.Notificator(
-      // emit events on error creations
+    let ServerErrorClass = Therror.Notificator(
+      opt.notify, // emit events on error creations
       Therror.Loggable(
         opt.level, // make easy logging
-        WithMessage(
-          // Specify message on classes instead of instances
-          Therror.HTTP(
-            opt.statusCode, // make this error an HTTP one
-            Base
+        Therror.Redactable(
+          opt.redact, // keep secrets out of logs and payloads
+          Therror.Retryable(
+            {
+              // tell the clients whether to retry
+              retryable: _.isUndefined(opt.retryable)
+                ? Therror.Retryable.STATUS_CODES.indexOf(statusCode) !== -1 ||
+                  undefined
+                : opt.retryable,
+              retryAfter: opt.retryAfter,
+              backoff: opt.backoff
+            },
+            Therror.Localizable(
+              // translate messages
+              WithMessage(
+                // Specify message on classes instead of instances
+                Therror.HTTP(
+                  opt.statusCode, // make this error an HTTP one
+                  Base
+                )
+              )
+            )
           )
         )
       )
     );
+
+    if (opt.code) {
+      // The code for the classes extending this one, to register them
+      Object.defineProperty(ServerErrorClass, 'code', {
+        configurable: true,
+        value: opt.code
+      });
+    }
+    return ServerErrorClass;
   }
 }
 
+// The metrics of the Therror.Notificator, Therror.Loggable and Therror.HTTP errors
+Therror.metrics = new Metrics();
+
+// The context captured by the errors created inside Therror.context.run()
+Therror.context = new Context();
+
+// The tracer registered with Therror.registerTracer()
+Therror.tracer = undefined;
+
+// The in-memory tracer, to inspect the recorded errors without a collector
+Therror.MemoryTracer = tracing.MemoryTracer;
+
+// The throttled Therror.Notificator notifications
+const throttle = new Throttle(summary =>
+  Therror.emit('summary', summary.error, summary)
+);
+
+// The notification options of all Therror.Notificator errors. Throttling is
+// disabled unless a dedupWindow or a rateLimit is set
+Therror.Notificator.dedupWindow = 0;
+Therror.Notificator.rateLimit = undefined;
+Therror.Notificator.key = 'class';
+Therror.Notificator.summaryInterval = 60000;
+Therror.Notificator.clock = Throttle.systemClock;
+// Reports the suppressed notifications now, as before exiting
+Therror.Notificator.flush = () => throttle.flush();
+// Forgets the notifications, without reporting them
+Therror.Notificator.clear = () => throttle.clear();
+
+// The properties redacted by all Therror.Redactable errors
+Therror.Redactable.keys = [];
+Therror.Redactable.paths = [];
+// 'mask' replaces the redacted values with Therror.Redactable.mask, 'drop' removes them
+Therror.Redactable.mode = 'mask';
+Therror.Redactable.mask = '[REDACTED]';
+
+// The message template of the Therror.Validation entries without message
+Therror.Validation.defaultMessage = '${path} is not valid';
+
+// The HTTP status codes of the retryable Therror.ServerError classes
+Therror.Retryable.STATUS_CODES = [408, 425, 429, 502, 503, 504];
+// The codes of the transient network errors, retryable by Therror.retry()
+Therror.Retryable.ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+// The message catalogs for Therror.Localizable errors
+Therror.Localizable.register = (locale, catalog) =>
+  catalogs.register(locale, catalog);
+Therror.Localizable.catalogs = catalogs;
+Object.defineProperty(Therror.Localizable, 'defaultLocale', {
+  enumerable: true,
+  get: () => catalogs.defaultLocale,
+  set: locale => {
+    catalogs.defaultLocale = locale;
+  }
+});
+
 // The status codes used to autogenerate classes and messages
 Object.defineProperty(Therror.HTTP, 'STATUS_CODES', {
   enumerable: false,
@@ -465,6 +1956,749 @@ Object.defineProperty(Therror.HTTP, 'STATUS_CODES', {
   }
 });
 
+// The canonical gRPC status codes
+Object.defineProperty(Therror.GRPC, 'STATUS_CODES', {
+  enumerable: false,
+  value: {
+    '0': 'OK',
+    '1': 'CANCELLED',
+    '2': 'UNKNOWN',
+    '3': 'INVALID_ARGUMENT',
+    '4': 'DEADLINE_EXCEEDED',
+    '5': 'NOT_FOUND',
+    '6': 'ALREADY_EXISTS',
+    '7': 'PERMISSION_DENIED',
+    '8': 'RESOURCE_EXHAUSTED',
+    '9': 'FAILED_PRECONDITION',
+    '10': 'ABORTED',
+    '11': 'OUT_OF_RANGE',
+    '12': 'UNIMPLEMENTED',
+    '13': 'INTERNAL',
+    '14': 'UNAVAILABLE',
+    '15': 'DATA_LOSS',
+    '16': 'UNAUTHENTICATED'
+  }
+});
+
+// The gRPC status codes whose `toStatus()` details are hidden to the user
+Therror.GRPC.MASKED_CODES = [2, 13];
+
+// The gRPC status codes of the HTTP status codes, used by Therror.GRPC.fromHTTP()
+Therror.GRPC.FROM_HTTP = {
+  '400': 'INVALID_ARGUMENT',
+  '401': 'UNAUTHENTICATED',
+  '403': 'PERMISSION_DENIED',
+  '404': 'NOT_FOUND',
+  '408': 'DEADLINE_EXCEEDED',
+  '409': 'ALREADY_EXISTS',
+  '410': 'NOT_FOUND',
+  '412': 'FAILED_PRECONDITION',
+  '416': 'OUT_OF_RANGE',
+  '422': 'INVALID_ARGUMENT',
+  '428': 'FAILED_PRECONDITION',
+  '429': 'RESOURCE_EXHAUSTED',
+  '499': 'CANCELLED',
+  '500': 'INTERNAL',
+  '501': 'UNIMPLEMENTED',
+  '502': 'UNAVAILABLE',
+  '503': 'UNAVAILABLE',
+  '504': 'DEADLINE_EXCEEDED'
+};
+
+// The HTTP status codes of the gRPC status codes, used by Therror.GRPC.toHTTP()
+Therror.GRPC.TO_HTTP = {
+  OK: 200,
+  CANCELLED: 499,
+  UNKNOWN: 500,
+  INVALID_ARGUMENT: 400,
+  DEADLINE_EXCEEDED: 504,
+  NOT_FOUND: 404,
+  ALREADY_EXISTS: 409,
+  PERMISSION_DENIED: 403,
+  RESOURCE_EXHAUSTED: 429,
+  FAILED_PRECONDITION: 400,
+  ABORTED: 409,
+  OUT_OF_RANGE: 400,
+  UNIMPLEMENTED: 501,
+  INTERNAL: 500,
+  UNAVAILABLE: 503,
+  DATA_LOSS: 500,
+  UNAUTHENTICATED: 401
+};
+
+/**
+ * Gets the gRPC status code of an HTTP status code, from
+ * `Therror.GRPC.FROM_HTTP`. The unmapped client errors are FAILED_PRECONDITION,
+ * and the unmapped server errors INTERNAL
+ *
+ * @example
+ * ```js
+ * Therror.GRPC.fromHTTP(404); // 5 (NOT_FOUND)
+ * ```
+ *
+ * @param {String|Integer} statusCode The HTTP status code
+ * @returns {Integer}
+ */
+Therror.GRPC.fromHTTP = function(statusCode) {
+  statusCode = parseInt(statusCode, 10);
+  let name = Therror.GRPC.FROM_HTTP[statusCode];
+  if (!name) {
+    if (statusCode >= 500) {
+      name = 'INTERNAL';
+    } else if (statusCode >= 400) {
+      name = 'FAILED_PRECONDITION';
+    } else {
+      name = statusCode >= 200 && statusCode < 300 ? 'OK' : 'UNKNOWN';
+    }
+  }
+  return getGRPCCode(name);
+};
+
+/**
+ * Gets the HTTP status code of a gRPC status code, from `Therror.GRPC.TO_HTTP`
+ *
+ * @example
+ * ```js
+ * Therror.GRPC.toHTTP('NOT_FOUND'); // 404
+ * Therror.GRPC.toHTTP(14); // 503
+ * ```
+ *
+ * @param {String|Integer} code The gRPC status code, or its name
+ * @returns {Integer}
+ */
+Therror.GRPC.toHTTP = function(code) {
+  return (
+    Therror.GRPC.TO_HTTP[Therror.GRPC.STATUS_CODES[getGRPCCode(code)]] || 500
+  );
+};
+
+// The max number of compiled templates to keep in memory. 0 disables the cache
+Therror.templateCacheSize = 1000;
+
+// When true, `toPayload()` returns the Problem Details object from `toProblem()`
+Therror.HTTP.problemDetails = false;
+
+// The media type to send along with `toProblem()` responses
+Therror.HTTP.PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// The renderers of `render()` by media type, see `Therror.HTTP.registerRenderer()`
+Therror.HTTP.renderers = {
+  'application/json': renderers.json,
+  [Therror.HTTP.PROBLEM_CONTENT_TYPE]: renderers.problem,
+  'text/plain': renderers.text,
+  'text/html': renderers.html,
+  'application/xml': renderers.xml,
+  'text/xml': renderers.xml
+};
+
+/**
+ * Registers a renderer to be negotiated by the `render()` method of the
+ * `Therror.HTTP` errors, replacing the current one of the media type
+ *
+ * @example
+ * ```js
+ * Therror.HTTP.registerRenderer('text/csv', (err, opts) =>
+ *   `${err.getPayloadErrorName()},${err.getPayloadMessage(opts)}`
+ * );
+ * ```
+ *
+ * @param {String} contentType The media type, as `text/csv`
+ * @param {Function} renderer `(err, opts) => String`, receiving the redacted error and the payload options
+ */
+Therror.HTTP.registerRenderer = function(contentType, renderer) {
+  if (!_.isString(contentType) || !_.isFunction(renderer)) {
+    throw new TypeError('Expected a media type and a renderer function');
+  }
+  Therror.HTTP.renderers[contentType.toLowerCase()] = renderer;
+};
+
+/**
+ * Gets the compiled template for the source using the provided engine.
+ * Templates are cached by engine and source, as all the instances of an error
+ * class usually share the same one. When the cache of an engine is full, its
+ * oldest template is evicted
+ *
+ * @param {String} source The template
+ * @param {Function} engine The template engine
+ * @returns {Function} The render function
+ */
+function compile(source, engine) {
+  if (!(Therror.templateCacheSize > 0)) {
+    return engine(source);
+  }
+
+  let cache = templateCache.get(engine);
+  if (!cache) {
+    cache = new Map();
+    templateCache.set(engine, cache);
+  }
+
+  let render = cache.get(source);
+  if (!render) {
+    render = engine(source);
+    while (cache.size >= Therror.templateCacheSize) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, render);
+  }
+  return render;
+}
+
+// The engine of the error class, or the global one. The one of the class is
+// resolved once, as its getter can return a new function on every call
+function getTemplateEngine(ErrorClass) {
+  if (!_.isFunction(ErrorClass)) {
+    return templateEngine;
+  }
+  let engine = classEngines.get(ErrorClass);
+  if (_.isUndefined(engine)) {
+    engine = ErrorClass.templateEngine;
+    engine = engine ? resolveTemplateEngine(engine) : null;
+    classEngines.set(ErrorClass, engine);
+  }
+  return engine || templateEngine;
+}
+
+function resolveTemplateEngine(engine) {
+  if (_.isString(engine)) {
+    engine = templateEngines[engine];
+  }
+  if (!_.isFunction(engine)) {
+    throw new TypeError('Invalid template engine');
+  }
+  return engine;
+}
+
+function getRetryHint(err, name, defaults) {
+  let hints = err[retrySymbol];
+  return hints && _.has(hints, name) ? hints[name] : defaults[name];
+}
+
+function setRetryHint(err, name, value) {
+  if (!_.has(err, retrySymbol)) {
+    Object.defineProperty(err, retrySymbol, { value: {} });
+  }
+  err[retrySymbol][name] = value;
+}
+
+// Whether the error says it is retryable, or has a transient code or status code
+function isRetryable(err) {
+  if (_.isBoolean(err.retryable)) {
+    return err.retryable;
+  }
+  if (Therror.Retryable.ERROR_CODES.indexOf(err.code) !== -1) {
+    return true;
+  }
+  let statusCode = parseInt(err.statusCode || err.status, 10);
+  if (Therror.Retryable.STATUS_CODES.indexOf(statusCode) !== -1) {
+    return true;
+  }
+  return undefined;
+}
+
+// The `errors` of Therror.Aggregate errors are not regular properties
+function setErrors(err, errors) {
+  Object.defineProperty(err, 'errors', {
+    enumerable: false,
+    writable: true,
+    configurable: true,
+    value: errors
+  });
+}
+
+function isAggregate(err) {
+  return err[aggregateSymbol] === true && _.isArray(err.errors);
+}
+
+// The JSON of the aggregated errors, serialized by themselves when they can
+function getChildJSON(child) {
+  if (child instanceof Error && _.isFunction(child.toJSON)) {
+    return child.toJSON();
+  }
+  return toSerializableObject(_.isObject(child) ? redact(child) : child);
+}
+
+// The payload of the aggregated errors, hidden when they are not HTTP ones
+function getChildPayload(child, opts) {
+  if (_.isObject(child) && _.isFunction(child.toPayload)) {
+    return child.toPayload(opts);
+  }
+  return {
+    error: _.upperFirst(_.camelCase(Therror.HTTP.STATUS_CODES[500])),
+    message: getStatusText(500, getPayloadLocale(opts))
+  };
+}
+
+// Emits the create event, unless the notification is throttled
+function notify(err, opts) {
+  if (!(opts.dedupWindow > 0) && !opts.rateLimit) {
+    Therror.emit('create', err);
+    return;
+  }
+  let key = _.isFunction(opts.key)
+    ? opts.key(err)
+    : opts.key === 'fingerprint'
+    ? err.fingerprint()
+    : err.constructor;
+  if (throttle.accept(key, err, opts)) {
+    Therror.emit('create', err);
+  }
+}
+
+// Records the created error on the active span right away, as it can end in
+// the same tick, and updates its type once the error is fully built, as the
+// outer mixins can still change its name
+function recordOnActiveSpan(err) {
+  let span = Therror.tracer
+    ? traceSafely(() => Therror.tracer.getActiveSpan())
+    : undefined;
+  let attributes = span
+    ? traceSafely(() => tracing.recordOn(span, err))
+    : undefined;
+  if (attributes) {
+    process.nextTick(() => {
+      attributes['exception.type'] = String(err.name);
+    });
+  }
+}
+
+// Reports the failures of the tracer as process warnings, as they must not
+// break the creation of the errors
+function traceSafely(fn) {
+  try {
+    return fn();
+  } catch (failure) {
+    process.emitWarning(
+      _.isError(failure) ? failure : String(failure),
+      'TherrorTracerWarning'
+    );
+    return undefined;
+  }
+}
+
+// The redacted copy of Therror.Redactable errors
+function redact(err) {
+  return _.isFunction(err.redact) ? err.redact() : err;
+}
+
+// The gRPC status code of a code or of a name, as 5 or 'NOT_FOUND'
+function getGRPCCode(code) {
+  let codes = Therror.GRPC.STATUS_CODES;
+  let key = codes[code]
+    ? String(code)
+    : _.findKey(codes, name => name === String(code).toUpperCase());
+  if (_.isUndefined(key)) {
+    throw new TypeError(`Unknown gRPC status code ${code}`);
+  }
+  return parseInt(key, 10);
+}
+
+// 'NOT_FOUND' -> 'Not found'
+function getGRPCMessage(code) {
+  return _.upperFirst(_.lowerCase(Therror.GRPC.STATUS_CODES[code]));
+}
+
+// The status code of the responses, 500 for the unknown ones
+function getResponseStatus(statusCode) {
+  return Therror.HTTP.STATUS_CODES[statusCode] ? statusCode : 500;
+}
+
+// The status text, localized when a locale is provided
+function getStatusText(statusCode, locale) {
+  let code = getResponseStatus(statusCode);
+  return (
+    (locale && catalogs.statusText(locale, code)) ||
+    Therror.HTTP.STATUS_CODES[code]
+  );
+}
+
+// The code exposed in the payloads: only the class one, as the instances can
+// hold any other `code` property, as the native errors do
+function getClassCode(err) {
+  return err.constructor.code;
+}
+
+// The locale requested for a payload, as {locale} or {acceptLanguage}
+function getPayloadLocale(opts) {
+  if (!opts) {
+    return undefined;
+  }
+  return (
+    opts.locale ||
+    (opts.acceptLanguage ? catalogs.negotiate(opts.acceptLanguage) : undefined)
+  );
+}
+
+/**
+ * Sets up a Therror instance: its name, properties, cause and message template
+ *
+ * @param {Therror} err The instance
+ * @param {Object} args The arguments, as returned by getArguments()
+ */
+function initialize(err, args) {
+  let name = err.constructor.name;
+  Object.defineProperty(err, 'name', {
+    enumerable: false,
+    writable: true,
+    value: name === 'Therror' ? 'Error' : name
+  });
+
+  Object.defineProperty(err, 'isTherror', {
+    enumerable: false,
+    value: true
+  });
+
+  args.properties.forEach((property, index) => {
+    if (_.isString(property)) {
+      err[index] = property;
+    } else {
+      Object.assign(err, property);
+    }
+  });
+
+  if (!_.isUndefined(err.constructor.code) && !_.has(err, 'code')) {
+    Object.defineProperty(err, 'code', {
+      enumerable: false,
+      writable: true,
+      configurable: true,
+      value: err.constructor.code
+    });
+  }
+
+  if (!_.isUndefined(args.cause)) {
+    // Same as native `new Error(msg, {cause})`
+    Object.defineProperty(err, 'cause', {
+      enumerable: false,
+      writable: true,
+      configurable: true,
+      value: args.cause
+    });
+  }
+
+  // Store the source, compile it the first time the message is read
+  err[templateSymbol] = String(
+    args.message || (args.cause && args.cause.message) || 'Unknown error'
+  );
+  // The messages taken from the causes are not templates, as they are not
+  // defined in the code, and can hold any text
+  err[literalSymbol] =
+    !_.isNil(_.get(args.cause, 'message')) &&
+    err[templateSymbol] === String(args.cause.message);
+}
+
+/**
+ * Renders the message template of the error, or gets the message taken from
+ * its cause as it is
+ *
+ * @param {Therror} err The error
+ * @param {Object} [opts] The render options, as the `locale`
+ * @returns {String}
+ */
+function renderMessage(err, opts) {
+  return err[literalSymbol]
+    ? err[templateSymbol]
+    : render(err[templateSymbol], err, opts);
+}
+
+/**
+ * Renders the template with the data, applying the missing placeholders
+ * policy for the property paths the data does not have
+ *
+ * @param {String} source The template
+ * @param {Therror} data The error to render the template with
+ * @param {Object} [opts] The render options, as the `locale`
+ * @returns {String}
+ */
+function render(source, data, opts) {
+  let tpl = compile(source, getTemplateEngine(data.constructor));
+  let missing = getMissingPlaceholders(tpl, data);
+
+  if (missing.length) {
+    // Do not touch the data, overlay the missing paths on top of it
+    let overlay = Object.create(data);
+    missing.forEach(path => {
+      let top = _.toPath(path)[0];
+      if (!_.has(overlay, top) && _.hasIn(data, top)) {
+        overlay[top] = _.cloneDeep(data[top]);
+      }
+      _.set(
+        overlay,
+        path,
+        missingPlaceholders.policy !== 'literal'
+          ? missingPlaceholders.value
+          : tpl.literal
+          ? tpl.literal(path)
+          : `\${${path}}`
+      );
+    });
+    data = overlay;
+  }
+
+  return tpl(data, opts || {}).trim();
+}
+
+// Applies the 'throw' policy to the templates defined in the code
+function checkPlaceholders(err) {
+  if (missingPlaceholders.policy !== 'throw' || err[literalSymbol]) {
+    return;
+  }
+
+  let source = err[templateSymbol];
+  let missing = getMissingPlaceholders(
+    compile(source, getTemplateEngine(err.constructor)),
+    err
+  );
+  if (missing.length) {
+    throw new ReferenceError(
+      `Missing properties for the message "${source}": ${missing.join(', ')}`
+    );
+  }
+}
+
+function getMissingPlaceholders(tpl, data) {
+  return (tpl.placeholders || []).filter(path => !_.hasIn(data, path));
+}
+
+function* walkCauses(err) {
+  let visited = new Set([err]);
+  let cause = getCause(err);
+
+  while (cause != null && !visited.has(cause)) {
+    yield cause;
+    visited.add(cause);
+    cause = getCause(cause);
+  }
+}
+
+function getCause(err) {
+  if (!_.isObject(err)) {
+    return undefined;
+  }
+  // VError, restify and old Therror errors expose it as a `cause()` method
+  return _.isFunction(err.cause) ? err.cause() : err.cause;
+}
+
+function causeMatcher(predicate) {
+  if (_.isString(predicate)) {
+    return cause => _.isObject(cause) && cause.name === predicate;
+  }
+  if (
+    predicate === Error ||
+    (predicate && predicate.prototype instanceof Error)
+  ) {
+    return cause => cause instanceof predicate;
+  }
+  if (_.isFunction(predicate)) {
+    return predicate;
+  }
+  throw new TypeError('Expected an error class, an error name or a function');
+}
+
+// The causes to serialize, redacted with their own rules, as their parents
+// can be not redactable. serr serializes the causes exposed with a `cause()`
+// method by itself
+function getSerializableCauses(err) {
+  let causes = [];
+  let visited = new Set([err]);
+  let cause = getCause(err);
+
+  while (cause != null && !visited.has(cause)) {
+    visited.add(cause);
+    // the redacted copies hold the redacted causes, to walk them instead
+    cause = redact(cause);
+    visited.add(cause);
+    causes.push(cause);
+    if (_.isObject(cause) && _.isFunction(cause.cause)) {
+      break;
+    }
+    cause = getCause(cause);
+  }
+  return causes;
+}
+
+// The ServerError class of a spec, see Therror.define(), not registered yet
+function createErrorClass(spec) {
+  if (
+    !_.isObject(spec) ||
+    !_.isString(spec.name) ||
+    !/^[A-Za-z_$][\w$]*$/.test(spec.name)
+  ) {
+    throw new TypeError('Expected an error spec with a valid class name');
+  }
+
+  let BaseClass = Therror.ServerError(
+    _.omit(spec, ['name', 'namespace', 'properties'])
+  );
+  if (spec.namespace) {
+    BaseClass = Therror.Namespaced(spec.namespace, BaseClass);
+  }
+
+  let defaults = spec.properties || {};
+  // The class name is inferred from the property name
+  return {
+    [spec.name]: class extends BaseClass {
+      constructor() {
+        let args = getArguments(arguments);
+
+        let superArgs = [
+          Object.assign({}, defaults, args.properties[0])
+        ].concat(args.properties.slice(1));
+        if (args.message) {
+          superArgs.unshift(args.message);
+        }
+        if (!_.isUndefined(args.cause)) {
+          superArgs.unshift(args.cause);
+        }
+        super(...superArgs);
+      }
+    }
+  }[spec.name];
+}
+
+// The fingerprint parts of the causes, without their messages, as native errors have no template
+function getCauseFingerprintParts(cause, opts) {
+  if (_.isObject(cause) && _.isFunction(cause.getFingerprintParts)) {
+    return cause.getFingerprintParts(opts);
+  }
+  if (_.isError(cause)) {
+    return [cause.name, cause.code].concat(
+      fingerprint.getStackFrames(cause.stack, opts.frames)
+    );
+  }
+  return [typeof cause];
+}
+
+// serr object with the code and the message template of Therrors
+function toSerializableObject(err) {
+  let json = serializeError(err).toObject();
+  if (_.isObject(err) && err.isTherror) {
+    json.$$template = err[templateSymbol];
+    if (err[literalSymbol]) {
+      json.$$literal = true;
+    }
+    if (!_.isUndefined(err.code) && !_.has(json, 'code')) {
+      json.code = err.code;
+    }
+  }
+  return json;
+}
+
+const SERIALIZATION_KEYS = [
+  'message',
+  'name',
+  'constructor',
+  'stack',
+  '$$causes',
+  '$$errors',
+  '$$fingerprint',
+  '$$template',
+  '$$literal'
+];
+
+// Keys which would replace the prototype of the rebuilt errors when assigned
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// The own Therror.ServerError class with the name, not the Function members
+function getServerErrorClass(name) {
+  let ErrorClass = _.has(Therror.ServerError, name)
+    ? Therror.ServerError[name]
+    : undefined;
+  return _.isFunction(ErrorClass) && ErrorClass.prototype instanceof Therror
+    ? ErrorClass
+    : undefined;
+}
+
+function fromSerializableObject(json, cause) {
+  if (!_.isObject(json)) {
+    return json;
+  }
+
+  let properties = _.omit(json, SERIALIZATION_KEYS.concat(UNSAFE_KEYS));
+
+  if (_.isUndefined(json.$$template)) {
+    // Not a Therror: primitive, object or native error cause
+    if (json.constructor === 'String' || json.constructor === 'Number') {
+      return global[json.constructor](json.message);
+    }
+    if (json.constructor === 'Object' || !_.isString(json.name)) {
+      return Object.assign(properties, _.isUndefined(cause) ? {} : { cause });
+    }
+
+    let NativeError = global[json.constructor];
+    if (!(NativeError && NativeError.prototype instanceof Error)) {
+      NativeError = Error;
+    }
+
+    let err = new NativeError(json.message);
+    if (json.name && json.name !== err.name) {
+      err.name = json.name;
+    }
+    if (json.stack) {
+      err.stack = json.stack;
+    }
+    Object.assign(err, properties);
+    if (!_.isUndefined(cause)) {
+      Object.defineProperty(err, 'cause', {
+        enumerable: false,
+        writable: true,
+        configurable: true,
+        value: cause
+      });
+    }
+    return err;
+  }
+
+  let ErrorClass =
+    Therror.registry.get(json.code) ||
+    Therror.registry.get(json.name) ||
+    getServerErrorClass(json.name) ||
+    Therror;
+
+  if (properties.code === ErrorClass.code) {
+    delete properties.code;
+  }
+  // as `statusCode`, from other versions of the class
+  properties = _.omitBy(properties, (value, key) =>
+    isReadOnly(ErrorClass.prototype, key)
+  );
+  if (_.isArray(json.$$errors)) {
+    properties.errors = json.$$errors.map(child => Therror.fromJSON(child));
+  }
+
+  let err = Object.create(ErrorClass.prototype);
+  Error.captureStackTrace(err, Therror.fromJSON);
+  initialize(err, {
+    cause: cause,
+    message: json.$$template,
+    properties: [properties]
+  });
+  err[literalSymbol] = json.$$literal === true;
+  if (json.name) {
+    err.name = json.name;
+  }
+  if (json.stack) {
+    err.stack = json.stack;
+  }
+  if (_.has(properties, 'errors')) {
+    setErrors(err, properties.errors);
+  }
+  return err;
+}
+
+// Whether the instances can not set the property, as it is an accessor
+// without setter or a read-only value of their prototype chain
+function isReadOnly(proto, key) {
+  for (; proto; proto = Object.getPrototypeOf(proto)) {
+    let descriptor = Object.getOwnPropertyDescriptor(proto, key);
+    if (descriptor) {
+      return descriptor.get || descriptor.set
+        ? !descriptor.set
+        : !descriptor.writable;
+    }
+  }
+  return false;
+}
+
 function getArguments(originalArguments) {
   let args, tpl, properties, cause;
 
@@ -494,13 +2728,30 @@ function getArguments(originalArguments) {
     }
   }
 
+  properties = properties || [];
+
+  if (_.isUndefined(cause)) {
+    // new Therror('Message', {cause: err}) as native `new Error(msg, {cause})`
+    let options = _.find(
+      properties,
+      property => _.isObject(property) && _.has(property, 'cause')
+    );
+    cause = options && options.cause;
+  }
+
   return {
     cause: cause,
     message: tpl,
-    properties: properties || []
+    properties: properties
   };
 }
 
+// The default message of a mixin, unless its base class has its own message
+// template, which is kept
+function getMixinMessage(BaseClass, message) {
+  return BaseClass.messageTemplate ? undefined : message;
+}
+
 // Hack to deal with Node8 BreakingChange about Error class name
 function WithName(name, Base) {
   let BaseClass = Base || Therror;
@@ -538,9 +2789,34 @@ _.forEach(Therror.HTTP.STATUS_CODES, (value, key) => {
   );
 });
 
+// Create the gRPC status code Error classes in Therror.GRPC
+_.forEach(Therror.GRPC.STATUS_CODES, (value, key) => {
+  let code = parseInt(key, 10);
+  if (code === 0) {
+    // OK is not an error
+    return;
+  }
+  let name = _.upperFirst(_.camelCase(value));
+  Therror.GRPC[name] = Therror.GRPC[code] = WithName(name, Therror.GRPC(code));
+});
+
 // expose a configurable logger
 Therror.Loggable.logger = console;
 
+// The registry of error classes, filled with Therror.register()
+Therror.registry = new Registry();
+
 module.exports = Therror;
 // ES6 Module export compatibility
 module.exports.default = Therror;
+
+// The error handlers need the whole Therror
+const middleware = require('./middleware');
+Therror.middleware = middleware.middleware;
+Therror.handler = middleware.handler;
+
+// The reporter sends the Serializable JSON of the errors
+Therror.Reporter = require('./reporter');
+
+// The docs describe the error classes
+Therror.docs = require('./docs');
@@ -0,0 +1,203 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+// The timers do not keep the process alive, flush() before exiting
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, delay) => {
+    let timer = setTimeout(fn, delay);
+    if (_.isFunction(timer.unref)) {
+      timer.unref();
+    }
+    return timer;
+  },
+  clearTimeout: timer => clearTimeout(timer)
+};
+
+// The keys whose windows have expired are forgotten when their number doubles
+const MIN_SWEEP_SIZE = 1000;
+
+/**
+ * Deduplicates and rate limits the notifications of the errors by key. The
+ * suppressed notifications are counted, and reported in a summary every
+ * `summaryInterval`, or when flushing
+ *
+ * Options:
+ * * `dedupWindow`: The ms to suppress the repetitions of a notification
+ * * `rateLimit`: The max notifications `{limit, interval}` of a key per interval
+ * * `summaryInterval`: The ms to report the suppressed notifications in. 0 disables the timer
+ * * `clock`: `{now, setTimeout, clearTimeout}`
+ *
+ * @example
+ * ```js
+ * let throttle = new Throttle(summary => console.log(summary.message));
+ * if (throttle.accept('NotFound', err, { dedupWindow: 1000, summaryInterval: 60000 })) {
+ *   notify(err);
+ * }
+ * // NotFound ×1,243 in last 60s
+ * ```
+ */
+class Throttle {
+  /**
+   * @param {Function} report Receives the summaries: `{key, name, error, count, suppressed, since, until, message}`
+   */
+  constructor(report) {
+    this.report = report;
+    this.states = new Map();
+    this.sweepSize = MIN_SWEEP_SIZE;
+  }
+
+  /**
+   * Records a notification of the key, and checks whether it has to be sent
+   *
+   * @param {*} key The notification key
+   * @param {Error} err The error to notify
+   * @param {Object} opts The throttling options
+   * @returns {Boolean}
+   */
+  accept(key, err, opts) {
+    let clock = opts.clock || systemClock;
+    let now = clock.now();
+    let state = this.states.get(key);
+    if (!state) {
+      if (this.states.size >= this.sweepSize) {
+        this.sweep(now);
+      }
+      state = {
+        lastSent: -Infinity,
+        windowStart: now,
+        windowCount: 0,
+        since: now,
+        count: 0,
+        suppressed: 0
+      };
+      this.states.set(key, state);
+    }
+
+    let rateLimit = opts.rateLimit;
+    if (rateLimit && now - state.windowStart >= rateLimit.interval) {
+      state.windowStart = now;
+      state.windowCount = 0;
+    }
+
+    let accepted =
+      !(opts.dedupWindow > 0 && now - state.lastSent < opts.dedupWindow) &&
+      !(rateLimit && state.windowCount >= rateLimit.limit);
+
+    state.count++;
+    state.clock = clock;
+    if (accepted) {
+      state.lastSent = now;
+      state.windowCount++;
+    }
+    state.expires = Math.max(
+      state.lastSent + (opts.dedupWindow > 0 ? opts.dedupWindow : 0),
+      rateLimit ? state.windowStart + rateLimit.interval : -Infinity
+    );
+    if (!accepted) {
+      state.suppressed++;
+      state.name = err.name;
+      state.error = err;
+      if (opts.summaryInterval > 0 && !state.timer) {
+        state.timer = clock.setTimeout(
+          () => this.flush(key),
+          opts.summaryInterval
+        );
+      }
+    }
+    return accepted;
+  }
+
+  /**
+   * Reports the summaries of the keys with suppressed notifications, and
+   * starts counting again
+   *
+   * @param {*} [key] The key to flush. Defaults to all of them
+   */
+  flush(key) {
+    let keys = _.isUndefined(key)
+      ? Array.from(this.states.keys())
+      : [key].filter(current => this.states.has(current));
+
+    keys.forEach(current => {
+      let state = this.states.get(current);
+      if (state.timer) {
+        state.clock.clearTimeout(state.timer);
+        state.timer = undefined;
+      }
+      if (!state.suppressed) {
+        return;
+      }
+      let until = state.clock.now();
+      let summary = {
+        key: current,
+        name: state.name,
+        error: state.error,
+        count: state.count,
+        suppressed: state.suppressed,
+        since: state.since,
+        until: until,
+        message: `${state.name} ×${state.count.toLocaleString(
+          'en-US'
+        )} in last ${Math.round((until - state.since) / 1000)}s`
+      };
+      Object.assign(state, {
+        since: until,
+        count: 0,
+        suppressed: 0,
+        error: undefined
+      });
+      this.report(summary);
+    });
+  }
+
+  /**
+   * Forgets the keys whose windows have expired, and have no suppressed
+   * notifications to report
+   *
+   * @param {Number} now The current time
+   */
+  sweep(now) {
+    this.states.forEach((state, key) => {
+      if (!state.suppressed && state.expires <= now) {
+        this.states.delete(key);
+      }
+    });
+    this.sweepSize = Math.max(MIN_SWEEP_SIZE, this.states.size * 2);
+  }
+
+  /**
+   * Forgets all the notifications, without reporting them
+   */
+  clear() {
+    this.states.forEach(state => {
+      if (state.timer) {
+        state.clock.clearTimeout(state.timer);
+      }
+    });
+    this.states.clear();
+  }
+}
+
+// The clock using the system time and timers
+Throttle.systemClock = systemClock;
+
+module.exports = Throttle;
@@ -0,0 +1,210 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+
+// The OpenTelemetry SpanStatusCode values
+const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+/**
+ * Records an error on an OpenTelemetry span (or any span with the same
+ * `addEvent` and `setStatus` methods) as an `exception` event, with the
+ * OpenTelemetry semantic attributes, `exception.type`, `exception.message`,
+ * `exception.stacktrace` and `exception.escaped`, and the Therror ones,
+ * `therror.status_code`, `therror.level`, `therror.code` and `therror.causes`
+ *
+ * The span status is set to error, unless the error is an HTTP client error
+ * (4xx) recorded on a server span, as it is not a failure of the server
+ *
+ * @example
+ * ```js
+ * recordOn(span, new Therror.ServerError.BadGateway());
+ * span.events;
+ * // [{name: 'exception', attributes: {'exception.type': 'BadGateway', ..., 'therror.status_code': 502}}]
+ * ```
+ *
+ * @param {Object} span The span
+ * @param {*} err The error
+ * @param {Object} [opts] The options
+ * @param {Boolean} [opts.escaped] Whether the error escapes the span scope. Defaults to false
+ * @param {String} [opts.kind] The span kind, `server` or `client`. Defaults to `server`
+ * @returns {Object} The attributes of the event, undefined when not recorded
+ */
+function recordOn(span, err, opts) {
+  opts = Object.assign({ escaped: false, kind: 'server' }, opts);
+  if (!span || (_.isFunction(span.isRecording) && !span.isRecording())) {
+    return undefined;
+  }
+  err = _.isObject(err) && _.isFunction(err.redact) ? err.redact() : err;
+  let isError = _.isObject(err);
+
+  let attributes = _.omitBy(
+    {
+      'exception.type': isError ? String(err.name) : typeof err,
+      'exception.message': isError ? err.message : String(err),
+      'exception.stacktrace': isError ? err.stack : undefined,
+      'exception.escaped': Boolean(opts.escaped)
+    },
+    _.isUndefined
+  );
+  if (isError && err.isTherror) {
+    let causes = Array.from(err.causes()).map(describeCause);
+    Object.assign(
+      attributes,
+      _.omitBy(
+        {
+          'therror.status_code': err.statusCode,
+          'therror.level': _.isFunction(err.level) ? err.level() : undefined,
+          'therror.code': _.isUndefined(err.code)
+            ? undefined
+            : String(err.code),
+          'therror.causes': causes.length ? causes : undefined
+        },
+        _.isUndefined
+      )
+    );
+  }
+  span.addEvent('exception', attributes);
+
+  let statusCode = isError ? err.statusCode : undefined;
+  // the client errors are not failures of the server
+  let isClientError = statusCode >= 400 && statusCode < 500;
+  if (
+    !(isClientError && opts.kind === 'server') &&
+    _.isFunction(span.setStatus)
+  ) {
+    span.setStatus({
+      code: SPAN_STATUS.ERROR,
+      message: attributes['exception.message']
+    });
+  }
+  return attributes;
+}
+
+// A span keeping its attributes, events and status
+class MemorySpan {
+  constructor(name) {
+    this.name = name;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.ended = false;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  addEvent(name, attributes) {
+    this.events.push({ name: name, attributes: attributes || {} });
+    return this;
+  }
+
+  setStatus(status) {
+    this.status = Object.assign({}, status);
+    return this;
+  }
+
+  isRecording() {
+    return !this.ended;
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+/**
+ * A minimal in-memory tracer, keeping the spans to inspect them. Implements
+ * the `getActiveSpan()` method used by `Therror.registerTracer()`, as the
+ * OpenTelemetry `trace` API
+ *
+ * @example
+ * ```js
+ * let tracer = new MemoryTracer();
+ * tracer.startActiveSpan('GET /users', span => {
+ *   recordOn(span, err);
+ *   span.end();
+ * });
+ * tracer.spans[0].events;
+ * ```
+ */
+class MemoryTracer {
+  constructor() {
+    this.spans = [];
+    this.active = undefined;
+  }
+
+  /**
+   * Starts a span
+   *
+   * @param {String} name The span name
+   * @returns {MemorySpan}
+   */
+  startSpan(name) {
+    let span = new MemorySpan(name);
+    this.spans.push(span);
+    return span;
+  }
+
+  /**
+   * Starts a span, active while running the function synchronously
+   *
+   * @param {String} name The span name
+   * @param {Function} fn Receives the span
+   * @returns {*} The function result
+   */
+  startActiveSpan(name, fn) {
+    let span = this.startSpan(name);
+    let previous = this.active;
+    this.active = span;
+    try {
+      return fn(span);
+    } finally {
+      this.active = previous;
+    }
+  }
+
+  /**
+   * Gets the active span
+   *
+   * @returns {MemorySpan} undefined when there is none
+   */
+  getActiveSpan() {
+    return this.active;
+  }
+}
+
+// "Name: message" of the causes
+function describeCause(cause) {
+  return _.isObject(cause)
+    ? `${cause.name || 'Object'}: ${cause.message}`
+    : String(cause);
+}
+
+module.exports = {
+  SPAN_STATUS: SPAN_STATUS,
+  recordOn: recordOn,
+  MemoryTracer: MemoryTracer
+};
@@ -0,0 +1,137 @@
+/**
+ * @license
+ * Copyright 2014,2015,2016 Telefónica I+D
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs'),
+  http = require('http'),
+  https = require('https');
+
+/**
+ * Transports used by `Therror.Reporter` to send the batches of errors
+ *
+ * A transport is an object with a `send(batch)` method, receiving the array
+ * of serialized errors and returning a promise, and optionally a synchronous
+ * `sendSync(batch)` one, used to flush the errors on the process exit
+ */
+
+/**
+ * Appends the errors to a file, one JSON per line
+ *
+ * @param {String} file The file path
+ * @returns {Object} The transport
+ */
+function ndjson(file) {
+  return {
+    send: batch =>
+      new Promise((resolve, reject) =>
+        fs.appendFile(file, toNDJSON(batch), err =>
+          err ? reject(err) : resolve()
+        )
+      ),
+    sendSync: batch => fs.appendFileSync(file, toNDJSON(batch))
+  };
+}
+
+/**
+ * Writes the errors to the standard output, one JSON per line
+ *
+ * @param {Object} [opts] The options
+ * @param {stream.Writable} [opts.stream] The stream to write to. Defaults to `process.stdout`
+ * @returns {Object} The transport
+ */
+function stdout(opts) {
+  let stream = (opts && opts.stream) || process.stdout;
+  return {
+    send: batch =>
+      new Promise((resolve, reject) =>
+        stream.write(toNDJSON(batch), err => (err ? reject(err) : resolve()))
+      ),
+    sendSync: batch => stream.write(toNDJSON(batch))
+  };
+}
+
+/**
+ * POSTs the errors to an HTTP endpoint, as a JSON array. Fails, with the
+ * `statusCode`, when the response is not successful
+ *
+ * @param {String} endpoint The URL
+ * @param {Object} [opts] The options
+ * @param {Object} [opts.headers] Additional request headers, as the `Authorization` one
+ * @param {Number} [opts.timeout] The ms to wait for the response. Defaults to 10000
+ * @returns {Object} The transport
+ */
+function httpPost(endpoint, opts) {
+  opts = Object.assign({ headers: {}, timeout: 10000 }, opts);
+  let target = new URL(endpoint);
+  let client = target.protocol === 'https:' ? https : http;
+
+  return {
+    send: batch =>
+      new Promise((resolve, reject) => {
+        let body = JSON.stringify(batch);
+        let req = client.request(
+          {
+            protocol: target.protocol,
+            // without the brackets of the IPv6 addresses
+            hostname: target.hostname.replace(/^\[(.*)\]$/, '$1'),
+            port: target.port || undefined,
+            path: `${target.pathname}${target.search}`,
+            method: 'POST',
+            headers: Object.assign(
+              {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+              },
+              opts.headers
+            )
+          },
+          res => {
+            res.resume();
+            res.on('end', () => {
+              if (res.statusCode >= 200 && res.statusCode < 300) {
+                return resolve();
+              }
+              let err = new Error(
+                `Reporting the errors failed with status ${res.statusCode}`
+              );
+              err.statusCode = res.statusCode;
+              reject(err);
+            });
+          }
+        );
+        req.setTimeout(opts.timeout, () => {
+          let err = new Error('Reporting the errors timed out');
+          err.code = 'ETIMEDOUT';
+          // rejects through the error event
+          req.destroy(err);
+        });
+        req.on('error', reject);
+        req.end(body);
+      })
+  };
+}
+
+function toNDJSON(batch) {
+  return batch.map(json => `${JSON.stringify(json)}\n`).join('');
+}
+
+module.exports = {
+  ndjson: ndjson,
+  stdout: stdout,
+  http: httpPost
+};
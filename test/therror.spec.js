@@ -1,7 +1,26 @@
 'use strict';
 
+const childProcess = require('child_process'),
+  fs = require('fs'),
+  http = require('http'),
+  os = require('os'),
+  path = require('path');
 const Therror = require('../lib/therror');
 
+// The node builds with small-icu (node < 13) only format the numbers in english
+const fullICU = Intl.NumberFormat.supportedLocalesOf(['de', 'es']).length === 2;
+
+// As native `new Error(message, { cause })`, available since node 16.9
+function withCause(err, cause) {
+  Object.defineProperty(err, 'cause', {
+    enumerable: false,
+    writable: true,
+    configurable: true,
+    value: cause
+  });
+  return err;
+}
+
 describe('Therror', function() {
   it('should be able to create a Therror', function() {
     let err = new Therror();
@@ -58,14 +77,14 @@ describe('Therror', function() {
       let cause = new Error('Causer error');
       let err = new Therror(cause);
 
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
     });
 
     it('should be able to create a Therror with cause and use cause message when no one specified', function() {
       let cause = new Error('Causer error');
       let err = new Therror(cause);
 
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.message).to.be.eql('Causer error');
     });
 
@@ -73,7 +92,7 @@ describe('Therror', function() {
       let cause = new Error('Causer error');
       let err = new Therror(cause, 'Something happened');
 
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.message).to.be.eql('Something happened');
     });
 
@@ -81,21 +100,21 @@ describe('Therror', function() {
       let cause = new Error('Causer error');
       let err = new Therror(cause, 'Something happened');
 
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.message).to.be.eql('Something happened');
     });
 
     it('should be able to accept Numbers as cause and set a message', function() {
       let err = new Therror(1, 'Number error');
 
-      expect(err.cause()).to.be.eql(1);
+      expect(err.cause).to.be.eql(1);
       expect(err.message).to.be.eql('Number error');
     });
 
     it('should be able to accept Strings as cause and set a message', function() {
       let err = new Therror('String error', 'Number error');
 
-      expect(err.cause()).to.be.eql('String error');
+      expect(err.cause).to.be.eql('String error');
       expect(err.message).to.be.eql('Number error');
     });
 
@@ -105,12 +124,122 @@ describe('Therror', function() {
       };
       let err = new Therror(cause, '3rd party error');
 
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.message).to.be.eql('3rd party error');
       expect(err).to.not.have.property('badDeveloper');
     });
   });
 
+  describe('when using cause chains', function() {
+    it('should set the standard cause property', function() {
+      let cause = new Error('Causer error');
+      let err = new Therror(cause, 'Something happened');
+
+      expect(err.cause).to.be.equal(cause);
+      expect(Object.keys(err)).to.not.contain('cause');
+      expect(new Therror('No cause')).to.not.have.property('cause');
+    });
+
+    it('should accept the cause in an options bag', function() {
+      let cause = new Error('Causer error');
+      let err = new Therror('Something happened', { cause: cause, id: 3 });
+      let err2 = new Therror.ServerError.NotFound({ cause: cause });
+
+      expect(err.cause).to.be.equal(cause);
+      expect(err.id).to.be.eql(3);
+      expect(Object.keys(err)).to.be.eql(['id']);
+      expect(err2.cause).to.be.equal(cause);
+      expect(err2.message).to.be.eql('Causer error');
+    });
+
+    it('should iterate over the whole chain', function() {
+      let root = { code: 'ENOENT' };
+      let native = withCause(new Error('Native error'), root);
+      let legacy = new Error('Legacy error');
+      legacy.cause = () => native;
+      let err = new Therror(new Therror(legacy, 'Middle'), 'Top');
+
+      expect(Array.from(err.causes())).to.be.eql([
+        err.cause,
+        legacy,
+        native,
+        root
+      ]);
+      expect(err.rootCause()).to.be.equal(root);
+    });
+
+    it('should support non Error causes', function() {
+      let err = new Therror('String error', 'Top');
+
+      expect(Array.from(err.causes())).to.be.eql(['String error']);
+      expect(err.rootCause()).to.be.eql('String error');
+      expect(new Therror('No cause').rootCause()).to.be.undefined;
+    });
+
+    it('should protect against cycles', function() {
+      let cause = new Error('Cycle');
+      let err = new Therror(cause, 'Top');
+      cause.cause = err;
+
+      expect(Array.from(err.causes())).to.be.eql([cause]);
+      expect(err.rootCause()).to.be.equal(cause);
+    });
+
+    it('should find causes', function() {
+      class NotFoundError extends Therror {}
+      let notFound = new NotFoundError('Not found');
+      let typeError = withCause(new TypeError('Invalid id'), notFound);
+      let err = new Therror(typeError, 'Top');
+
+      expect(err.findCause(TypeError)).to.be.equal(typeError);
+      expect(err.findCause(Error)).to.be.equal(typeError);
+      expect(err.findCause(NotFoundError)).to.be.equal(notFound);
+      expect(err.findCause('NotFoundError')).to.be.equal(notFound);
+      expect(err.findCause(RangeError)).to.be.undefined;
+      expect(err.findCause(cause => cause.isTherror)).to.be.equal(notFound);
+    });
+
+    it('should check causes', function() {
+      let err = new Therror(new TypeError('Invalid id'), 'Top');
+
+      expect(err.hasCause(TypeError)).to.be.eql(true);
+      expect(err.hasCause(RangeError)).to.be.eql(false);
+      expect(err.hasCause(cause => /id/.test(cause.message))).to.be.eql(true);
+      expect(() => err.hasCause(12)).to.throw(TypeError);
+    });
+
+    it('should serialize the whole chain', function() {
+      class MyError extends Therror.Serializable() {}
+      let root = new Error('Root error');
+      let err = new MyError(
+        withCause(new Error('Native error'), root),
+        'Top error'
+      );
+
+      expect(err.toJSON().$$causes).to.be.eql([
+        { message: 'Native error', name: 'Error', constructor: 'Error' },
+        { message: 'Root error', name: 'Error', constructor: 'Error' }
+      ]);
+      expect(err.toString()).to.match(
+        /^MyError: Top error\n[\s\S]*\nCaused by: Error: Native error\n[\s\S]*\nCaused by: Error: Root error\n/
+      );
+    });
+
+    it('should serialize chains with legacy causes once', function() {
+      class MyError extends Therror.Serializable() {}
+      let root = new Error('Root error');
+      let legacy = new Error('Legacy error');
+      legacy.cause = () => root;
+      let err = new MyError(legacy, 'Top error');
+
+      expect(err.toJSON().$$causes).to.be.eql([
+        { message: 'Legacy error', name: 'Error', constructor: 'Error' },
+        { message: 'Root error', name: 'Error', constructor: 'Error' }
+      ]);
+      expect(err.toString().match(/Root error/g)).to.have.length(1);
+    });
+  });
+
   describe('when specifying properties in the instantiation', function() {
     it('should support adding properties to the error instance', function() {
       let err = new Therror('Something happened', {
@@ -191,6 +320,446 @@ describe('Therror', function() {
     });
   });
 
+  describe('when using template engines', function() {
+    afterEach(function() {
+      Therror.setTemplateEngine('interpolate');
+    });
+
+    it('should replace property paths', function() {
+      let err = new Therror('${ user.name } has ${user.roles[1]} role', {
+        user: { name: 'John', roles: ['user', 'admin'] }
+      });
+
+      expect(err.message).to.be.eql('John has admin role');
+    });
+
+    it('should print empty strings for undefined properties', function() {
+      let err = new Therror('The user ${user} does not exists', {});
+
+      expect(err.message).to.be.eql('The user  does not exists');
+    });
+
+    it('should not run code in messages', function() {
+      global.therrorPwned = false;
+      let cause = new Error(
+        '${global.therrorPwned = true} <% global.therrorPwned = true %>'
+      );
+      let err = new Therror(cause);
+
+      expect(err.message).to.be.eql(cause.message);
+      expect(err.parse(cause.message)).to.be.eql(cause.message);
+      expect(global.therrorPwned).to.be.eql(false);
+      delete global.therrorPwned;
+    });
+
+    it('should take the messages of the causes as they are', function() {
+      let err = new Therror(new Error('value ${x} invalid'), { x: 'secret' });
+      let rebuilt = Therror.fromJSON(
+        JSON.stringify(new (Therror.Serializable())(err.cause))
+      );
+
+      expect(err.message).to.be.eql('value ${x} invalid');
+      expect(rebuilt.message).to.be.eql('value ${x} invalid');
+      err.message = 'value ${x} valid';
+      expect(err.message).to.be.eql('value secret valid');
+    });
+
+    it('should accept null causes', function() {
+      expect(new Therror(null, 'Message').message).to.be.eql('Message');
+      expect(new Therror('Message', { cause: null }).message).to.be.eql(
+        'Message'
+      );
+      expect(
+        new Therror.ServerError.NotFound(null, 'Not here').message
+      ).to.be.eql('Not here');
+    });
+
+    it('should be able to opt-in for lodash templates', function() {
+      Therror.setTemplateEngine('lodash');
+
+      let err = new Therror('<%= users.join(", ") %> not found', {
+        users: ['John', 'Sarah']
+      });
+
+      expect(err.message).to.be.eql('John, Sarah not found');
+      expect(err.parse('<%= users.length %> users')).to.be.eql('2 users');
+    });
+
+    it('should be able to use a custom engine', function() {
+      Therror.setTemplateEngine(tpl => data =>
+        tpl.replace('{what}', data.what)
+      );
+
+      let err = new Therror('My {what}', { what: 'socks' });
+
+      expect(err.message).to.be.eql('My socks');
+      expect(err.parse('Mis {what}')).to.be.eql('Mis socks');
+    });
+
+    it('should fail with invalid engines', function() {
+      expect(() => Therror.setTemplateEngine('unknown')).to.throw(TypeError);
+    });
+  });
+
+  describe('when using ICU MessageFormat templates', function() {
+    afterEach(function() {
+      Therror.setTemplateEngine('interpolate');
+      Therror.setMissingPlaceholderPolicy('default');
+      Therror.Localizable.catalogs.clear();
+    });
+
+    it('should be able to opt-in globally', function() {
+      Therror.setTemplateEngine('icu');
+
+      let err = new Therror('The user {user.name} does not exists', {
+        user: { name: 'John' }
+      });
+
+      expect(err.message).to.be.eql('The user John does not exists');
+      expect(err.parse('{missing} user')).to.be.eql('user');
+    });
+
+    it('should be able to opt-in per class', function() {
+      class InvalidItems extends Therror.WithMessage(
+        '{count, plural, =0 {No items are} one {# item is} other {# items are}} invalid'
+      ) {
+        static get templateEngine() {
+          return 'icu';
+        }
+      }
+
+      expect(new InvalidItems({ count: 0 }).message).to.be.eql(
+        'No items are invalid'
+      );
+      expect(new InvalidItems({ count: 1 }).message).to.be.eql(
+        '1 item is invalid'
+      );
+      expect(new InvalidItems({ count: 1200 }).message).to.be.eql(
+        '1,200 items are invalid'
+      );
+      expect(InvalidItems.placeholders()).to.be.eql(['count']);
+      expect(new Therror('${count} items', { count: 2 }).message).to.be.eql(
+        '2 items'
+      );
+    });
+
+    it('should resolve the engine of the classes once', function() {
+      let compileSpy = sandbox.spy(tpl => () => tpl.toUpperCase());
+      let engineSpy = sandbox.spy(() => tpl => compileSpy(tpl));
+      class Shouted extends Therror {
+        static get templateEngine() {
+          return engineSpy();
+        }
+      }
+
+      expect(new Shouted('hi').message).to.be.eql('HI');
+      expect(new Shouted('hi').message).to.be.eql('HI');
+      expect(engineSpy).to.have.been.calledOnce;
+      expect(compileSpy).to.have.been.calledOnce;
+    });
+
+    it('should support selects and ordinals', function() {
+      Therror.setTemplateEngine('icu');
+
+      let err = new Therror(
+        '{gender, select, female {She} male {He} other {They}} ended {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}',
+        { gender: 'female', place: 23 }
+      );
+
+      expect(err.message).to.be.eql('She ended 23rd');
+      expect(
+        err.parse(
+          '{gender, select, male {He} other {They}} ended {place, plural, offset:1 other {# places behind}}'
+        )
+      ).to.be.eql('They ended 22 places behind');
+    });
+
+    it('should format numbers and dates for the locale', function() {
+      if (!fullICU) {
+        this.skip();
+      }
+      Therror.setTemplateEngine('icu');
+
+      let err = new Therror(
+        'Paid {amount, number} of {ratio, number, percent} on {date, date, long}',
+        { amount: 1234.5, ratio: 0.25, date: new Date(2020, 0, 15) }
+      );
+
+      expect(err.message).to.be.eql('Paid 1,234.5 of 25% on January 15, 2020');
+      expect(
+        err.parse('{amount, number, integer}', { locale: 'de' })
+      ).to.be.eql('1.235');
+    });
+
+    it('should escape with apostrophes', function() {
+      Therror.setTemplateEngine('icu');
+
+      let err = new Therror("It's '{user}' or ''{user}''", { user: 'John' });
+
+      expect(err.message).to.be.eql("It's {user} or 'John'");
+    });
+
+    it('should localize the messages', function() {
+      if (!fullICU) {
+        this.skip();
+      }
+      Therror.Localizable.register('es', {
+        InvalidItems:
+          '{count, plural, one {# elemento no es válido} other {# elementos no son válidos}}'
+      });
+      class InvalidItems extends Therror.Localizable(
+        Therror.WithMessage(
+          '{count, plural, one {# item is} other {# items are}} invalid'
+        )
+      ) {
+        static get templateEngine() {
+          return 'icu';
+        }
+      }
+
+      expect(new InvalidItems({ count: 1500 }).localize('es')).to.be.eql(
+        '1500 elementos no son válidos'
+      );
+    });
+
+    it('should not compile the messages of the causes', function() {
+      Therror.setTemplateEngine('icu');
+
+      let unexpected = new Therror(new Error('Unexpected } at 3'));
+      let body = new Therror(new Error('Bad body: {"a":1}'));
+
+      expect(unexpected.message).to.be.eql('Unexpected } at 3');
+      expect(unexpected.toString()).to.be.eql('Error: Unexpected } at 3');
+      expect(body.message).to.be.eql('Bad body: {"a":1}');
+    });
+
+    it('should use the default locale for invalid locales', function() {
+      if (!fullICU) {
+        this.skip();
+      }
+      Therror.Localizable.register('es', {
+        Paid: 'Pagado {amount, number}'
+      });
+      class Paid extends Therror.Localizable(
+        Therror.ServerError({ statusCode: 402, message: 'Paid {amount}' })
+      ) {
+        static get templateEngine() {
+          return 'icu';
+        }
+      }
+      let err = new Paid({ amount: 1234.5 });
+
+      expect(err.localize('es-!!!')).to.be.eql('Pagado 1,234.5');
+      expect(err.parse('{amount, number}', { locale: 'de' })).to.be.eql(
+        '1.234,5'
+      );
+      expect(err.parse('{amount, number}', { locale: 'x-invalid-' })).to.be.eql(
+        '1,234.5'
+      );
+    });
+
+    it('should fail with invalid templates', function() {
+      Therror.setTemplateEngine('icu');
+
+      expect(
+        () => new Therror('{count, plural, one {# item}}').message
+      ).to.throw(SyntaxError, /other/);
+      expect(() => new Therror('{count, unknown}').message).to.throw(
+        SyntaxError
+      );
+    });
+
+    it('should apply the missing placeholders policy', function() {
+      Therror.setTemplateEngine('icu');
+      Therror.setMissingPlaceholderPolicy('literal');
+
+      let err = new Therror('The user {user} does not exists');
+
+      expect(err.message).to.be.eql('The user {user} does not exists');
+    });
+  });
+
+  describe('when compiling templates', function() {
+    let engine;
+
+    beforeEach(function() {
+      engine = sandbox.spy(tpl => () => tpl);
+      Therror.setTemplateEngine(engine);
+    });
+
+    afterEach(function() {
+      Therror.templateCacheSize = 1000;
+      Therror.setTemplateEngine('interpolate');
+    });
+
+    it('should compile the template when the message is read', function() {
+      let err = new Therror('Lazy message');
+      err.message = 'Other lazy message';
+
+      expect(engine).to.not.have.been.called;
+      expect(err.message).to.be.eql('Other lazy message');
+      expect(engine).to.have.been.calledOnce;
+    });
+
+    it('should compile each template once', function() {
+      let err = new Therror.ServerError.NotFound('Cached message');
+      let err2 = new Therror.ServerError.NotFound('Cached message');
+
+      expect(err.message).to.be.eql('Cached message');
+      expect(err2.message).to.be.eql('Cached message');
+      expect(err.parse('Cached message')).to.be.eql('Cached message');
+      expect(engine).to.have.been.calledOnce;
+    });
+
+    it('should evict the oldest templates when the cache is full', function() {
+      Therror.templateCacheSize = 2;
+
+      new Therror('One').message;
+      new Therror('Two').message;
+      new Therror('Three').message;
+      new Therror('Three').message;
+      new Therror('One').message;
+
+      expect(engine).to.have.callCount(4);
+    });
+
+    it('should not cache when the cache size is 0', function() {
+      let err = new Therror('Not cached');
+      err.message;
+
+      Therror.templateCacheSize = 0;
+      err.message;
+      err.message;
+
+      expect(engine).to.have.been.calledThrice;
+    });
+
+    it('should compile again when the engine changes', function() {
+      let err = new Therror('Engine changed');
+      err.message;
+
+      Therror.setTemplateEngine(engine);
+      err.message;
+
+      expect(engine).to.have.been.calledTwice;
+    });
+  });
+
+  describe('when templates use missing properties', function() {
+    afterEach(function() {
+      Therror.setMissingPlaceholderPolicy('default');
+      Therror.setTemplateEngine('interpolate');
+    });
+
+    it('should print empty strings by default', function() {
+      Therror.setTemplateEngine('lodash');
+
+      let err = new Therror('The user ${user} does not exists', {});
+
+      expect(err.message).to.be.eql('The user  does not exists');
+      expect(err.toString()).to.be.eql('Error: The user  does not exists');
+    });
+
+    it('should print the default value', function() {
+      Therror.setMissingPlaceholderPolicy('default', '<unknown>');
+
+      let err = new Therror('The user ${user.name} does not exists', {
+        user: { id: 12 }
+      });
+
+      expect(err.message).to.be.eql('The user <unknown> does not exists');
+      expect(err.user).to.be.eql({ id: 12 });
+    });
+
+    it('should print the placeholder literally', function() {
+      Therror.setMissingPlaceholderPolicy('literal');
+
+      let err = new Therror('${user} is not ${role}', { role: 'admin' });
+
+      expect(err.message).to.be.eql('${user} is not admin');
+      expect(err.parse('${role} for ${user}')).to.be.eql('admin for ${user}');
+    });
+
+    it('should throw when creating the error', function() {
+      Therror.setMissingPlaceholderPolicy('throw');
+
+      class UserNotFound extends Therror.ServerError({
+        message: 'The user ${user} does not exists'
+      }) {}
+
+      expect(() => new UserNotFound({})).to.throw(ReferenceError, /user/);
+      expect(() => new Therror('${id} invalid').message).to.throw(
+        ReferenceError,
+        /id/
+      );
+      expect(new UserNotFound({ user: 'Sarah' }).message).to.be.eql(
+        'The user Sarah does not exists'
+      );
+    });
+
+    it('should not throw for the messages of the causes', function() {
+      Therror.setMissingPlaceholderPolicy('throw');
+      let cause = new Error('upstream said ${oops}');
+
+      let err = new Therror.ServerError.BadGateway(cause);
+
+      expect(err.cause).to.be.eql(cause);
+      expect(err.message).to.be.eql('upstream said ${oops}');
+    });
+
+    it('should throw when setting the template', function() {
+      let err = new Therror('Something happened');
+
+      Therror.setMissingPlaceholderPolicy('throw');
+
+      expect(() => (err.message = '${what} happened')).to.throw(ReferenceError);
+    });
+
+    it('should fail with invalid policies', function() {
+      expect(() => Therror.setMissingPlaceholderPolicy('ignore')).to.throw(
+        TypeError
+      );
+    });
+
+    it('should list the placeholders of the class template', function() {
+      class UserNotFound extends Therror.WithMessage(
+        'The user ${user.name} does not exists in ${ group } ${user.name}'
+      ) {}
+      class UserNotFoundError extends Therror.ServerError({
+        message: 'The user ${user} does not exists'
+      }) {}
+
+      expect(UserNotFound.placeholders()).to.be.eql(['user.name', 'group']);
+      expect(UserNotFoundError.placeholders()).to.be.eql(['user']);
+      expect(Therror.ServerError.NotFound.placeholders()).to.be.eql([]);
+      expect(Therror.placeholders()).to.be.eql([]);
+      expect(Therror.placeholders('${a} and ${b}')).to.be.eql(['a', 'b']);
+    });
+
+    it('should list the placeholders of lodash templates', function() {
+      Therror.setTemplateEngine('lodash');
+
+      expect(
+        Therror.placeholders('<%= user %> ${role} <% if (x) {} %>')
+      ).to.be.eql(['role', 'user']);
+    });
+
+    it('should expose the class template', function() {
+      class UserNotFound extends Therror.ServerError({
+        message: 'The user ${user} does not exists',
+        statusCode: 404
+      }) {}
+
+      expect(UserNotFound.messageTemplate).to.be.eql(
+        'The user ${user} does not exists'
+      );
+      expect(Therror.ServerError.NotFound.messageTemplate).to.be.eql(
+        'Not Found'
+      );
+      expect(Therror.messageTemplate).to.be.undefined;
+    });
+  });
+
   describe('when extending Therror', function() {
     it('should be able to extend a Therror', function() {
       class MyError extends Therror {}
@@ -344,212 +913,3637 @@ describe('Therror', function() {
     });
   });
 
-  describe('when using Notificator', function() {
-    it('should receive an event when a Therror is instantiated', function() {
-      let eventSpy = sandbox.spy();
-      Therror.on('create', eventSpy);
+  describe('when rebuilding Serializable errors', function() {
+    afterEach(function() {
+      Therror.registry.clear();
+    });
 
-      class MyError extends Therror.Notificator() {}
+    function roundTrip(err) {
+      return Therror.fromJSON(JSON.parse(JSON.stringify(err)));
+    }
 
-      let err = new MyError();
+    it('should keep the message template in the JSON', function() {
+      class MyError extends Therror.Serializable() {}
 
-      expect(eventSpy).to.have.been.calledWith(err);
-    });
-  });
+      let err = new MyError('What a ${what}', { what: 'pitty' });
 
-  describe('when using Loggable', function() {
-    it('should have a log method', function() {
-      let logger = {
-        info: sandbox.spy()
-      };
+      expect(err.toJSON()).to.be.eql({
+        what: 'pitty',
+        message: 'What a pitty',
+        name: 'MyError',
+        constructor: 'MyError',
+        $$template: 'What a ${what}',
+        $$fingerprint: err.fingerprint()
+      });
+    });
 
-      class MyError extends Therror.Loggable('info') {}
+    it('should rebuild registered classes', function() {
+      class UserNotFound extends Therror.Serializable(
+        Therror.ServerError({
+          statusCode: 404,
+          message: 'The user ${user} does not exists',
+          code: 'USER.NOT_FOUND'
+        })
+      ) {}
+      Therror.register(UserNotFound);
+      let eventSpy = sandbox.spy();
+      Therror.on('create', eventSpy);
 
-      let err = new MyError('What a ${what}', { what: 'pitty' });
+      let err = roundTrip(new UserNotFound({ user: 'John' }));
 
-      expect(err).to.be.instanceOf(Error);
-      expect(err).to.be.instanceOf(Therror);
-      expect(err).to.be.instanceOf(MyError);
+      expect(err).to.be.instanceOf(UserNotFound);
+      expect(err.isTherror).to.be.eql(true);
+      expect(err.name).to.be.eql('UserNotFound');
+      expect(err.message).to.be.eql('The user John does not exists');
+      expect(err.user).to.be.eql('John');
+      expect(err.code).to.be.eql('USER.NOT_FOUND');
+      expect(err.statusCode).to.be.eql(404);
+      expect(err.stack).to.exist;
+      expect(Object.keys(err)).to.be.eql(['user']);
+      expect(eventSpy).to.have.been.calledOnce;
 
-      expect(err).to.respondTo('log');
-      expect(err).to.respondTo('level');
+      err.user = 'Sarah';
+      expect(err.message).to.be.eql('The user Sarah does not exists');
+    });
 
-      expect(err.level()).to.be.eql('info');
+    it('should rebuild namespaced classes', function() {
+      class InvalidUser extends Therror.Serializable(
+        Therror.Namespaced('User')
+      ) {}
+      Therror.register(InvalidUser, 'USER.INVALID');
 
-      expect(Therror.Loggable.logger).to.be.eql(console);
-      Therror.Loggable.logger = logger;
-      err.log();
-      Therror.Loggable.logger = console;
+      let json = new InvalidUser('Invalid').toJSON();
+      delete json.code;
+      let err = Therror.fromJSON(json);
 
-      expect(logger.info).to.have.been.calledWith(err);
+      expect(err).to.be.instanceOf(InvalidUser);
+      expect(err.name).to.be.eql('User.InvalidUser');
+      expect(err.namespace).to.be.eql('User');
     });
 
-    it('should use req.logger if present', function() {
-      let logger = {
+    it('should rebuild ServerError classes', function() {
+      class NotFound extends Therror.Serializable(
+        Therror.ServerError.NotFound
+      ) {}
+
+      let err = roundTrip(
+        new NotFound('The user ${user} not found', { user: 'John' })
+      );
+
+      expect(err).to.be.instanceOf(Therror.ServerError.NotFound);
+      expect(err.toPayload()).to.be.eql({
+        error: 'NotFound',
+        message: 'The user John not found'
+      });
+    });
+
+    it('should rebuild the whole cause chain', function() {
+      class MyError extends Therror.Serializable() {}
+      let root = withCause(new RangeError('Out of range'), 'disk');
+      root.code = 'ERANGE';
+      let err = roundTrip(
+        new MyError(new MyError(root, 'Middle ${id}', { id: 3 }), 'Top')
+      );
+
+      let causes = Array.from(err.causes());
+      expect(causes).to.have.length(3);
+      expect(causes[0]).to.be.instanceOf(Therror);
+      expect(causes[0].name).to.be.eql('MyError');
+      expect(causes[0].message).to.be.eql('Middle 3');
+      expect(causes[1]).to.be.instanceOf(RangeError);
+      expect(causes[1].message).to.be.eql('Out of range');
+      expect(causes[1].code).to.be.eql('ERANGE');
+      expect(causes[2]).to.be.eql('disk');
+    });
+
+    it('should rebuild unknown classes as Therrors', function() {
+      let err = Therror.fromJSON(
+        '{"message":"Boom!","name":"Remote.BoomError","constructor":"BoomError",' +
+          '"$$template":"${what}!","what":"Boom"}'
+      );
+
+      expect(err).to.be.instanceOf(Therror);
+      expect(err.name).to.be.eql('Remote.BoomError');
+      expect(err.message).to.be.eql('Boom!');
+      expect(err.what).to.be.eql('Boom');
+    });
+
+    it('should rebuild non Therror errors', function() {
+      let err = Therror.fromJSON({
+        message: 'Boom!',
+        name: 'CustomError',
+        constructor: 'CustomError',
+        $$causes: [{ message: '[object Object]', constructor: 'Object', id: 3 }]
+      });
+
+      expect(err).to.be.instanceOf(Error);
+      expect(err.name).to.be.eql('CustomError');
+      expect(err.message).to.be.eql('Boom!');
+      expect(err.cause).to.be.eql({ id: 3 });
+    });
+
+    it('should not let the JSON replace the prototype of the errors', function() {
+      let err = Therror.fromJSON(
+        '{"name":"NotFound","$$template":"m","__proto__":{"polluted":true}}'
+      );
+      let nativeErr = Therror.fromJSON(
+        '{"name":"Error","constructor":"Error","message":"m",' +
+          '"__proto__":{"polluted":true},"prototype":{"polluted":true}}'
+      );
+
+      expect(err).to.be.instanceOf(Therror.ServerError.NotFound);
+      expect(err.toPayload).to.be.a('function');
+      expect(err.polluted).to.be.undefined;
+      expect(nativeErr).to.be.instanceOf(Error);
+      expect(nativeErr.polluted).to.be.undefined;
+      expect(nativeErr).to.not.have.ownProperty('prototype');
+    });
+
+    it('should skip the properties the class can not set', function() {
+      class UserNotFound extends Therror.Namespaced(
+        'User',
+        Therror.ServerError({ statusCode: 404, code: 'USER.NOT_FOUND' })
+      ) {}
+      class NotFound extends Therror.GRPC('NOT_FOUND') {}
+      Therror.register(UserNotFound);
+      Therror.register(NotFound, 'GRPC.NOT_FOUND');
+
+      let err = Therror.fromJSON({
+        name: 'User.UserNotFound',
+        code: 'USER.NOT_FOUND',
+        $$template: 'x',
+        statusCode: 500,
+        namespace: 'Other',
+        user: 'John'
+      });
+      let grpc = Therror.fromJSON({
+        code: 'GRPC.NOT_FOUND',
+        $$template: 'y',
+        grpcCode: 2
+      });
+
+      expect(err).to.be.instanceOf(UserNotFound);
+      expect(err).to.include({ statusCode: 404, namespace: 'User' });
+      expect(err.user).to.be.eql('John');
+      expect(grpc).to.be.instanceOf(NotFound);
+      expect(grpc.grpcCode).to.be.eql(5);
+    });
+
+    it('should only rebuild the ServerError classes by name', function() {
+      ['call', 'bind', 'toString', 'constructor', 'HTTP'].forEach(name => {
+        let err = Therror.fromJSON({ name: name, $$template: 'm' });
+
+        expect(err).to.be.instanceOf(Therror);
+        expect(err.constructor).to.be.eql(Therror);
+        expect(err.name).to.be.eql(name);
+      });
+    });
+  });
+
+  describe('when using Notificator', function() {
+    it('should receive an event when a Therror is instantiated', function() {
+      let eventSpy = sandbox.spy();
+      Therror.on('create', eventSpy);
+
+      class MyError extends Therror.Notificator() {}
+
+      let err = new MyError();
+
+      expect(eventSpy).to.have.been.calledWith(err);
+    });
+
+    describe('with throttling', function() {
+      let clock;
+      let createSpy;
+      let summarySpy;
+
+      beforeEach(function() {
+        clock = {
+          time: 0,
+          timers: [],
+          now: () => clock.time,
+          setTimeout: (fn, delay) =>
+            clock.timers.push({ fn: fn, at: clock.time + delay }),
+          clearTimeout: id => (clock.timers[id - 1] = undefined),
+          tick: ms => {
+            clock.time += ms;
+            clock.timers.forEach((timer, index) => {
+              if (timer && timer.at <= clock.time) {
+                clock.timers[index] = undefined;
+                timer.fn();
+              }
+            });
+          }
+        };
+        createSpy = sandbox.spy();
+        summarySpy = sandbox.spy();
+        sandbox.stub(Therror.Notificator, 'clock').value(clock);
+        Therror.on('create', createSpy);
+        Therror.on('summary', summarySpy);
+      });
+
+      function times(count, fn) {
+        for (let i = 0; i < count; i++) {
+          fn();
+        }
+      }
+
+      afterEach(function() {
+        Therror.Notificator.clear();
+        Therror.off('create');
+        Therror.off('summary');
+      });
+
+      it('should deduplicate the notifications of a class', function() {
+        class Unavailable extends Therror.Notificator({ dedupWindow: 1000 }) {}
+        class Other extends Therror.Notificator(
+          { dedupWindow: 1000 },
+          Therror.HTTP(500)
+        ) {}
+
+        let first = new Unavailable();
+        new Unavailable();
+        clock.tick(999);
+        new Unavailable();
+        let other = new Other();
+        clock.tick(1);
+        let last = new Unavailable();
+
+        expect(other.statusCode).to.be.eql(500);
+        expect(createSpy.args).to.be.eql([[first], [other], [last]]);
+      });
+
+      it('should deduplicate the notifications by fingerprint', function() {
+        class Unavailable extends Therror.Notificator({
+          dedupWindow: 1000,
+          key: 'fingerprint'
+        }) {}
+        let create = () => new Unavailable();
+
+        let first = create();
+        create();
+        let other = new Unavailable();
+
+        expect(createSpy.args).to.be.eql([[first], [other]]);
+      });
+
+      it('should deduplicate the notifications by a custom key', function() {
+        class Unavailable extends Therror.Notificator({
+          dedupWindow: 1000,
+          key: err => err.host
+        }) {}
+
+        new Unavailable({ host: 'a' });
+        new Unavailable({ host: 'b' });
+        new Unavailable({ host: 'a' });
+
+        expect(createSpy).to.have.been.calledTwice;
+      });
+
+      it('should rate limit the notifications', function() {
+        class Unavailable extends Therror.Notificator({
+          rateLimit: { limit: 2, interval: 1000 }
+        }) {}
+
+        times(5, () => new Unavailable());
+        clock.tick(1000);
+        times(3, () => new Unavailable());
+
+        expect(createSpy).to.have.callCount(4);
+      });
+
+      it('should report a periodic summary of the suppressed notifications', function() {
+        class Unavailable extends Therror.Notificator({
+          dedupWindow: 60000,
+          summaryInterval: 60000
+        }) {}
+
+        new Unavailable();
+        clock.tick(10);
+        times(1242, () => new Unavailable());
+        let last = new Unavailable({ last: true });
+        clock.tick(59999);
+        expect(summarySpy).to.not.have.been.called;
+        clock.tick(1);
+
+        expect(summarySpy).to.have.been.calledOnce;
+        expect(summarySpy.firstCall.args[0]).to.be.equal(last);
+        expect(summarySpy.firstCall.args[1]).to.include({
+          key: Unavailable,
+          name: 'Unavailable',
+          count: 1244,
+          suppressed: 1243,
+          since: 0,
+          until: 60010,
+          message: 'Unavailable ×1,244 in last 60s'
+        });
+
+        clock.tick(60000);
+        expect(summarySpy).to.have.been.calledOnce;
+      });
+
+      it('should report the summaries when flushing', function() {
+        class Unavailable extends Therror.Notificator({ dedupWindow: 1000 }) {}
+
+        times(3, () => new Unavailable());
+        clock.tick(2000);
+        Therror.Notificator.flush();
+        Therror.Notificator.flush();
+
+        expect(summarySpy).to.have.been.calledOnce;
+        expect(summarySpy.firstCall.args[1].message).to.be.eql(
+          'Unavailable ×3 in last 2s'
+        );
+        expect(clock.timers.filter(Boolean)).to.be.empty;
+      });
+
+      it('should forget the expired keys', function() {
+        const Throttle = require('../lib/throttle');
+        let throttle = new Throttle(summarySpy);
+        let opts = { dedupWindow: 1000, clock: clock };
+        let accept = key => throttle.accept(key, new Therror(), opts);
+
+        times(999, () => accept(Math.random()));
+        accept('suppressed');
+        accept('suppressed');
+        clock.tick(1000);
+        accept('new');
+
+        expect(Array.from(throttle.states.keys())).to.be.eql([
+          'suppressed',
+          'new'
+        ]);
+        throttle.flush();
+        expect(summarySpy).to.have.been.calledOnce;
+      });
+
+      it('should use the global options', function() {
+        sandbox.stub(Therror.Notificator, 'dedupWindow').value(1000);
+        class Unavailable extends Therror.ServerError.ServiceUnavailable {}
+        class NotFound extends Therror.ServerError({
+          statusCode: 404,
+          notify: { dedupWindow: 0 }
+        }) {}
+
+        times(3, () => new Unavailable());
+        times(3, () => new NotFound());
+
+        expect(createSpy).to.have.callCount(4);
+      });
+    });
+  });
+
+  describe('when fingerprinting errors', function() {
+    class UserNotFound extends Therror.Namespaced(
+      'User',
+      Therror.ServerError({
+        statusCode: 404,
+        message: 'The user ${user} does not exists'
+      })
+    ) {}
+
+    function create(user, cause) {
+      return new UserNotFound(cause, { user: user });
+    }
+
+    it('should be the same for the errors created at the same place', function() {
+      let err = create('John');
+
+      expect(err.fingerprint()).to.match(/^[0-9a-f]{40}$/);
+      expect(err.fingerprint()).to.be.eql(create('Sarah').fingerprint());
+      expect(err.fingerprint()).to.not.be.eql(
+        new UserNotFound({ user: 'John' }).fingerprint()
+      );
+    });
+
+    it('should be based on the class, template, status and stack', function() {
+      let err = create('John');
+      let parts = err.getFingerprintParts({ frames: 2 });
+
+      expect(parts.slice(0, 4)).to.be.eql([
+        'User.UserNotFound',
+        'User',
+        'The user ${user} does not exists',
+        404
+      ]);
+      expect(parts.slice(4)).to.have.lengthOf(2);
+      expect(parts[4]).to.match(/^create \(test\/therror\.spec\.js\)$/);
+
+      err.message = 'The user ${user} was deleted';
+      expect(err.fingerprint()).to.not.be.eql(create('John').fingerprint());
+    });
+
+    it('should include the cause chain when requested', function() {
+      let err = create('John', new TypeError('Invalid user John'));
+      let other = create('Sarah', new TypeError('Invalid user Sarah'));
+      let uncaused = create('John');
+
+      expect(err.fingerprint()).to.be.eql(uncaused.fingerprint());
+      expect(err.fingerprint({ causes: true })).to.not.be.eql(
+        uncaused.fingerprint({ causes: true })
+      );
+      expect(err.fingerprint({ causes: true })).to.be.eql(
+        other.fingerprint({ causes: true })
+      );
+    });
+
+    it('should leave out the messages of the causes', function() {
+      let refused = host =>
+        new Therror.ServerError.BadGateway(
+          new Error(`connect ECONNREFUSED ${host}:443`)
+        );
+      let errors = ['10.0.0.1', '10.0.0.2'].map(refused);
+
+      expect(errors[0].getFingerprintParts({ frames: 0 })).to.be.eql([
+        'BadGateway',
+        undefined,
+        'Bad Gateway',
+        502
+      ]);
+      expect(errors[0].fingerprint()).to.be.eql(errors[1].fingerprint());
+    });
+
+    it('should use the custom fingerprint parts', function() {
+      class QueryError extends Therror {
+        getFingerprintParts(opts) {
+          return super.getFingerprintParts(opts).concat(this.table);
+        }
+      }
+      let query = table => new QueryError({ table: table });
+
+      expect(query('users').fingerprint()).to.not.be.eql(
+        query('cards').fingerprint()
+      );
+      expect(query('users').fingerprint()).to.be.eql(
+        query('users').fingerprint()
+      );
+    });
+
+    it('should normalize the stack frames', function() {
+      let err = new Therror();
+      err.stack = [
+        'Error: Oops',
+        `    at find (${process.cwd()}/lib/users.js:10:5)`,
+        '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+        `    at async file://${process.cwd()}/index.mjs:3:1`,
+        '    at <anonymous>'
+      ].join('\n');
+
+      expect(err.getFingerprintParts({ frames: 5 }).slice(4)).to.be.eql([
+        'find (lib/users.js)',
+        'index.mjs',
+        '<anonymous>'
+      ]);
+    });
+  });
+
+  describe('when collecting metrics', function() {
+    beforeEach(function() {
+      Therror.metrics.reset();
+    });
+
+    afterEach(function() {
+      Therror.metrics.enabled = true;
+      Therror.metrics.histograms = false;
+    });
+
+    it('should count the errors created', function() {
+      class UserNotFound extends Therror.Namespaced(
+        'User',
+        Therror.ServerError({ statusCode: 404, level: 'info' })
+      ) {}
+      class Notified extends Therror.Notificator() {}
+      class Payment extends Therror.HTTP(402) {}
+
+      new UserNotFound();
+      new UserNotFound();
+      new Therror.ServerError.BadGateway();
+      new Notified();
+      new Payment();
+      new Therror();
+
+      expect(Therror.metrics.snapshot().created).to.be.eql([
+        {
+          name: 'User.UserNotFound',
+          namespace: 'User',
+          statusCode: 404,
+          level: 'info',
+          value: 2
+        },
+        {
+          name: 'BadGateway',
+          namespace: '',
+          statusCode: 502,
+          level: 'error',
+          value: 1
+        },
+        {
+          name: 'Notified',
+          namespace: '',
+          statusCode: '',
+          level: '',
+          value: 1
+        },
+        { name: 'Payment', namespace: '', statusCode: 402, level: '', value: 1 }
+      ]);
+    });
+
+    it('should not keep the errors created in long loops', function() {
+      class UserNotFound extends Therror.Namespaced(
+        'User',
+        Therror.ServerError({ statusCode: 404 })
+      ) {}
+
+      for (let i = 0; i < 2500; i++) {
+        new UserNotFound();
+      }
+
+      expect(Therror.metrics.pending.length).to.be.at.most(1000);
+      expect(Therror.metrics.snapshot().created).to.be.eql([
+        {
+          name: 'User.UserNotFound',
+          namespace: 'User',
+          statusCode: 404,
+          level: 'error',
+          value: 2500
+        }
+      ]);
+    });
+
+    it('should count the errors logged', function() {
+      sandbox.stub(Therror.Loggable, 'logger').value({ info: () => {} });
+      class UserNotFound extends Therror.Loggable('info') {}
+
+      let err = new UserNotFound();
+      err.log();
+      err.log();
+
+      expect(Therror.metrics.snapshot()).to.be.eql({
+        created: [],
+        logged: [
+          {
+            name: 'UserNotFound',
+            namespace: '',
+            statusCode: '',
+            level: 'info',
+            value: 2
+          }
+        ],
+        causeDepth: []
+      });
+    });
+
+    it('should observe the cause chain depth', function() {
+      Therror.metrics.histograms = true;
+      let cause = new Error('ECONNRESET');
+
+      new Therror.ServerError.BadGateway();
+      new Therror.ServerError.BadGateway(cause);
+      new Therror.ServerError.BadGateway(new Therror(cause));
+
+      expect(Therror.metrics.snapshot().causeDepth).to.be.eql([
+        {
+          name: 'BadGateway',
+          buckets: [
+            { le: 0, count: 1 },
+            { le: 1, count: 2 },
+            { le: 2, count: 3 },
+            { le: 3, count: 3 },
+            { le: 5, count: 3 },
+            { le: 10, count: 3 },
+            { le: '+Inf', count: 3 }
+          ],
+          sum: 3,
+          count: 3
+        }
+      ]);
+    });
+
+    it('should export the Prometheus text format', function() {
+      Therror.metrics.histograms = true;
+      sandbox.stub(Therror.metrics, 'buckets').value([0, 1]);
+      sandbox.stub(Therror.Loggable, 'logger').value({ info: () => {} });
+
+      new Therror.ServerError.NotFound().log();
+
+      expect(Therror.metrics.CONTENT_TYPE).to.be.eql(
+        'text/plain; version=0.0.4; charset=utf-8'
+      );
+      expect(Therror.metrics.toPrometheus()).to.be.eql(
+        [
+          '# HELP therror_errors_created_total Errors created',
+          '# TYPE therror_errors_created_total counter',
+          'therror_errors_created_total{name="NotFound",namespace="",status_code="404",level="info"} 1',
+          '# HELP therror_errors_logged_total Errors logged',
+          '# TYPE therror_errors_logged_total counter',
+          'therror_errors_logged_total{name="NotFound",namespace="",status_code="404",level="info"} 1',
+          '# HELP therror_error_cause_depth Length of the cause chain of the errors created',
+          '# TYPE therror_error_cause_depth histogram',
+          'therror_error_cause_depth_bucket{name="NotFound",le="0"} 1',
+          'therror_error_cause_depth_bucket{name="NotFound",le="1"} 1',
+          'therror_error_cause_depth_bucket{name="NotFound",le="+Inf"} 1',
+          'therror_error_cause_depth_sum{name="NotFound"} 0',
+          'therror_error_cause_depth_count{name="NotFound"} 1',
+          ''
+        ].join('\n')
+      );
+    });
+
+    it('should escape the label values', function() {
+      class Quoted extends Therror.Notificator() {}
+      let err = new Quoted();
+      err.name = 'Say "hi"\\\n';
+
+      expect(Therror.metrics.toPrometheus()).to.include(
+        'therror_errors_created_total{name="Say \\"hi\\"\\\\\\n",'
+      );
+    });
+
+    it('should not count when disabled', function() {
+      Therror.metrics.enabled = false;
+
+      new Therror.ServerError.NotFound();
+
+      expect(Therror.metrics.snapshot().created).to.be.empty;
+    });
+  });
+
+  describe('when capturing the context', function() {
+    afterEach(function() {
+      Therror.context.enabled = true;
+      Therror.context.exposed = false;
+    });
+
+    it('should capture the context in the errors', function() {
+      let ctx = { requestId: 'abc' };
+
+      return Therror.context
+        .run(ctx, () => {
+          let err = new Therror('Sync');
+          ctx.requestId = 'changed';
+          return new Promise(resolve => setImmediate(resolve)).then(() => [
+            err,
+            new Therror.ServerError.NotFound()
+          ]);
+        })
+        .then(errors => {
+          expect(errors[0].context).to.be.eql({ requestId: 'abc' });
+          expect(errors[1].context).to.be.eql({ requestId: 'abc' });
+          expect(new Therror()).to.not.have.property('context');
+        });
+    });
+
+    it('should add the nested contexts', function() {
+      let err = Therror.context.run({ requestId: 'abc', userId: 1 }, () =>
+        Therror.context.run({ userId: 2 }, () => new Therror())
+      );
+
+      expect(err.context).to.be.eql({ requestId: 'abc', userId: 2 });
+      expect(Therror.context.get()).to.be.undefined;
+    });
+
+    it('should not replace the context property', function() {
+      let err = Therror.context.run({ requestId: 'abc' }, () => {
+        return new Therror({ context: 'mine' });
+      });
+
+      expect(err.context).to.be.eql('mine');
+    });
+
+    it('should not capture the context when disabled', function() {
+      Therror.context.enabled = false;
+
+      let err = Therror.context.run({ requestId: 'abc' }, () => new Therror());
+
+      expect(err).to.not.have.property('context');
+    });
+
+    it('should include the context in the JSON, logs and events', function() {
+      let logger = { error: sandbox.spy() };
+      let createSpy = sandbox.spy();
+      sandbox.stub(Therror.Loggable, 'logger').value(logger);
+      class Reported extends Therror.Notificator(Therror.ServerError()) {}
+      Therror.on('create', Reported, createSpy);
+
+      let err = Therror.context.run({ requestId: 'abc' }, () => new Reported());
+      Therror.off('create', createSpy);
+      err.log();
+
+      expect(createSpy.firstCall.args[0].context).to.be.eql({
+        requestId: 'abc'
+      });
+      expect(Therror.Serializable().prototype.toJSON.call(err)).to.include({
+        name: 'Reported'
+      });
+      expect(
+        Therror.Serializable().prototype.toJSON.call(err).context
+      ).to.be.eql({ requestId: 'abc' });
+      expect(logger.error.firstCall.args[0].context).to.be.eql({
+        requestId: 'abc'
+      });
+    });
+
+    it('should only add the exposed context to the payloads', function() {
+      let err = Therror.context.run(
+        { requestId: 'abc', userId: 1 },
+        () => new Therror.ServerError.NotFound()
+      );
+
+      expect(err.toPayload()).to.not.have.property('context');
+      expect(err.toProblem()).to.not.have.property('context');
+
+      Therror.context.exposed = ['requestId'];
+      expect(err.toPayload().context).to.be.eql({ requestId: 'abc' });
+      expect(err.toProblem().context).to.be.eql({ requestId: 'abc' });
+
+      Therror.context.exposed = true;
+      expect(err.toPayload().context).to.be.eql({
+        requestId: 'abc',
+        userId: 1
+      });
+    });
+
+    it('should fail to run without a function', function() {
+      expect(() => Therror.context.run({})).to.throw(TypeError);
+    });
+  });
+
+  describe('when recording errors on spans', function() {
+    afterEach(function() {
+      Therror.registerTracer();
+    });
+
+    it('should record the errors as exception events', function() {
+      let tracer = new Therror.MemoryTracer();
+      class UserNotFound extends Therror.Namespaced(
+        'User',
+        Therror.ServerError({ statusCode: 503, level: 'warn' })
+      ) {}
+      Therror.register(UserNotFound, 'USER.UNAVAILABLE');
+      let err = new UserNotFound(
+        new Therror(new Error('ECONNRESET'), 'Connection failed'),
+        'Users unavailable'
+      );
+
+      tracer.startActiveSpan('GET /users', span => {
+        expect(Therror.recordOn(span, err, { escaped: true })).to.be.eql(
+          Therror
+        );
+      });
+      Therror.registry.unregister('USER.UNAVAILABLE');
+
+      expect(tracer.spans[0].events).to.be.eql([
+        {
+          name: 'exception',
+          attributes: {
+            'exception.type': 'User.UserNotFound',
+            'exception.message': 'Users unavailable',
+            'exception.stacktrace': err.stack,
+            'exception.escaped': true,
+            'therror.status_code': 503,
+            'therror.level': 'warn',
+            'therror.code': 'USER.UNAVAILABLE',
+            'therror.causes': ['Error: Connection failed', 'Error: ECONNRESET']
+          }
+        }
+      ]);
+      expect(tracer.spans[0].status).to.be.eql({
+        code: 2,
+        message: 'Users unavailable'
+      });
+    });
+
+    it('should record any error', function() {
+      let span = new Therror.MemoryTracer().startSpan('job');
+
+      Therror.recordOn(span, new TypeError('Invalid'));
+      Therror.recordOn(span, 'Oops');
+
+      expect(span.events.map(event => event.attributes)).to.be.eql([
+        {
+          'exception.type': 'TypeError',
+          'exception.message': 'Invalid',
+          'exception.stacktrace':
+            span.events[0].attributes['exception.stacktrace'],
+          'exception.escaped': false
+        },
+        {
+          'exception.type': 'string',
+          'exception.message': 'Oops',
+          'exception.escaped': false
+        }
+      ]);
+    });
+
+    it('should set the span status from the HTTP status class', function() {
+      let tracer = new Therror.MemoryTracer();
+      let server = tracer.startSpan('server');
+      let client = tracer.startSpan('client');
+
+      Therror.recordOn(server, new Therror.ServerError.NotFound());
+      Therror.recordOn(client, new Therror.ServerError.NotFound(), {
+        kind: 'client'
+      });
+
+      expect(server.status).to.be.eql({ code: 0 });
+      expect(client.status).to.be.eql({ code: 2, message: 'Not Found' });
+    });
+
+    it('should not record on ended spans', function() {
+      let span = new Therror.MemoryTracer().startSpan('ended');
+      span.end();
+
+      Therror.recordOn(span, new Therror());
+
+      expect(span.events).to.be.empty;
+    });
+
+    it('should redact the errors', function() {
+      let span = new Therror.MemoryTracer().startSpan('login');
+      class LoginError extends Therror.Redactable({ keys: ['password'] }) {}
+
+      Therror.recordOn(
+        span,
+        new LoginError('Invalid ${password}', {
+          password: '1234'
+        })
+      );
+
+      expect(span.events[0].attributes['exception.message']).to.not.include(
+        '1234'
+      );
+    });
+
+    it('should record the created errors on the active span', function() {
+      let tracer = new Therror.MemoryTracer();
+      class Notified extends Therror.Namespaced(
+        'Jobs',
+        Therror.Notificator()
+      ) {}
+
+      Therror.registerTracer(tracer);
+      new Notified('Outside');
+      tracer.startActiveSpan('job', () => new Notified('Inside'));
+      Therror.registerTracer();
+      tracer.startActiveSpan('unregistered', () => new Notified('Inside'));
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(tracer.spans[0].events).to.have.lengthOf(1);
+        expect(tracer.spans[0].events[0].attributes).to.include({
+          'exception.type': 'Jobs.Notified',
+          'exception.message': 'Inside'
+        });
+        expect(tracer.spans[1].events).to.be.empty;
+      });
+    });
+
+    it('should record the errors on the spans ended in the same tick', function() {
+      let tracer = new Therror.MemoryTracer();
+      class Notified extends Therror.Namespaced(
+        'Jobs',
+        Therror.Notificator()
+      ) {}
+
+      Therror.registerTracer(tracer);
+      tracer.startActiveSpan('job', span => {
+        try {
+          throw new Notified('Failed');
+        } catch (err) {
+          // handled
+        } finally {
+          span.end();
+        }
+      });
+
+      expect(tracer.spans[0].events).to.have.lengthOf(1);
+      expect(tracer.spans[0].status).to.be.eql({ code: 2, message: 'Failed' });
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(tracer.spans[0].events[0].attributes).to.include({
+          'exception.type': 'Jobs.Notified'
+        });
+      });
+    });
+
+    it('should record the errors with throttled notifications', function() {
+      let tracer = new Therror.MemoryTracer();
+      class Throttled extends Therror.Notificator({ dedupWindow: 60000 }) {}
+
+      Therror.registerTracer(tracer);
+      tracer.startActiveSpan('req1', () => new Throttled('Throttled'));
+      tracer.startActiveSpan('req2', () => new Throttled('Throttled'));
+      Therror.Notificator.clear();
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(tracer.spans.map(span => span.events.length)).to.be.eql([1, 1]);
+      });
+    });
+
+    it('should warn about the failing spans', function() {
+      let failure = new Error('Broken span');
+      let warning = sandbox.stub(process, 'emitWarning');
+      let tracer = new Therror.MemoryTracer();
+      class Notified extends Therror.Notificator() {}
+
+      Therror.registerTracer(tracer);
+      tracer.startActiveSpan('broken', span => {
+        sandbox.stub(span, 'addEvent').throws(failure);
+        return new Notified();
+      });
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        expect(warning).to.have.been.calledWith(
+          failure,
+          'TherrorTracerWarning'
+        );
+      });
+    });
+
+    it('should fail to register an invalid tracer', function() {
+      expect(() => Therror.registerTracer({})).to.throw(TypeError);
+    });
+  });
+
+  describe('when listening to events', function() {
+    afterEach(function() {
+      ['create', 'log', 'serialize', 'payload', 'listenerError'].forEach(ev =>
+        Therror.off(ev)
+      );
+    });
+
+    it('should emit the lifecycle events', function() {
+      let logger = { warn: sandbox.spy() };
+      let spies = {
+        log: sandbox.spy(),
+        serialize: sandbox.spy(),
+        payload: sandbox.spy()
+      };
+      sandbox.stub(Therror.Loggable, 'logger').value(logger);
+      Object.keys(spies).forEach(ev => Therror.on(ev, spies[ev]));
+
+      class NotFound extends Therror.Serializable(
+        Therror.ServerError({ statusCode: 404, level: 'warn' })
+      ) {}
+
+      let err = new NotFound();
+      err.log();
+      let json = err.toJSON();
+      let payload = err.toPayload();
+      let problem = err.toProblem();
+
+      expect(spies.log).to.have.been.calledOnceWith(err, 'warn');
+      expect(spies.serialize).to.have.been.calledOnceWith(err, json);
+      expect(spies.payload).to.have.been.calledTwice;
+      expect(spies.payload).to.have.been.calledWith(err, payload);
+      expect(spies.payload).to.have.been.calledWith(err, problem);
+    });
+
+    it('should listen to an event once', function() {
+      let eventSpy = sandbox.spy();
+      Therror.once('create', Therror.ServerError.NotFound, eventSpy);
+
+      new Therror.ServerError.BadRequest();
+      let err = new Therror.ServerError.NotFound();
+      new Therror.ServerError.NotFound();
+
+      expect(eventSpy).to.have.been.calledOnceWith(err);
+    });
+
+    it('should unsubscribe the listeners', function() {
+      let eventSpy = sandbox.spy();
+      let otherSpy = sandbox.spy();
+      Therror.on('create', eventSpy).on('create', otherSpy);
+
+      Therror.off('create', eventSpy);
+      new Therror.ServerError.NotFound();
+
+      expect(eventSpy).to.not.have.been.called;
+      expect(otherSpy).to.have.been.calledOnce;
+
+      Therror.off('create');
+      new Therror.ServerError.NotFound();
+      expect(otherSpy).to.have.been.calledOnce;
+    });
+
+    it('should scope the listeners', function() {
+      class UserError extends Therror.Notificator(
+        Therror.Namespaced('User', Therror.HTTP(404))
+      ) {}
+      let byClass = sandbox.spy();
+      let byNamespace = sandbox.spy();
+      let byRange = sandbox.spy();
+      let byStatus = sandbox.spy();
+      let byBounds = sandbox.spy();
+      let byAll = sandbox.spy();
+      Therror.on('create', UserError, byClass);
+      Therror.on('create', { namespace: 'User' }, byNamespace);
+      Therror.on('create', { statusCode: '5xx' }, byRange);
+      Therror.on('create', { statusCode: 404 }, byStatus);
+      Therror.on('create', { statusCode: [400, 451] }, byBounds);
+      Therror.on(
+        'create',
+        { class: UserError, namespace: 'Billing', statusCode: '4xx' },
+        byAll
+      );
+
+      let userError = new UserError();
+      let serverError = new Therror.ServerError.BadGateway();
+      new Therror.ServerError.Forbidden();
+
+      expect(byClass).to.have.been.calledOnceWith(userError);
+      expect(byNamespace).to.have.been.calledOnceWith(userError);
+      expect(byRange).to.have.been.calledOnceWith(serverError);
+      expect(byStatus).to.have.been.calledOnceWith(userError);
+      expect(byBounds).to.have.been.calledTwice;
+      expect(byAll).to.not.have.been.called;
+    });
+
+    it('should fail to listen without a listener', function() {
+      expect(() => Therror.on('create')).to.throw(TypeError);
+      expect(() => Therror.on('create', { statusCode: 500 })).to.throw(
+        TypeError
+      );
+    });
+
+    it('should isolate the failing listeners', function() {
+      let failure = new Error('Listener failed');
+      let errorSpy = sandbox.spy();
+      let otherSpy = sandbox.spy();
+      Therror.on('create', () => {
+        throw failure;
+      });
+      Therror.on('create', otherSpy);
+      Therror.on('listenerError', errorSpy);
+
+      let err = new Therror.ServerError.NotFound();
+
+      expect(otherSpy).to.have.been.calledOnceWith(err);
+      expect(errorSpy).to.have.been.calledOnceWith(failure, {
+        event: 'create',
+        error: err
+      });
+    });
+
+    it('should warn about the failures nobody listens to', function() {
+      let failure = new Error('Listener failed');
+      sandbox.stub(process, 'emitWarning');
+      Therror.on('listenerError', () => {
+        throw new Error('Also failed');
+      });
+      Therror.on('create', () => {
+        throw failure;
+      });
+
+      new Therror.ServerError.NotFound();
+      Therror.off('listenerError');
+      new Therror.ServerError.NotFound();
+
+      expect(process.emitWarning).to.have.been.calledTwice;
+      expect(process.emitWarning.firstCall.args[0].message).to.be.eql(
+        'Also failed'
+      );
+      expect(process.emitWarning.secondCall).to.have.been.calledWith(
+        failure,
+        'TherrorListenerWarning'
+      );
+    });
+
+    it('should report the rejected async listeners', function() {
+      let errorSpy = sandbox.spy();
+      Therror.on('create', () => Promise.reject('Oops'));
+      Therror.on('listenerError', errorSpy);
+
+      let err = new Therror.ServerError.NotFound();
+
+      return Promise.resolve().then(() => {
+        expect(errorSpy).to.have.been.calledOnceWith('Oops', {
+          event: 'create',
+          error: err
+        });
+      });
+    });
+  });
+
+  describe('when using Loggable', function() {
+    it('should have a log method', function() {
+      let logger = {
         info: sandbox.spy()
       };
-      const req = {
-        logger: logger
+
+      class MyError extends Therror.Loggable('info') {}
+
+      let err = new MyError('What a ${what}', { what: 'pitty' });
+
+      expect(err).to.be.instanceOf(Error);
+      expect(err).to.be.instanceOf(Therror);
+      expect(err).to.be.instanceOf(MyError);
+
+      expect(err).to.respondTo('log');
+      expect(err).to.respondTo('level');
+
+      expect(err.level()).to.be.eql('info');
+
+      expect(Therror.Loggable.logger).to.be.eql(console);
+      Therror.Loggable.logger = logger;
+      err.log();
+      Therror.Loggable.logger = console;
+
+      expect(logger.info).to.have.been.calledWith(err);
+    });
+
+    it('should use req.logger if present', function() {
+      let logger = {
+        info: sandbox.spy()
+      };
+      const req = {
+        logger: logger
+      };
+
+      class MyError extends Therror.Loggable('info') {}
+
+      let err = new MyError('What a ${what}', { what: 'pitty' });
+
+      err.log({ req: req });
+
+      expect(logger.info).to.have.been.calledWith(err);
+    });
+
+    it('should default to "error" level', function() {
+      let logger = {
+        info: sandbox.spy()
+      };
+
+      class MyError extends Therror.Loggable() {}
+
+      let err = new MyError('What a ${what}', { what: 'pitty' });
+
+      expect(err.level()).to.be.eql('error');
+    });
+  });
+
+  describe('when using Redactable', function() {
+    afterEach(function() {
+      Therror.Redactable.keys = [];
+      Therror.Redactable.paths = [];
+      Therror.Redactable.mode = 'mask';
+    });
+
+    it('should redact the serialized errors', function() {
+      Therror.Redactable.keys = ['password', '*TOKEN*'];
+
+      class LoginError extends Therror.Redactable(
+        { paths: ['card.number', 'cards.*.cvv', '**.secret'] },
+        Therror.Serializable()
+      ) {}
+
+      let err = new LoginError('Invalid password ${password} for ${user}', {
+        user: 'John',
+        password: '1234',
+        accessToken: 'abc',
+        card: { number: '4111', type: 'visa' },
+        cards: [{ cvv: '123' }],
+        deep: { deeper: { secret: 's' } }
+      });
+
+      expect(err.password).to.be.eql('1234');
+      expect(err.card.number).to.be.eql('4111');
+      expect(err.message).to.be.eql('Invalid password 1234 for John');
+
+      let json = err.toJSON();
+      expect(json).to.include({
+        user: 'John',
+        password: '[REDACTED]',
+        accessToken: '[REDACTED]',
+        message: 'Invalid password [REDACTED] for John'
+      });
+      expect(json.card).to.be.eql({ number: '[REDACTED]', type: 'visa' });
+      expect(json.cards).to.be.eql([{ cvv: '[REDACTED]' }]);
+      expect(json.deep).to.be.eql({ deeper: { secret: '[REDACTED]' } });
+      expect(err.toString()).to.not.include('1234');
+      expect(err.toString()).to.not.include('4111');
+    });
+
+    it('should drop the redacted properties', function() {
+      class LoginError extends Therror.Redactable(
+        { keys: ['password'], mode: 'drop' },
+        Therror.Serializable()
+      ) {}
+
+      let err = new LoginError('Invalid login', {
+        user: 'John',
+        password: '1234'
+      });
+
+      expect(err.toJSON()).to.not.have.property('password');
+      expect(err.redact()).to.not.have.property('password');
+      expect(err.redact()).to.be.instanceOf(LoginError);
+      expect(err.password).to.be.eql('1234');
+    });
+
+    it('should redact the cause chain', function() {
+      Therror.Redactable.keys = ['password'];
+
+      class DbError extends Therror.Redactable({ keys: ['dsn'] }) {}
+      class LoginError extends Therror.Serializable(Therror.Redactable()) {}
+
+      let native = new Error('connection refused');
+      native.password = 'native';
+      let cause = new DbError(native, 'Can not connect to ${dsn}', {
+        dsn: 'postgres://root:1234@db',
+        password: '1234'
+      });
+      let err = new LoginError(cause, 'Invalid login');
+
+      let json = err.toJSON();
+      expect(json.$$causes[0]).to.include({
+        message: 'Can not connect to [REDACTED]',
+        dsn: '[REDACTED]',
+        password: '[REDACTED]'
+      });
+      expect(json.$$causes[1]).to.include({ password: '[REDACTED]' });
+      expect(err.redact().rootCause().password).to.be.eql('[REDACTED]');
+      expect(native.password).to.be.eql('native');
+      expect(cause.dsn).to.be.eql('postgres://root:1234@db');
+    });
+
+    it('should redact the causes of the errors not redactable', function() {
+      class Secret extends Therror.Serializable(
+        Therror.Redactable({ keys: ['password'] })
+      ) {}
+      class Outer extends Therror.Serializable() {}
+
+      let native = new Error('connection refused');
+      native.password = 'native';
+      let err = new Outer(
+        new Secret(native, 'login', { password: 'hunter2' }),
+        'outer'
+      );
+
+      let json = err.toJSON();
+      expect(json.$$causes[0]).to.include({ password: '[REDACTED]' });
+      expect(json.$$causes[1]).to.include({ password: '[REDACTED]' });
+      expect(JSON.stringify(json)).to.not.include('hunter2');
+      expect(err.toString()).to.not.include('hunter2');
+    });
+
+    it('should redact the logs', function() {
+      let logger = { error: sandbox.spy() };
+      Therror.Loggable.logger = logger;
+
+      class LoginError extends Therror.Loggable(
+        'error',
+        Therror.Redactable({ keys: ['password'] })
+      ) {}
+      let err = new LoginError('Invalid login', { password: '1234' });
+      err.log();
+      Therror.Loggable.logger = console;
+
+      let logged = logger.error.firstCall.args[0];
+      expect(logged).to.be.instanceOf(LoginError);
+      expect(logged.password).to.be.eql('[REDACTED]');
+      expect(logged.stack).to.not.include('1234');
+    });
+
+    it('should redact the payloads', function() {
+      Therror.Redactable.keys = ['token'];
+
+      class InvalidToken extends Therror.ServerError({ statusCode: 401 }) {
+        getProblemExtensions() {
+          return { token: this.token };
+        }
+      }
+      let err = new InvalidToken('Invalid token ${token}', { token: 'abc' });
+
+      expect(err.toPayload()).to.be.eql({
+        error: 'InvalidToken',
+        message: 'Invalid token [REDACTED]'
+      });
+      expect(err.toProblem()).to.include({
+        detail: 'Invalid token [REDACTED]',
+        token: '[REDACTED]'
+      });
+    });
+
+    it('should return the same error without rules', function() {
+      class LoginError extends Therror.Redactable() {}
+      let err = new LoginError('Invalid login', { password: '1234' });
+
+      expect(err.redact()).to.be.equal(err);
+    });
+  });
+
+  describe('when using Retryable', function() {
+    it('should carry the retry hints', function() {
+      class RateLimited extends Therror.Retryable({
+        retryAfter: 1000,
+        backoff: { initialDelay: 500 }
+      }) {}
+
+      let err = new RateLimited();
+      let custom = new RateLimited({ retryAfter: 30000, retryable: false });
+
+      expect(err.retryable).to.be.eql(true);
+      expect(err.retryAfter).to.be.eql(1000);
+      expect(err.backoff).to.be.eql({ initialDelay: 500 });
+      expect(custom.retryAfter).to.be.eql(30000);
+      expect(custom.retryable).to.be.eql(false);
+      expect(Object.keys(custom)).to.be.eql([]);
+    });
+
+    it('should be retryable for the transient ServerErrors', function() {
+      expect(new Therror.ServerError.ServiceUnavailable().retryable).to.be.eql(
+        true
+      );
+      expect(new Therror.ServerError[429]().retryable).to.be.eql(true);
+      expect(new Therror.ServerError[504]().retryable).to.be.eql(true);
+      expect(new Therror.ServerError.NotFound().retryable).to.be.undefined;
+      expect(new Therror.ServerError[500]().retryable).to.be.undefined;
+    });
+
+    it('should accept the hints in the ServerError options', function() {
+      class Locked extends Therror.ServerError({
+        statusCode: 423,
+        retryable: true,
+        retryAfter: 5000
+      }) {}
+
+      expect(new Locked().retryable).to.be.eql(true);
+      expect(new Locked().retryAfter).to.be.eql(5000);
+    });
+
+    it('should get the hints through the cause chain', function() {
+      let network = new Error('socket hang up');
+      network.code = 'ECONNRESET';
+
+      expect(Therror.retryHints(new Therror(network))).to.be.eql({
+        retryable: true
+      });
+      expect(
+        Therror.retryHints(
+          new Therror(new Therror.ServerError[503]({ retryAfter: 200 }))
+        )
+      ).to.be.eql({ retryable: true, retryAfter: 200 });
+      expect(
+        Therror.retryHints(new Therror.ServerError.BadRequest(network))
+      ).to.be.eql({ retryable: true });
+      expect(
+        Therror.retryHints(
+          new Therror.ServerError.BadRequest(new Therror.ServerError[503](), {
+            retryable: false
+          })
+        )
+      ).to.be.eql({ retryable: false });
+      expect(Therror.retryHints({ status: 502 })).to.be.eql({
+        retryable: true
+      });
+      expect(Therror.retryHints('Oops')).to.be.eql({ retryable: false });
+    });
+  });
+
+  describe('when retrying', function() {
+    it('should retry the retryable errors', function() {
+      let onRetry = sandbox.spy();
+      let fn = sandbox.spy(attempt => {
+        if (attempt < 3) {
+          throw new Therror.ServerError.ServiceUnavailable();
+        }
+        return 'done';
+      });
+
+      return Therror.retry(fn, {
+        initialDelay: 2,
+        jitter: false,
+        onRetry: onRetry
+      }).then(result => {
+        expect(result).to.be.eql('done');
+        expect(fn).to.have.been.calledThrice;
+        expect(onRetry.args.map(args => args[2])).to.be.eql([2, 4]);
+      });
+    });
+
+    it('should retry the ServerErrors wrapping transient errors', function() {
+      let fn = sandbox.spy(attempt => {
+        if (attempt < 2) {
+          let network = new Error('socket hang up');
+          network.code = 'ECONNRESET';
+          throw new Therror.ServerError.InternalServerError(network);
+        }
+        return 'done';
+      });
+
+      return Therror.retry(fn, { initialDelay: 1 }).then(result => {
+        expect(result).to.be.eql('done');
+        expect(fn).to.have.been.calledTwice;
+      });
+    });
+
+    it('should fail with the non retryable errors', function() {
+      let fn = sandbox.spy(() =>
+        Promise.reject(new Therror.ServerError.NotFound())
+      );
+
+      return Therror.retry(fn).then(
+        () => expect.fail(),
+        err => {
+          expect(err).to.be.instanceOf(Therror.ServerError.NotFound);
+          expect(fn).to.have.been.calledOnce;
+        }
+      );
+    });
+
+    it('should fail after the max attempts', function() {
+      let fn = sandbox.spy(() => {
+        throw new Therror.ServerError.BadGateway();
+      });
+
+      return Therror.retry(fn, { attempts: 2, initialDelay: 1 }).then(
+        () => expect.fail(),
+        err => {
+          expect(err).to.be.instanceOf(Therror.ServerError.BadGateway);
+          expect(fn).to.have.been.calledTwice;
+        }
+      );
+    });
+
+    it('should honour the hints of the errors', function() {
+      let onRetry = sandbox.spy();
+      let attempts = 0;
+
+      return Therror.retry(
+        () => {
+          attempts++;
+          if (attempts === 1) {
+            throw new Therror(
+              new Therror.ServerError.TooManyRequests({ retryAfter: 20 })
+            );
+          }
+          if (attempts === 2) {
+            throw new Therror.ServerError.ServiceUnavailable({
+              backoff: { initialDelay: 1, factor: 3, jitter: false }
+            });
+          }
+          return attempts;
+        },
+        { initialDelay: 1, onRetry: onRetry }
+      ).then(result => {
+        expect(result).to.be.eql(3);
+        expect(onRetry.args.map(args => args[2])).to.be.eql([20, 3]);
+      });
+    });
+
+    it('should use the custom retry decision', function() {
+      let shouldRetry = sandbox.spy(err => err.message === 'again');
+      let attempts = 0;
+
+      return Therror.retry(
+        () => {
+          attempts++;
+          throw new Error(attempts === 1 ? 'again' : 'stop');
+        },
+        { initialDelay: 1, shouldRetry: shouldRetry }
+      ).then(
+        () => expect.fail(),
+        err => {
+          expect(err.message).to.be.eql('stop');
+          expect(shouldRetry).to.have.been.calledTwice;
+        }
+      );
+    });
+
+    it('should stop when aborted', function() {
+      let listeners = [];
+      let signal = {
+        aborted: false,
+        reason: new Error('Cancelled'),
+        addEventListener: (name, fn) => listeners.push(fn),
+        removeEventListener: sandbox.spy()
+      };
+      let fn = sandbox.spy(() => {
+        setTimeout(() => {
+          signal.aborted = true;
+          listeners.forEach(listener => listener());
+        }, 5);
+        throw new Therror.ServerError.ServiceUnavailable();
+      });
+
+      return Therror.retry(fn, {
+        initialDelay: 1000,
+        jitter: false,
+        signal: signal
+      }).then(
+        () => expect.fail(),
+        err => {
+          expect(err).to.be.equal(signal.reason);
+          expect(fn).to.have.been.calledOnce;
+          expect(fn).to.have.been.calledWith(1, signal);
+        }
+      );
+    });
+
+    it('should validate the options', function() {
+      expect(() => Therror.retry('fn')).to.throw(TypeError);
+      expect(() => Therror.retry(() => {}, { attempts: 0 })).to.throw(
+        TypeError
+      );
+    });
+  });
+
+  describe('when using Aggregate', function() {
+    class InvalidRow extends Therror.ServerError({
+      statusCode: 400,
+      message: 'The row ${row} is invalid'
+    }) {}
+
+    it('should hold the errors', function() {
+      class ImportFailed extends Therror.Aggregate() {}
+      let errors = [new InvalidRow({ row: 1 }), new Error('Timeout')];
+
+      let err = new ImportFailed(errors, '${errors.length} rows failed', {
+        file: 'users.csv'
+      });
+
+      expect(err).to.be.instanceOf(Therror);
+      expect(err.message).to.be.eql('2 rows failed');
+      expect(err.errors).to.be.eql(errors);
+      expect(err.errors).to.not.equal(errors);
+      expect(err.file).to.be.eql('users.csv');
+      expect(Object.keys(err)).to.be.eql(['file']);
+      expect(new ImportFailed(errors).message).to.be.eql('2 errors occurred');
+      expect(new ImportFailed({ errors: errors }).errors).to.be.eql(errors);
+      expect(new ImportFailed().errors).to.be.eql([]);
+    });
+
+    it('should keep the causes and the base messages', function() {
+      class ImportFailed extends Therror.Aggregate(
+        Therror.WithMessage('Failed to import ${errors.length} rows')
+      ) {}
+      class ImportRejected extends Therror.Aggregate(
+        Therror.ServerError.BadRequest
+      ) {}
+      let cause = new Error('Disk full');
+      let errors = [new InvalidRow({ row: 1 })];
+
+      expect(new ImportFailed(errors).message).to.be.eql(
+        'Failed to import 1 rows'
+      );
+      expect(new ImportRejected(errors).message).to.be.eql('Bad Request');
+      expect(new ImportRejected(errors, cause).cause).to.be.equal(cause);
+      expect(new ImportRejected(errors, cause).message).to.be.eql('Disk full');
+    });
+
+    it('should iterate and filter the errors', function() {
+      class ImportFailed extends Therror.Aggregate() {}
+      let errors = [
+        new InvalidRow({ row: 1 }),
+        new TypeError('Oops'),
+        new InvalidRow({ row: 7 })
+      ];
+      let err = new ImportFailed(errors);
+
+      expect(Array.from(err)).to.be.eql(errors);
+      expect(err.filter(InvalidRow).map(child => child.row)).to.be.eql([1, 7]);
+      expect(err.filter('TypeError')).to.be.eql([errors[1]]);
+      expect(err.filter(child => child.row === 7)).to.be.eql([errors[2]]);
+    });
+
+    it('should serialize the errors with their own redaction', function() {
+      class Secret extends Therror.Serializable(
+        Therror.Redactable({ keys: ['password'] })
+      ) {}
+      class ImportFailed extends Therror.Serializable(Therror.Aggregate()) {}
+      let err = new ImportFailed([
+        new Secret('Invalid password', { password: '1234' }),
+        new RangeError('Out of range')
+      ]);
+
+      let json = err.toJSON();
+
+      expect(json.$$errors).to.have.lengthOf(2);
+      expect(json.$$errors[0]).to.include({
+        password: '[REDACTED]',
+        message: 'Invalid password'
+      });
+      expect(json.$$errors[1]).to.include({
+        message: 'Out of range',
+        constructor: 'RangeError'
+      });
+      expect(json).to.not.have.property('errors');
+    });
+
+    it('should rebuild the errors from JSON', function() {
+      class ImportFailed extends Therror.Serializable(Therror.Aggregate()) {}
+      Therror.register(ImportFailed, 'IMPORT.FAILED');
+
+      let err = Therror.fromJSON(
+        JSON.stringify(
+          new ImportFailed([new RangeError('Out of range')], 'Import failed')
+        )
+      );
+      Therror.registry.clear();
+
+      expect(err).to.be.instanceOf(ImportFailed);
+      expect(err.errors).to.have.lengthOf(1);
+      expect(err.errors[0]).to.be.instanceOf(RangeError);
+      expect(Object.keys(err)).to.be.eql([]);
+    });
+
+    it('should include the errors in the payloads', function() {
+      class ImportFailed extends Therror.Aggregate(
+        Therror.ServerError.UnprocessableEntity
+      ) {}
+      let err = new ImportFailed(
+        [
+          new InvalidRow({ row: 1 }),
+          new Error('Connection refused'),
+          new Therror.ServerError.ServiceUnavailable('Redis is down')
+        ],
+        '${errors.length} rows failed'
+      );
+
+      let errors = [
+        { error: 'InvalidRow', message: 'The row 1 is invalid' },
+        { error: 'InternalServerError', message: 'Internal Server Error' },
+        { error: 'ServiceUnavailable', message: 'Service Unavailable' }
+      ];
+      expect(err.toPayload()).to.be.eql({
+        error: 'UnprocessableEntity',
+        message: '3 rows failed',
+        errors: errors
+      });
+      expect(err.toProblem().errors).to.be.eql(errors);
+    });
+  });
+
+  describe('when using Validation', function() {
+    afterEach(function() {
+      Therror.Localizable.catalogs.clear();
+      Therror.registry.clear();
+    });
+
+    it('should collect the entries', function() {
+      class InvalidUser extends Therror.Validation() {}
+
+      let err = new InvalidUser()
+        .add('email', 'required', '${path} is required')
+        .add(['address', 'zip'], 'pattern', undefined, 'abc')
+        .add({
+          path: 'age',
+          rule: 'min',
+          min: 18,
+          value: 12,
+          message: '${path} must be at least ${min}, not ${value}'
+        });
+
+      expect(err).to.be.instanceOf(Therror);
+      expect(err.entries).to.be.eql([
+        { path: 'email', rule: 'required', message: '${path} is required' },
+        { path: 'address.zip', rule: 'pattern', value: 'abc' },
+        {
+          path: 'age',
+          rule: 'min',
+          min: 18,
+          value: 12,
+          message: '${path} must be at least ${min}, not ${value}'
+        }
+      ]);
+      expect(err.message).to.be.eql(
+        'email is required, address.zip is not valid, age must be at least 18, not 12'
+      );
+    });
+
+    it('should accept the entries on creation', function() {
+      class InvalidUser extends Therror.Validation(
+        Therror.ServerError.BadRequest
+      ) {}
+      let entries = [{ path: 'email', rule: 'required' }];
+
+      expect(new InvalidUser(entries).message).to.be.eql('email is not valid');
+      expect(new InvalidUser({ entries: entries }).entries).to.be.eql(entries);
+      expect(
+        new InvalidUser(entries, '${entries.length} invalid fields').message
+      ).to.be.eql('1 invalid fields');
+      expect(new InvalidUser().message).to.be.eql('Bad Request');
+      expect(new (Therror.Validation())().message).to.be.eql(
+        'Validation failed'
+      );
+    });
+
+    it('should render the entries with the error template engine', function() {
+      class InvalidItems extends Therror.Validation() {
+        static get templateEngine() {
+          return 'icu';
+        }
+      }
+
+      let err = new InvalidItems().add({
+        path: 'items',
+        rule: 'maxItems',
+        max: 1,
+        message: '{path} can have {max, plural, one {# item} other {# items}}'
+      });
+
+      expect(err.message).to.be.eql('items can have 1 item');
+    });
+
+    it('should return the entries in the payloads', function() {
+      class InvalidUser extends Therror.Validation(
+        Therror.ServerError.UnprocessableEntity
+      ) {}
+
+      let err = new InvalidUser()
+        .add('email', 'required', '${path} is required')
+        .add('password', 'minLength', '${path} is too short', '1234');
+
+      let errors = [
+        { path: 'email', rule: 'required', message: 'email is required' },
+        {
+          path: 'password',
+          rule: 'minLength',
+          message: 'password is too short'
+        }
+      ];
+      expect(err.toPayload()).to.be.eql({
+        error: 'UnprocessableEntity',
+        message: 'email is required, password is too short',
+        errors: errors
+      });
+      expect(err.toProblem()).to.include({
+        status: 422,
+        detail: 'email is required, password is too short'
+      });
+      expect(err.toProblem().errors).to.be.eql(errors);
+    });
+
+    it('should localize the entries', function() {
+      Therror.Localizable.register('es', {
+        required: '${path} es obligatorio',
+        'InvalidUser.min': '${path} debe ser al menos ${min}'
+      });
+      class InvalidUser extends Therror.Validation(
+        Therror.ServerError.BadRequest
+      ) {}
+
+      let err = new InvalidUser()
+        .add('email', 'required', '${path} is required')
+        .add({ path: 'age', rule: 'min', min: 18 });
+
+      expect(err.localize('es')).to.be.eql(
+        'email es obligatorio, age debe ser al menos 18'
+      );
+      expect(err.toPayload({ acceptLanguage: 'es-ES' }).errors).to.be.eql([
+        { path: 'email', rule: 'required', message: 'email es obligatorio' },
+        { path: 'age', rule: 'min', message: 'age debe ser al menos 18' }
+      ]);
+    });
+
+    it('should rebuild the entries from JSON', function() {
+      class InvalidUser extends Therror.Serializable(
+        Therror.Validation(Therror.ServerError.BadRequest)
+      ) {}
+      Therror.register(InvalidUser, 'USER.INVALID');
+
+      let err = Therror.fromJSON(
+        JSON.stringify(new InvalidUser().add('email', 'required'))
+      );
+
+      expect(err).to.be.instanceOf(InvalidUser);
+      expect(err.message).to.be.eql('email is not valid');
+    });
+  });
+
+  describe('when using WithMessage', function() {
+    it('should have common message for all instances', function() {
+      class MyError extends Therror.WithMessage(
+        'The user ${user} does not exists'
+      ) {}
+
+      let err = new MyError({ user: 'John' });
+      let err2 = new MyError(err, { user: 'Sarah' });
+
+      expect(err.message).to.be.eql('The user John does not exists');
+      expect(err2.message).to.be.eql('The user Sarah does not exists');
+      expect(err2.cause).to.be.eql(err);
+    });
+
+    it('should be able to overwrite the predefined message', function() {
+      class MyError extends Therror.WithMessage(
+        'The user ${user} does not exists'
+      ) {}
+
+      let err = new MyError('Overwritten message for ${user}', {
+        user: 'John'
+      });
+      let err2 = new MyError(err, 'Another message for ${user}', {
+        user: 'Sarah'
+      });
+
+      expect(err.message).to.be.eql('Overwritten message for John');
+      expect(err2.message).to.be.eql('Another message for Sarah');
+      expect(err2.cause).to.be.eql(err);
+    });
+  });
+
+  describe('when using HTTP', function() {
+    it('should create with statusCodes', function() {
+      class NotFound extends Therror.HTTP('404') {}
+      class ServerError extends Therror.HTTP('500') {}
+
+      let err = new NotFound();
+      let err2 = new ServerError(err, 'Boom!');
+
+      expect(err.statusCode).to.exist;
+      expect(Object.keys(err)).to.not.contains('statusCode');
+      expect(err).to.respondTo('toPayload');
+
+      expect(err.statusCode).to.be.eql(404);
+      expect(err.message).to.be.eql('Not Found');
+      expect(err.toPayload()).to.be.eql({
+        error: 'NotFound',
+        message: 'Not Found'
+      });
+
+      expect(err2.cause).to.be.eql(err);
+      expect(err2.message).to.be.eql('Boom!');
+    });
+
+    it('should create with custom message', function() {
+      class UserNotFound extends Therror.HTTP('404') {}
+
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err.statusCode).to.be.eql(404);
+      expect(err.message).to.be.eql('The user Sarah does not exists');
+      expect(err.toPayload()).to.be.eql({
+        error: 'UserNotFound',
+        message: 'The user Sarah does not exists'
+      });
+    });
+
+    it('should hide information to the client', function() {
+      class ServiceUnavailable extends Therror.HTTP(503) {}
+
+      let err = new ServiceUnavailable('Database ${type} misconfigured', {
+        type: 'mongo'
+      });
+
+      expect(err.statusCode).to.be.eql(503);
+      expect(err.name).to.be.eql('ServiceUnavailable');
+      expect(err.message).to.be.eql('Database mongo misconfigured');
+      expect(err.toPayload()).to.be.eql({
+        error: 'ServiceUnavailable',
+        message: 'Service Unavailable'
+      });
+    });
+
+    it('should use generic 500 message when not valid statusCode', function() {
+      class ServerError extends Therror.HTTP(2312332) {}
+
+      let err = new ServerError();
+      let err2 = new ServerError('Boom!');
+
+      expect(err.statusCode).to.be.eql(2312332);
+      expect(err.message).to.be.eql('Internal Server Error');
+      expect(err2.message).to.be.eql('Boom!');
+
+      expect(err.toPayload()).to.be.eql({
+        error: 'InternalServerError',
+        message: 'Internal Server Error'
+      });
+
+      expect(err2.toPayload()).to.be.eql({
+        error: 'InternalServerError',
+        message: 'Internal Server Error'
+      });
+    });
+
+    it('should default to 500 when no statusCode provided', function() {
+      class ServerError extends Therror.HTTP() {}
+
+      let err = new ServerError();
+      let err2 = new ServerError('Boom!');
+
+      expect(err.statusCode).to.be.eql(500);
+      expect(err.message).to.be.eql('Internal Server Error');
+      expect(err2.message).to.be.eql('Boom!');
+
+      expect(err.toPayload()).to.be.eql({
+        error: 'InternalServerError',
+        message: 'Internal Server Error'
+      });
+
+      expect(err2.toPayload()).to.be.eql({
+        error: 'InternalServerError',
+        message: 'Internal Server Error'
+      });
+    });
+
+    it('should use with cause message when no specific message specified', function() {
+      let cause = new Error('Causer error');
+      class ServerError extends Therror.HTTP() {}
+
+      let err = new ServerError(cause);
+
+      expect(err.cause).to.be.eql(cause);
+      expect(err.message).to.be.eql('Causer error');
+    });
+  });
+
+  describe('when using GRPC', function() {
+    afterEach(function() {
+      Therror.GRPC.MASKED_CODES = [2, 13];
+      Therror.Localizable.catalogs.clear();
+    });
+
+    it('should get the gRPC status', function() {
+      class UserNotFound extends Therror.GRPC(5) {}
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err).to.be.instanceOf(Therror);
+      expect(err.name).to.be.eql('UserNotFound');
+      expect(err.grpcCode).to.be.eql(5);
+      expect(err.toStatus()).to.be.eql({
+        code: 5,
+        details: 'The user Sarah does not exists',
+        metadata: {}
+      });
+    });
+
+    it('should accept several properties objects', function() {
+      class UserNotFound extends Therror.GRPC(5) {}
+      let err = new UserNotFound({ user: 'Sarah' }, { group: 'admins' });
+
+      expect(err.message).to.be.eql('Not found');
+      expect(err.user).to.be.eql('Sarah');
+      expect(err.group).to.be.eql('admins');
+    });
+
+    it('should accept the status code names', function() {
+      class Exists extends Therror.GRPC('ALREADY_EXISTS') {}
+      class Unavailable extends Therror.GRPC('unavailable') {}
+
+      expect(new Exists().grpcCode).to.be.eql(6);
+      expect(new Exists().message).to.be.eql('Already exists');
+      expect(Exists.messageTemplate).to.be.eql('Already exists');
+      expect(new Unavailable().grpcCode).to.be.eql(14);
+      expect(() => Therror.GRPC('NOT_A_CODE')).to.throw(TypeError);
+      expect(() => Therror.GRPC(42)).to.throw(TypeError);
+    });
+
+    it('should have the status code classes', function() {
+      let err = new Therror.GRPC.NotFound();
+
+      expect(Therror.GRPC[5]).to.be.eql(Therror.GRPC.NotFound);
+      expect(Therror.GRPC.Ok).to.be.undefined;
+      expect(err.name).to.be.eql('NotFound');
+      expect(err.message).to.be.eql('Not found');
+      expect(new Therror.GRPC.Unauthenticated().grpcCode).to.be.eql(16);
+      expect(new Therror.GRPC[4]().name).to.be.eql('DeadlineExceeded');
+    });
+
+    it('should hide the details of the server errors', function() {
+      let err = new Therror.GRPC.Internal('The database password is wrong');
+      let unknown = new Therror.GRPC.Unknown(new Error('Oops'));
+      let dataLoss = new Therror.GRPC.DataLoss('Disk /dev/sda1 broken');
+
+      expect(err.message).to.be.eql('The database password is wrong');
+      expect(err.toStatus().details).to.be.eql('Internal');
+      expect(unknown.toStatus().details).to.be.eql('Unknown');
+      expect(dataLoss.toStatus().details).to.be.eql('Disk /dev/sda1 broken');
+
+      Therror.GRPC.MASKED_CODES.push(15);
+      expect(dataLoss.toStatus().details).to.be.eql('Data loss');
+    });
+
+    it('should localize the details', function() {
+      Therror.Localizable.register('es', {
+        UserNotFound: 'El usuario ${user} no existe'
+      });
+      class UserNotFound extends Therror.GRPC(
+        'NOT_FOUND',
+        Therror.Localizable()
+      ) {}
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err.toStatus({ acceptLanguage: 'es-ES' }).details).to.be.eql(
+        'El usuario Sarah no existe'
+      );
+    });
+
+    it('should add the class code to the metadata', function() {
+      class UserNotFound extends Therror.GRPC('NOT_FOUND') {}
+      Therror.register(UserNotFound, 'USER.NOT_FOUND');
+
+      expect(new UserNotFound().toStatus().metadata).to.be.eql({
+        code: 'USER.NOT_FOUND'
+      });
+      Therror.registry.unregister('USER.NOT_FOUND');
+    });
+
+    it('should map the code from the HTTP status code', function() {
+      class UserNotFound extends Therror.GRPC(
+        Therror.ServerError({ statusCode: 404, message: 'No user ${user}' })
+      ) {}
+      class Unavailable extends Therror.GRPC(
+        Therror.ServerError({ statusCode: 503 })
+      ) {}
+      class Plain extends Therror.GRPC() {}
+      let err = new UserNotFound({ user: 'Sarah' });
+
+      expect(err.message).to.be.eql('No user Sarah');
+      expect(err.statusCode).to.be.eql(404);
+      expect(err.grpcCode).to.be.eql(5);
+      expect(err.toPayload()).to.be.eql({
+        error: 'UserNotFound',
+        message: 'No user Sarah'
+      });
+      expect(err.toStatus()).to.be.eql({
+        code: 5,
+        details: 'No user Sarah',
+        metadata: {}
+      });
+      expect(new Unavailable().grpcCode).to.be.eql(14);
+      expect(
+        new Unavailable('Redis at 10.0.0.1 is down').toStatus().details
+      ).to.be.eql('Unavailable');
+      expect(new Plain().grpcCode).to.be.eql(2);
+      expect(new Plain().message).to.be.eql('Unknown');
+    });
+
+    it('should map the HTTP and gRPC status codes', function() {
+      expect(Therror.GRPC.fromHTTP(400)).to.be.eql(3);
+      expect(Therror.GRPC.fromHTTP('404')).to.be.eql(5);
+      expect(Therror.GRPC.fromHTTP(429)).to.be.eql(8);
+      expect(Therror.GRPC.fromHTTP(503)).to.be.eql(14);
+      expect(Therror.GRPC.fromHTTP(418)).to.be.eql(9);
+      expect(Therror.GRPC.fromHTTP(507)).to.be.eql(13);
+      expect(Therror.GRPC.fromHTTP(200)).to.be.eql(0);
+      expect(Therror.GRPC.fromHTTP(302)).to.be.eql(2);
+
+      expect(Therror.GRPC.toHTTP(5)).to.be.eql(404);
+      expect(Therror.GRPC.toHTTP('UNAVAILABLE')).to.be.eql(503);
+      expect(Therror.GRPC.toHTTP('16')).to.be.eql(401);
+      expect(Therror.GRPC.toHTTP(0)).to.be.eql(200);
+    });
+  });
+
+  describe('when using HTTP Problem Details', function() {
+    afterEach(function() {
+      Therror.HTTP.problemDetails = false;
+    });
+
+    it('should return a Problem Details object', function() {
+      class UserNotFound extends Therror.HTTP('404') {}
+
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err.toProblem()).to.be.eql({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'The user Sarah does not exists'
+      });
+    });
+
+    it('should add the instance when provided', function() {
+      let err = new Therror.ServerError.NotFound();
+
+      expect(err.toProblem({ instance: '/users/sarah' })).to.be.eql({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Not Found',
+        instance: '/users/sarah'
+      });
+    });
+
+    it('should hide information to the client', function() {
+      let err = new Therror.ServerError.ServiceUnavailable(
+        'Database ${type} misconfigured',
+        { type: 'mongo' }
+      );
+
+      expect(err.toProblem()).to.be.eql({
+        type: 'about:blank',
+        title: 'Service Unavailable',
+        status: 503,
+        detail: 'Service Unavailable'
+      });
+    });
+
+    it('should use generic 500 when not valid statusCode', function() {
+      class ServerError extends Therror.HTTP(2312332) {}
+
+      let err = new ServerError('Boom!');
+
+      expect(err.toProblem()).to.be.eql({
+        type: 'about:blank',
+        title: 'Internal Server Error',
+        status: 500,
+        detail: 'Internal Server Error'
+      });
+    });
+
+    it('should hide the details of the unknown client status codes', function() {
+      class ClientClosed extends Therror.HTTP(499) {}
+
+      let err = new ClientClosed('The client at 10.0.0.1 closed the request');
+
+      expect(err.toProblem()).to.be.eql({
+        type: 'about:blank',
+        title: 'Internal Server Error',
+        status: 500,
+        detail: 'Internal Server Error'
+      });
+      expect(err.toPayload()).to.be.eql({
+        error: 'InternalServerError',
+        message: 'Internal Server Error'
+      });
+    });
+
+    it('should let classes declare their type and extension members', function() {
+      class OutOfCredit extends Therror.HTTP('403') {
+        getProblemType() {
+          return 'https://example.com/probs/out-of-credit';
+        }
+
+        getProblemExtensions() {
+          return { balance: this.balance, status: 200 };
+        }
+      }
+
+      let err = new OutOfCredit('Your balance is ${balance}', { balance: 30 });
+
+      expect(err.toProblem()).to.be.eql({
+        type: 'https://example.com/probs/out-of-credit',
+        title: 'Forbidden',
+        status: 403,
+        detail: 'Your balance is 30',
+        balance: 30
+      });
+    });
+
+    it('should return Problem Details from toPayload when configured', function() {
+      let err = new Therror.ServerError.NotFound();
+
+      Therror.HTTP.problemDetails = true;
+
+      expect(err.toPayload({ instance: '/users/sarah' })).to.be.eql({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Not Found',
+        instance: '/users/sarah'
+      });
+    });
+
+    it('should expose the problem content type', function() {
+      expect(Therror.HTTP.PROBLEM_CONTENT_TYPE).to.be.eql(
+        'application/problem+json'
+      );
+    });
+  });
+
+  describe('when using the registry', function() {
+    afterEach(function() {
+      Therror.registry.clear();
+    });
+
+    it('should register classes with their codes', function() {
+      class UserNotFound extends Therror.ServerError({ statusCode: 404 }) {}
+
+      expect(Therror.register(UserNotFound, 'USER.NOT_FOUND')).to.be.equal(
+        UserNotFound
+      );
+      expect(UserNotFound.code).to.be.eql('USER.NOT_FOUND');
+      expect(Therror.registry.get('USER.NOT_FOUND')).to.be.equal(UserNotFound);
+      expect(Therror.registry.get('UserNotFound')).to.be.equal(UserNotFound);
+      expect(Therror.registry.list()).to.be.eql([UserNotFound]);
+    });
+
+    it('should use the code declared by the class', function() {
+      class UserNotFound extends Therror.ServerError({
+        statusCode: 404,
+        code: 'USER.NOT_FOUND'
+      }) {}
+      class InvalidUser extends Therror.Namespaced('User') {
+        static get code() {
+          return 'USER.INVALID';
+        }
+      }
+
+      Therror.register(UserNotFound);
+      Therror.register(InvalidUser);
+
+      expect(Therror.registry.get('USER.NOT_FOUND')).to.be.equal(UserNotFound);
+      expect(Therror.registry.get('User.InvalidUser')).to.be.equal(InvalidUser);
+      expect(Therror.registry.get('InvalidUser')).to.be.undefined;
+    });
+
+    it('should fail when registering the same code twice', function() {
+      class UserNotFound extends Therror.WithMessage('User not found') {}
+      class UserGone extends Therror.HTTP(410) {}
+
+      Therror.register(UserNotFound, 'USER.NOT_FOUND');
+
+      expect(Therror.register(UserNotFound, 'USER.NOT_FOUND')).to.be.equal(
+        UserNotFound
+      );
+      expect(() => Therror.register(UserGone, 'USER.NOT_FOUND')).to.throw(
+        /USER.NOT_FOUND/
+      );
+      expect(() => Therror.register(UserGone)).to.throw(TypeError);
+    });
+
+    it('should unregister classes', function() {
+      class UserNotFound extends Therror {}
+      Therror.register(UserNotFound, 'USER.NOT_FOUND');
+
+      expect(Therror.registry.unregister('USER.NOT_FOUND')).to.be.eql(true);
+      expect(Therror.registry.unregister('USER.NOT_FOUND')).to.be.eql(false);
+      expect(Therror.registry.get('UserNotFound')).to.be.undefined;
+    });
+
+    it('should expose the code in the instances', function() {
+      class UserNotFound extends Therror.Serializable(
+        Therror.ServerError({ statusCode: 404 })
+      ) {}
+      Therror.register(UserNotFound, 'USER.NOT_FOUND');
+
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err.code).to.be.eql('USER.NOT_FOUND');
+      expect(Object.keys(err)).to.be.eql(['user']);
+      expect(err.toPayload()).to.be.eql({
+        error: 'UserNotFound',
+        message: 'The user Sarah does not exists',
+        code: 'USER.NOT_FOUND'
+      });
+      expect(err.toProblem().code).to.be.eql('USER.NOT_FOUND');
+      expect(err.toJSON()).to.include({
+        message: 'The user Sarah does not exists',
+        code: 'USER.NOT_FOUND'
+      });
+    });
+
+    it('should not send other instance codes to the client', function() {
+      let err = new Therror.ServerError.ServiceUnavailable({
+        code: 'ECONNREFUSED'
+      });
+
+      expect(err.code).to.be.eql('ECONNREFUSED');
+      expect(err.toPayload()).to.be.eql({
+        error: 'ServiceUnavailable',
+        message: 'Service Unavailable'
+      });
+    });
+  });
+
+  describe('when defining errors', function() {
+    afterEach(function() {
+      Therror.registry.clear();
+    });
+
+    it('should define a named error class', function() {
+      let UserNotFound = Therror.define({
+        name: 'UserNotFound',
+        namespace: 'User',
+        message: 'The user ${user} does not exists',
+        statusCode: 404,
+        level: 'info',
+        code: 'USER.NOT_FOUND'
+      });
+      let err = new UserNotFound({ user: 'Sarah' });
+
+      expect(UserNotFound.name).to.be.eql('UserNotFound');
+      expect(err).to.be.instanceOf(Therror);
+      expect(err.name).to.be.eql('User.UserNotFound');
+      expect(err.namespace).to.be.eql('User');
+      expect(err.message).to.be.eql('The user Sarah does not exists');
+      expect(err.statusCode).to.be.eql(404);
+      expect(err.level()).to.be.eql('info');
+      expect(err.code).to.be.eql('USER.NOT_FOUND');
+      expect(UserNotFound.messageTemplate).to.be.eql(
+        'The user ${user} does not exists'
+      );
+      expect(Therror.registry.get('USER.NOT_FOUND')).to.be.eql(UserNotFound);
+      expect(Therror.registry.get('User.UserNotFound')).to.be.eql(UserNotFound);
+    });
+
+    it('should default the instance properties', function() {
+      let UserNotFound = Therror.define({
+        name: 'UserNotFound',
+        message: 'The user ${user} does not exists',
+        properties: { user: 'anonymous', retries: 0 }
+      });
+      let cause = new Error('ENOENT');
+
+      expect(new UserNotFound().message).to.be.eql(
+        'The user anonymous does not exists'
+      );
+      let err = new UserNotFound(cause, { user: 'Sarah' });
+      expect(err.message).to.be.eql('The user Sarah does not exists');
+      expect(err.retries).to.be.eql(0);
+      expect(err.cause).to.be.eql(cause);
+      expect(new UserNotFound('Who is ${user}?').message).to.be.eql(
+        'Who is anonymous?'
+      );
+      expect(
+        new UserNotFound({ user: 'John' }, { retries: 2 }).message
+      ).to.be.eql('The user John does not exists');
+      expect(
+        new UserNotFound({ user: 'John' }, { retries: 2 }).retries
+      ).to.be.eql(2);
+    });
+
+    it('should pass the other ServerError options', function() {
+      let Unavailable = Therror.define({
+        name: 'Unavailable',
+        statusCode: 503,
+        retryAfter: 1000
+      });
+      let err = new Unavailable();
+
+      expect(err.message).to.be.eql('Service Unavailable');
+      expect(err.retryable).to.be.eql(true);
+      expect(err.retryAfter).to.be.eql(1000);
+      expect(err.level()).to.be.eql('error');
+    });
+
+    it('should fail without a valid class name', function() {
+      expect(() => Therror.define()).to.throw(TypeError);
+      expect(() => Therror.define({ statusCode: 404 })).to.throw(TypeError);
+      expect(() => Therror.define({ name: 'Not found' })).to.throw(TypeError);
+    });
+
+    it('should define the errors of a catalog', function() {
+      let errors = Therror.defineAll({
+        UserNotFound: { statusCode: 404, code: 'USER.NOT_FOUND' },
+        UserExists: { statusCode: 409, message: 'The user already exists' }
+      });
+      let listed = Therror.defineAll([
+        { name: 'Timeout', statusCode: 504 },
+        { name: 'Failure' }
+      ]);
+
+      expect(Object.keys(errors)).to.be.eql(['UserNotFound', 'UserExists']);
+      expect(new errors.UserNotFound().name).to.be.eql('UserNotFound');
+      expect(new errors.UserNotFound().code).to.be.eql('USER.NOT_FOUND');
+      expect(new errors.UserExists().message).to.be.eql(
+        'The user already exists'
+      );
+      expect(new listed.Timeout().statusCode).to.be.eql(504);
+      expect(new listed.Failure().statusCode).to.be.eql(500);
+      expect(() => Therror.defineAll([{ name: 'A' }, { name: 'A' }])).to.throw(
+        'Error class A is defined twice'
+      );
+      expect(() => Therror.defineAll(1)).to.throw(TypeError);
+    });
+
+    it('should register the errors of a catalog all at once', function() {
+      Therror.define({ name: 'Existing', code: 'EXISTING' });
+      let catalog = {
+        UserNotFound: { statusCode: 404, code: 'USER.NOT_FOUND' },
+        UserExists: { statusCode: 409, code: 'EXISTING' }
       };
 
-      class MyError extends Therror.Loggable('info') {}
+      expect(() => Therror.defineAll(catalog)).to.throw(/EXISTING/);
+      expect(Therror.registry.get('USER.NOT_FOUND')).to.be.undefined;
+      expect(() =>
+        Therror.defineAll({ Valid: { code: 'VALID' }, 'Not valid': {} })
+      ).to.throw(TypeError);
+      expect(Therror.registry.get('VALID')).to.be.undefined;
+
+      catalog.UserExists.code = 'USER.EXISTS';
+      let errors = Therror.defineAll(catalog);
+      expect(Therror.registry.get('USER.NOT_FOUND')).to.be.eql(
+        errors.UserNotFound
+      );
+      expect(Therror.registry.get('USER.EXISTS')).to.be.eql(errors.UserExists);
+    });
+
+    it('should define the errors of a catalog file', function() {
+      let file = path.join(
+        os.tmpdir(),
+        `therror-${process.pid}-${Date.now()}.json`
+      );
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          PaymentRequired: {
+            namespace: 'Billing',
+            statusCode: 402,
+            message: 'Your balance is ${balance}',
+            code: 'BILLING.PAYMENT_REQUIRED'
+          }
+        })
+      );
+
+      try {
+        let errors = Therror.defineAll(file);
+        let err = new errors.PaymentRequired({ balance: 30 });
+
+        expect(err.name).to.be.eql('Billing.PaymentRequired');
+        expect(err.toPayload()).to.be.eql({
+          error: 'Billing.PaymentRequired',
+          message: 'Your balance is 30',
+          code: 'BILLING.PAYMENT_REQUIRED'
+        });
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  describe('when documenting errors', function() {
+    afterEach(function() {
+      Therror.registry.clear();
+      Therror.HTTP.problemDetails = false;
+      Therror.registerTracer();
+    });
+
+    function defineErrors() {
+      return Therror.defineAll({
+        UserNotFound: {
+          namespace: 'User',
+          statusCode: 404,
+          message: 'The user ${user.name} does not exists',
+          code: 'USER.NOT_FOUND'
+        },
+        UserExists: {
+          namespace: 'User',
+          statusCode: 409,
+          message: 'The user | exists'
+        },
+        Unavailable: { statusCode: 503 }
+      });
+    }
+
+    it('should collect the HTTP classes', function() {
+      let errors = defineErrors();
+      class NotHTTP extends Therror {}
+
+      expect(
+        Therror.docs.collect([errors, Therror.ServerError.NotFound, NotHTTP])
+      ).to.be.eql([
+        errors.UserNotFound,
+        errors.UserExists,
+        errors.Unavailable,
+        Therror.ServerError.NotFound
+      ]);
+      expect(Therror.docs.collect(errors.UserExists)).to.be.eql([
+        errors.UserExists
+      ]);
+      expect(Therror.docs.collect()).to.be.eql([errors.UserNotFound]);
+    });
+
+    it('should get the OpenAPI components', function() {
+      let errors = defineErrors();
+      let components = Therror.docs.toOpenAPI(errors).components;
+
+      expect(Object.keys(components.responses)).to.be.eql([
+        'User.UserNotFound',
+        'User.UserExists',
+        'Unavailable'
+      ]);
+      expect(components.responses['User.UserNotFound']).to.be.eql({
+        description: 'The user ${user.name} does not exists',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/User.UserNotFound' },
+            example: {
+              error: 'User.UserNotFound',
+              message: 'The user <user.name> does not exists',
+              code: 'USER.NOT_FOUND'
+            }
+          }
+        },
+        'x-status-code': 404,
+        'x-message-template': 'The user ${user.name} does not exists'
+      });
+      expect(components.responses.Unavailable.content).to.be.eql({
+        'application/json': {
+          schema: { $ref: '#/components/schemas/Unavailable' },
+          example: {
+            error: 'ServiceUnavailable',
+            message: 'Service Unavailable'
+          }
+        }
+      });
+      expect(components.schemas['User.UserNotFound']).to.be.eql({
+        type: 'object',
+        required: ['error', 'message', 'code'],
+        properties: {
+          error: { type: 'string' },
+          message: { type: 'string' },
+          code: { type: 'string' }
+        }
+      });
+    });
+
+    it('should get the OpenAPI Problem Details components', function() {
+      Therror.HTTP.problemDetails = true;
+
+      let responses = Therror.docs.toOpenAPI(Therror.ServerError.NotFound)
+        .components.responses;
+
+      expect(responses.NotFound.content).to.have.all.keys(
+        'application/problem+json'
+      );
+      expect(
+        responses.NotFound.content['application/problem+json'].example
+      ).to.be.eql({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Not Found'
+      });
+    });
+
+    it('should get the Markdown catalog', function() {
+      let errors = defineErrors();
+
+      expect(
+        Therror.docs.toMarkdown(errors, { title: 'Users API errors' })
+      ).to.be.eql(
+        [
+          '# Users API errors',
+          '',
+          '## Global',
+          '',
+          '| Error | Status | Code | Message |',
+          '| --- | --- | --- | --- |',
+          '| Unavailable | 503 Service Unavailable |  | Service Unavailable |',
+          '',
+          '## User',
+          '',
+          '| Error | Status | Code | Message |',
+          '| --- | --- | --- | --- |',
+          '| User.UserNotFound | 404 Not Found | USER.NOT_FOUND | The user ${user.name} does not exists |',
+          '| User.UserExists | 409 Conflict |  | The user \\| exists |',
+          ''
+        ].join('\n')
+      );
+      expect(Therror.docs.toMarkdown([])).to.be.eql('# Errors\n');
+    });
+
+    it('should not notify, count nor trace the examples', function() {
+      let errors = defineErrors();
+      let createSpy = sandbox.spy();
+      let tracer = new Therror.MemoryTracer();
+      Therror.metrics.reset();
+      Therror.on('create', createSpy);
+      Therror.registerTracer(tracer);
+
+      tracer.startActiveSpan('docs', () => {
+        Therror.docs.toOpenAPI(errors);
+        Therror.docs.toMarkdown(errors);
+      });
+      expect(() =>
+        Therror.silently(() => {
+          throw new Therror.ServerError.NotFound();
+        })
+      ).to.throw('Not Found');
+      new Therror.ServerError.NotFound();
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        Therror.off('create', createSpy);
+        expect(createSpy).to.have.been.calledOnce;
+        expect(Therror.metrics.snapshot().created).to.have.lengthOf(1);
+        expect(tracer.spans[0].events).to.be.empty;
+      });
+    });
+
+    it('should not document two classes with the same name', function() {
+      let createGone = () =>
+        class Gone extends Therror.ServerError({ statusCode: 410 }) {};
+
+      expect(() =>
+        Therror.docs.toOpenAPI([createGone(), createGone()])
+      ).to.throw('Error name Gone is documented twice');
+    });
+
+    it('should write the catalog files with the CLI', function() {
+      this.timeout(10000);
+      let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'therror-'));
+      let module = path.join(dir, 'errors.js');
+      fs.writeFileSync(
+        module,
+        `const Therror = require(${JSON.stringify(
+          require.resolve('../lib/therror')
+        )});
+        class Hidden extends Therror.ServerError({ statusCode: 409 }) {}
+        Therror.register(Hidden, 'HIDDEN');
+        module.exports = Therror.defineAll({ Gone: { statusCode: 410 } });`
+      );
+
+      try {
+        let output = childProcess.execFileSync(
+          process.execPath,
+          [
+            path.join(__dirname, '../bin/therror-catalog'),
+            module,
+            '--out',
+            path.join(dir, 'docs/api')
+          ],
+          { encoding: 'utf8' }
+        );
+        let openAPI = JSON.parse(
+          fs.readFileSync(
+            path.join(dir, 'docs/api/errors.openapi.json'),
+            'utf8'
+          )
+        );
+
+        expect(output).to.include('errors.openapi.json');
+        expect(Object.keys(openAPI.components.responses)).to.be.eql([
+          'Gone',
+          'Hidden'
+        ]);
+        expect(
+          fs.readFileSync(path.join(dir, 'docs/api/errors.md'), 'utf8')
+        ).to.include('| Gone | 410 Gone |  | Gone |');
+        expect(() =>
+          childProcess.execFileSync(
+            process.execPath,
+            [path.join(__dirname, '../bin/therror-catalog')],
+            { stdio: 'ignore' }
+          )
+        ).to.throw();
+      } finally {
+        [
+          'docs/api/errors.openapi.json',
+          'docs/api/errors.md',
+          'errors.js'
+        ].forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(path.join(dir, 'docs/api'));
+        fs.rmdirSync(path.join(dir, 'docs'));
+        fs.rmdirSync(dir);
+      }
+    });
+  });
+
+  describe('when using Localizable', function() {
+    beforeEach(function() {
+      Therror.Localizable.register('es', {
+        UserNotFound: 'El usuario ${user} no existe',
+        'USER.GONE': 'El usuario ${user} ya no existe',
+        STATUS_CODES: { 404: 'No encontrado', 503: 'Servicio no disponible' }
+      });
+      Therror.Localizable.register('es-AR', {
+        UserNotFound: 'El usuario ${user} no existe, che'
+      });
+      Therror.Localizable.register('en', {
+        UserNotFound: 'Unknown user ${user}'
+      });
+    });
+
+    afterEach(function() {
+      Therror.Localizable.catalogs.clear();
+      Therror.Localizable.defaultLocale = undefined;
+    });
+
+    it('should localize the messages by class name', function() {
+      class UserNotFound extends Therror.Localizable() {}
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err.message).to.be.eql('The user Sarah does not exists');
+      expect(err.localize('es')).to.be.eql('El usuario Sarah no existe');
+      expect(err.localize('es_AR')).to.be.eql(
+        'El usuario Sarah no existe, che'
+      );
+      expect(err.localize('fr')).to.be.eql('The user Sarah does not exists');
+    });
+
+    it('should localize the messages by code', function() {
+      class UserGone extends Therror.Localizable(
+        Therror.ServerError({ statusCode: 410, code: 'USER.GONE' })
+      ) {}
+      let err = new UserGone('The user ${user} is gone', { user: 'Sarah' });
+
+      expect(err.localize('es-MX')).to.be.eql('El usuario Sarah ya no existe');
+    });
+
+    it('should fall back to the default locale', function() {
+      class UserNotFound extends Therror.Localizable() {}
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      Therror.Localizable.defaultLocale = 'en';
+
+      expect(Therror.Localizable.catalogs.fallbacks('es-AR')).to.be.eql([
+        'es-ar',
+        'es',
+        'en'
+      ]);
+      expect(err.localize('fr')).to.be.eql('Unknown user Sarah');
+    });
+
+    it('should localize the default status texts', function() {
+      let err = new Therror.ServerError.NotFound();
+      let custom = new Therror.ServerError.NotFound('Not here');
+
+      expect(err.localize('es')).to.be.eql('No encontrado');
+      expect(custom.localize('es')).to.be.eql('Not here');
+    });
+
+    it('should localize the payloads with a locale', function() {
+      class UserNotFound extends Therror.ServerError({ statusCode: 404 }) {}
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(err.toPayload({ locale: 'es' })).to.be.eql({
+        error: 'UserNotFound',
+        message: 'El usuario Sarah no existe'
+      });
+      expect(err.toPayload()).to.be.eql({
+        error: 'UserNotFound',
+        message: 'The user Sarah does not exists'
+      });
+    });
+
+    it('should localize the payloads with an Accept-Language header', function() {
+      class UserNotFound extends Therror.ServerError({ statusCode: 404 }) {}
+      let err = new UserNotFound('The user ${user} does not exists', {
+        user: 'Sarah'
+      });
+
+      expect(
+        err.toPayload({ acceptLanguage: 'fr-FR, es-AR;q=0.8, en;q=0.9' })
+      ).to.be.eql({
+        error: 'UserNotFound',
+        message: 'Unknown user Sarah'
+      });
+      expect(
+        err.toPayload({ acceptLanguage: 'fr, es-AR;q=0.8, en;q=0' }).message
+      ).to.be.eql('El usuario Sarah no existe, che');
+      expect(err.toPayload({ acceptLanguage: 'fr' }).message).to.be.eql(
+        'The user Sarah does not exists'
+      );
+      expect(
+        err.toPayload({ acceptLanguage: 'es-!!!, es-ar;q=0.5' }).message
+      ).to.be.eql('El usuario Sarah no existe, che');
+      expect(err.toPayload({ acceptLanguage: 'es-!!!' }).message).to.be.eql(
+        'The user Sarah does not exists'
+      );
+    });
 
-      let err = new MyError('What a ${what}', { what: 'pitty' });
+    it('should localize the hidden messages of server errors', function() {
+      let err = new Therror.ServerError.ServiceUnavailable('Redis is down');
 
-      err.log({ req: req });
+      expect(err.toPayload({ locale: 'es' })).to.be.eql({
+        error: 'ServiceUnavailable',
+        message: 'Servicio no disponible'
+      });
+      expect(err.toProblem({ locale: 'es' })).to.include({
+        title: 'Servicio no disponible',
+        detail: 'Servicio no disponible'
+      });
+    });
+  });
 
-      expect(logger.info).to.have.been.calledWith(err);
+  describe('when rendering the payloads', function() {
+    let renderers = Object.assign({}, Therror.HTTP.renderers);
+
+    afterEach(function() {
+      Therror.HTTP.problemDetails = false;
+      Therror.HTTP.renderers = Object.assign({}, renderers);
+      Therror.Localizable.catalogs.clear();
     });
 
-    it('should default to "error" level', function() {
-      let logger = {
-        info: sandbox.spy()
-      };
+    it('should render JSON by default', function() {
+      let err = new Therror.ServerError.NotFound(
+        'The user ${user} does not exists',
+        { user: 'Sarah' }
+      );
 
-      class MyError extends Therror.Loggable() {}
+      [undefined, '', '*/*', 'application/*'].forEach(accept => {
+        expect(err.render(accept)).to.be.eql({
+          contentType: 'application/json; charset=utf-8',
+          body: JSON.stringify(err.toPayload())
+        });
+      });
+    });
 
-      let err = new MyError('What a ${what}', { what: 'pitty' });
+    it('should render Problem Details by default when enabled', function() {
+      Therror.HTTP.problemDetails = true;
+      let err = new Therror.ServerError.NotFound();
 
-      expect(err.level()).to.be.eql('error');
+      let rendered = err.render('*/*', { instance: '/users/sarah' });
+
+      expect(rendered.contentType).to.be.eql(
+        'application/problem+json; charset=utf-8'
+      );
+      expect(JSON.parse(rendered.body)).to.be.eql({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Not Found',
+        instance: '/users/sarah'
+      });
+    });
+
+    it('should render every format', function() {
+      let err = new Therror.ServerError.Conflict('The user ${user} exists', {
+        user: '<Sarah>'
+      });
+
+      expect(err.render('application/problem+json')).to.be.eql({
+        contentType: 'application/problem+json; charset=utf-8',
+        body: JSON.stringify(err.toProblem())
+      });
+      expect(err.render('text/plain')).to.be.eql({
+        contentType: 'text/plain; charset=utf-8',
+        body: 'Conflict: The user <Sarah> exists'
+      });
+      expect(err.render('text/html')).to.be.eql({
+        contentType: 'text/html; charset=utf-8',
+        body:
+          '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+          '<title>409 Conflict</title></head><body><h1>Conflict</h1>' +
+          '<p>The user &lt;Sarah&gt; exists</p></body></html>'
+      });
+      expect(err.render('application/xml')).to.be.eql({
+        contentType: 'application/xml; charset=utf-8',
+        body:
+          '<?xml version="1.0" encoding="UTF-8"?><error>' +
+          '<error>Conflict</error><message>The user &lt;Sarah&gt; exists</message>' +
+          '</error>'
+      });
+      expect(err.render('text/xml').contentType).to.be.eql(
+        'text/xml; charset=utf-8'
+      );
+    });
+
+    it('should render the payload arrays as XML items', function() {
+      let err = new Therror.ServerError.BadRequest();
+      err.getPayloadErrors = () => [{ path: 'email', rule: 'required' }];
+
+      expect(err.render('application/xml').body).to.include(
+        '<errors><item><path>email</path><rule>required</rule></item></errors>'
+      );
+    });
+
+    it('should hide the server errors details in every format', function() {
+      let err = new Therror.ServerError.ServiceUnavailable('DB misconfigured');
+
+      [
+        'application/json',
+        'application/problem+json',
+        'text/plain',
+        'text/html',
+        'application/xml'
+      ].forEach(accept => {
+        let body = err.render(accept).body;
+        expect(body).to.include('Service Unavailable');
+        expect(body).to.not.include('DB misconfigured');
+      });
+    });
+
+    it('should negotiate the preferred media type', function() {
+      let err = new Therror.ServerError.NotFound();
+      let render = accept => err.render(accept).contentType.split(';')[0];
+
+      expect(render('text/html,application/xml;q=0.9,*/*;q=0.8')).to.be.eql(
+        'text/html'
+      );
+      expect(render('application/xml;q=0.5, text/plain')).to.be.eql(
+        'text/plain'
+      );
+      expect(render('*/*, text/plain')).to.be.eql('text/plain');
+      expect(render('text/*')).to.be.eql('text/plain');
+      expect(render('TEXT/HTML')).to.be.eql('text/html');
+      expect(render('application/json;q=0, application/*')).to.be.eql(
+        'application/problem+json'
+      );
+      expect(render('image/png')).to.be.eql('application/json');
+    });
+
+    it('should translate the rendered payloads', function() {
+      Therror.Localizable.register('es', {
+        STATUS_CODES: { 404: 'No encontrado' }
+      });
+      let err = new Therror.ServerError.NotFound();
+
+      expect(err.render('text/html', { locale: 'es' }).body).to.include(
+        '<h1>No encontrado</h1>'
+      );
+      expect(err.render('text/plain', { acceptLanguage: 'es' }).body).to.be.eql(
+        'NotFound: No encontrado'
+      );
+    });
+
+    it('should render the redacted error', function() {
+      class Unauthorized extends Therror.ServerError({
+        statusCode: 401,
+        message: 'Invalid token ${token}',
+        redact: { keys: ['token'] }
+      }) {}
+      let err = new Unauthorized({ token: 's3cr3t' });
+
+      expect(err.render('text/plain').body).to.be.eql(
+        'Unauthorized: Invalid token [REDACTED]'
+      );
+    });
+
+    it('should register custom renderers', function() {
+      let renderer = sandbox.spy(
+        (err, opts) => `${err.statusCode},${err.getPayloadMessage(opts)}`
+      );
+      Therror.HTTP.registerRenderer('Text/CSV', renderer);
+      let err = new Therror.ServerError.NotFound();
+
+      expect(err.render('text/csv', { locale: 'es' })).to.be.eql({
+        contentType: 'text/csv; charset=utf-8',
+        body: '404,Not Found'
+      });
+      expect(renderer.firstCall.args[1]).to.be.eql({ locale: 'es' });
+
+      Therror.HTTP.registerRenderer('text/plain', () => 'Oops');
+      expect(err.render('text/plain').body).to.be.eql('Oops');
+    });
+
+    it('should fail to register invalid renderers', function() {
+      expect(() => Therror.HTTP.registerRenderer('text/csv')).to.throw(
+        TypeError
+      );
+      expect(() => Therror.HTTP.registerRenderer(null, () => '')).to.throw(
+        TypeError
+      );
     });
   });
 
-  describe('when using WithMessage', function() {
-    it('should have common message for all instances', function() {
-      class MyError extends Therror.WithMessage(
-        'The user ${user} does not exists'
-      ) {}
+  describe('when using the error handlers', function() {
+    let servers = [];
+
+    afterEach(function(done) {
+      Therror.HTTP.problemDetails = false;
+      Therror.Localizable.catalogs.clear();
+      Promise.all(
+        servers
+          .splice(0)
+          .map(server => new Promise(resolve => server.close(resolve)))
+      ).then(() => done());
+    });
 
-      let err = new MyError({ user: 'John' });
-      let err2 = new MyError(err, { user: 'Sarah' });
+    // Sends the errors with a handler from a local http server
+    function request(handle, err, opts) {
+      opts = opts || {};
+      return new Promise((resolve, reject) => {
+        let server = http
+          .createServer((req, res) => handle(err, req, res, opts.next))
+          .listen(0, () => {
+            servers.push(server);
+            http
+              .request(
+                {
+                  port: server.address().port,
+                  method: opts.method || 'GET',
+                  headers: opts.headers || {},
+                  agent: false
+                },
+                res => {
+                  let body = '';
+                  res.setEncoding('utf8');
+                  res.on('data', chunk => (body += chunk));
+                  res.on('end', () =>
+                    resolve({
+                      statusCode: res.statusCode,
+                      headers: res.headers,
+                      body:
+                        body && /json/.test(res.headers['content-type'])
+                          ? JSON.parse(body)
+                          : body
+                    })
+                  );
+                }
+              )
+              .on('error', reject)
+              .end();
+          });
+      });
+    }
 
-      expect(err.message).to.be.eql('The user John does not exists');
-      expect(err2.message).to.be.eql('The user Sarah does not exists');
-      expect(err2.cause()).to.be.eql(err);
+    it('should send the HTTP errors', function() {
+      let logger = { info: sandbox.spy() };
+      let err = new Therror.ServerError.NotFound(
+        'The user ${user} does not exists',
+        { user: 'Sarah' }
+      );
+      sandbox.stub(Therror.Loggable, 'logger').value(logger);
+
+      return request(Therror.handler(), err).then(res => {
+        expect(res.statusCode).to.be.eql(404);
+        expect(res.headers['content-type']).to.be.eql(
+          'application/json; charset=utf-8'
+        );
+        expect(res.body).to.be.eql({
+          error: 'NotFound',
+          message: 'The user Sarah does not exists'
+        });
+        expect(logger.info).to.have.been.calledWith(err);
+      });
     });
 
-    it('should be able to overwrite the predefined message', function() {
-      class MyError extends Therror.WithMessage(
-        'The user ${user} does not exists'
-      ) {}
+    it('should log with the request logger', function() {
+      let req;
+      let logger = { error: sandbox.spy() };
+      let handle = Therror.handler();
+      let err = new Therror.ServerError.BadGateway();
+
+      return request((err, request, res) => {
+        req = request;
+        req.logger = logger;
+        handle(err, req, res);
+      }, err).then(() => {
+        expect(logger.error).to.have.been.calledWith(err);
+        expect(req.logger).to.be.equal(logger);
+      });
+    });
 
-      let err = new MyError('Overwritten message for ${user}', {
-        user: 'John'
+    it('should wrap any other error in an InternalServerError', function() {
+      let cause = new Error('Connection refused');
+      let sent;
+      let handle = Therror.handler({ log: false });
+
+      return request((err, req, res) => {
+        sent = handle(err, req, res);
+      }, cause).then(res => {
+        expect(res.statusCode).to.be.eql(500);
+        expect(res.body).to.be.eql({
+          error: 'InternalServerError',
+          message: 'Internal Server Error'
+        });
+        expect(sent).to.be.instanceOf(Therror.ServerError.InternalServerError);
+        expect(sent.cause).to.be.equal(cause);
       });
-      let err2 = new MyError(err, 'Another message for ${user}', {
-        user: 'Sarah'
+    });
+
+    it('should wrap the non error throwables', function() {
+      return request(Therror.handler({ log: false }), 'Oops').then(res => {
+        expect(res.statusCode).to.be.eql(500);
+        expect(res.body.error).to.be.eql('InternalServerError');
       });
+    });
 
-      expect(err.message).to.be.eql('Overwritten message for John');
-      expect(err2.message).to.be.eql('Another message for Sarah');
-      expect(err2.cause()).to.be.eql(err);
+    it('should send the error headers', function() {
+      class Unauthorized extends Therror.ServerError({ statusCode: 401 }) {
+        getHeaders() {
+          return Object.assign(super.getHeaders(), {
+            'WWW-Authenticate': 'Bearer'
+          });
+        }
+      }
+      let handle = Therror.handler({ log: false });
+
+      return request(handle, new Unauthorized())
+        .then(res => {
+          expect(res.statusCode).to.be.eql(401);
+          expect(res.headers['www-authenticate']).to.be.eql('Bearer');
+          return request(
+            handle,
+            new Therror.ServerError.TooManyRequests({ retryAfter: 1500 })
+          );
+        })
+        .then(res => {
+          expect(res.statusCode).to.be.eql(429);
+          expect(res.headers['retry-after']).to.be.eql('2');
+        });
+    });
+
+    it('should send Problem Details', function() {
+      Therror.HTTP.problemDetails = true;
+
+      return request(
+        Therror.handler({ log: false }),
+        new Therror.ServerError.Forbidden()
+      ).then(res => {
+        expect(res.headers['content-type']).to.be.eql(
+          'application/problem+json; charset=utf-8'
+        );
+        expect(res.body).to.include({ status: 403, title: 'Forbidden' });
+      });
+    });
+
+    it('should translate the payloads', function() {
+      Therror.Localizable.register('es', {
+        STATUS_CODES: { 404: 'No encontrado' }
+      });
+
+      return request(
+        Therror.handler({ log: false }),
+        new Therror.ServerError.NotFound(),
+        { headers: { 'Accept-Language': 'es-ES,en;q=0.5' } }
+      ).then(res => {
+        expect(res.body.message).to.be.eql('No encontrado');
+      });
+    });
+
+    it('should not send bodies to HEAD requests', function() {
+      return request(
+        Therror.handler({ log: false }),
+        new Therror.ServerError.NotFound(),
+        { method: 'HEAD' }
+      ).then(res => {
+        expect(res.statusCode).to.be.eql(404);
+        expect(res.body).to.be.eql('');
+      });
+    });
+
+    it('should send the media type of the request', function() {
+      return request(
+        Therror.handler({ log: false }),
+        new Therror.ServerError.NotFound(),
+        { headers: { Accept: 'text/html,application/xml;q=0.9' } }
+      ).then(res => {
+        expect(res.headers['content-type']).to.be.eql(
+          'text/html; charset=utf-8'
+        );
+        expect(res.headers.vary).to.be.eql('Accept, Accept-Language');
+        expect(res.body).to.include('<h1>Not Found</h1>');
+      });
+    });
+
+    it('should be an Express middleware', function() {
+      let next = sandbox.spy();
+      let middleware = Therror.middleware({ log: false });
+      let err = new Therror.ServerError.Conflict();
+
+      return request(
+        (err, req, res) => middleware(err, req, res, next),
+        err
+      ).then(res => {
+        expect(res.statusCode).to.be.eql(409);
+        expect(next).to.not.have.been.called;
+
+        let sentRes = { headersSent: true };
+        middleware(err, {}, sentRes, next);
+        expect(next).to.have.been.calledWith(err);
+      });
     });
   });
 
-  describe('when using HTTP', function() {
-    it('should create with statusCodes', function() {
-      class NotFound extends Therror.HTTP('404') {}
-      class ServerError extends Therror.HTTP('500') {}
+  describe('when reporting errors', function() {
+    let reporters = [];
+    let servers = [];
+
+    afterEach(function() {
+      return Promise.all(
+        reporters
+          .splice(0)
+          .map(reporter => reporter.close())
+          .concat(
+            servers
+              .splice(0)
+              .map(server => new Promise(resolve => server.close(resolve)))
+          )
+      );
+    });
 
-      let err = new NotFound();
-      let err2 = new ServerError(err, 'Boom!');
+    function createReporter(opts) {
+      let reporter = new Therror.Reporter(
+        Object.assign({ flushInterval: 0, flushOnExit: false }, opts)
+      );
+      reporters.push(reporter);
+      return reporter;
+    }
 
-      expect(err.statusCode).to.exist;
-      expect(Object.keys(err)).to.not.contains('statusCode');
-      expect(err).to.respondTo('toPayload');
+    // A local collector answering with the status code, or never without it
+    function listen(statusCode, requests) {
+      return new Promise(resolve => {
+        let server = http
+          .createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => (body += chunk));
+            req.on('end', () => {
+              requests.push({
+                url: req.url,
+                headers: req.headers,
+                body: JSON.parse(body)
+              });
+              if (statusCode) {
+                res.statusCode = statusCode;
+                res.end();
+              }
+            });
+          })
+          .listen(0, () => {
+            servers.push(server);
+            resolve(`http://localhost:${server.address().port}/errors`);
+          });
+      });
+    }
 
-      expect(err.statusCode).to.be.eql(404);
-      expect(err.message).to.be.eql('Not Found');
-      expect(err.toPayload()).to.be.eql({
-        error: 'NotFound',
-        message: 'Not Found'
+    it('should send the Serializable JSON of the created errors', function() {
+      let send = sandbox.stub().resolves();
+      let reporter = createReporter({ transports: [send] });
+      class UserNotFound extends Therror.Notificator(
+        Therror.ServerError({ statusCode: 404 })
+      ) {}
+
+      let err = new UserNotFound('User ${user} not found', { user: 'Sarah' });
+      new Therror('Not reported');
+
+      return reporter.flush().then(() => {
+        expect(send).to.have.been.calledOnce;
+        expect(send.firstCall.args[0]).to.be.eql([
+          {
+            message: 'User Sarah not found',
+            name: 'UserNotFound',
+            constructor: 'UserNotFound',
+            user: 'Sarah',
+            $$template: 'User ${user} not found',
+            $$fingerprint: err.fingerprint()
+          }
+        ]);
       });
+    });
 
-      expect(err2.cause()).to.be.eql(err);
-      expect(err2.message).to.be.eql('Boom!');
+    it('should report the errors only once', function() {
+      let send = sandbox.stub().resolves();
+      let reporter = createReporter({ transports: [send], events: [] });
+      let err = new Error('Oops');
+
+      expect(reporter.report(err)).to.be.eql(true);
+      expect(reporter.report(err)).to.be.eql(false);
+
+      return reporter.flush().then(() => {
+        expect(send.firstCall.args[0]).to.have.lengthOf(1);
+        expect(send.firstCall.args[0][0]).to.include({
+          message: 'Oops',
+          name: 'Error'
+        });
+      });
     });
 
-    it('should create with custom message', function() {
-      class UserNotFound extends Therror.HTTP('404') {}
+    it('should send the errors in batches', function() {
+      let send = sandbox.stub().resolves();
+      let reporter = createReporter({
+        transports: [send],
+        events: [],
+        batchSize: 2
+      });
 
-      let err = new UserNotFound('The user ${user} does not exists', {
-        user: 'Sarah'
+      reporter.report(new Therror('First'));
+      expect(send).to.not.have.been.called;
+      reporter.report(new Therror('Second'));
+      reporter.report(new Therror('Third'));
+
+      return reporter.flush().then(() => {
+        expect(send).to.have.been.calledTwice;
+        expect(send.firstCall.args[0].map(json => json.message)).to.be.eql([
+          'First',
+          'Second'
+        ]);
+        expect(send.secondCall.args[0].map(json => json.message)).to.be.eql([
+          'Third'
+        ]);
       });
+    });
 
-      expect(err.statusCode).to.be.eql(404);
-      expect(err.message).to.be.eql('The user Sarah does not exists');
-      expect(err.toPayload()).to.be.eql({
-        error: 'UserNotFound',
-        message: 'The user Sarah does not exists'
+    it('should sample the errors', function() {
+      sandbox.stub(Math, 'random').returns(0.6);
+      let reporter = createReporter({
+        transports: [() => Promise.resolve()],
+        events: [],
+        sampleRate: 0.5
+      });
+      let sampled = createReporter({
+        transports: [() => Promise.resolve()],
+        events: [],
+        sampleRate: err => (err.statusCode >= 500 ? 1 : 0.5)
       });
+
+      expect(reporter.report(new Therror())).to.be.eql(false);
+      expect(sampled.report(new Therror.ServerError.NotFound())).to.be.eql(
+        false
+      );
+      expect(sampled.report(new Therror.ServerError.BadGateway())).to.be.eql(
+        true
+      );
     });
 
-    it('should hide information to the client', function() {
-      class ServiceUnavailable extends Therror.HTTP(503) {}
+    it('should pass the errors through the before send hooks', function() {
+      let send = sandbox.stub().resolves();
+      let reporter = createReporter({
+        transports: [send],
+        events: [],
+        beforeSend: [
+          (json, err) => (err.statusCode < 500 ? null : json),
+          json => Object.assign(json, { service: 'users' })
+        ]
+      });
 
-      let err = new ServiceUnavailable('Database ${type} misconfigured', {
-        type: 'mongo'
+      reporter.report(new Therror.ServerError.NotFound());
+      reporter.report(new Therror.ServerError.BadGateway());
+
+      return reporter.flush().then(() => {
+        expect(send.firstCall.args[0]).to.have.lengthOf(1);
+        expect(send.firstCall.args[0][0]).to.include({
+          name: 'BadGateway',
+          service: 'users'
+        });
       });
+    });
 
-      expect(err.statusCode).to.be.eql(503);
-      expect(err.name).to.be.eql('ServiceUnavailable');
-      expect(err.message).to.be.eql('Database mongo misconfigured');
-      expect(err.toPayload()).to.be.eql({
-        error: 'ServiceUnavailable',
-        message: 'Service Unavailable'
+    it('should drop the errors when the queue is full', function() {
+      let send = sandbox.stub().resolves();
+      let reporter = createReporter({
+        transports: [send],
+        events: [],
+        maxQueueSize: 2
+      });
+
+      expect(reporter.report(new Therror())).to.be.eql(true);
+      expect(reporter.report(new Therror())).to.be.eql(true);
+      expect(reporter.report(new Therror())).to.be.eql(false);
+      expect(reporter.dropped).to.be.eql(1);
+
+      return reporter.flush().then(() => {
+        expect(send.firstCall.args[0]).to.have.lengthOf(2);
+        expect(reporter.report(new Therror())).to.be.eql(true);
       });
     });
 
-    it('should use generic 500 message when not valid statusCode', function() {
-      class ServerError extends Therror.HTTP(2312332) {}
+    it('should retry the failed batches', function() {
+      let unavailable = Object.assign(new Error('Unavailable'), {
+        statusCode: 503
+      });
+      let send = sandbox.stub();
+      send.onFirstCall().rejects(unavailable);
+      send.onSecondCall().resolves();
+      let onError = sandbox.spy();
+      let reporter = createReporter({
+        transports: [send],
+        events: [],
+        retry: { attempts: 2, initialDelay: 0 },
+        onError: onError
+      });
 
-      let err = new ServerError();
-      let err2 = new ServerError('Boom!');
+      reporter.report(new Therror());
 
-      expect(err.statusCode).to.be.eql(2312332);
-      expect(err.message).to.be.eql('Internal Server Error');
-      expect(err2.message).to.be.eql('Boom!');
+      return reporter.flush().then(() => {
+        expect(send).to.have.been.calledTwice;
+        expect(onError).to.not.have.been.called;
+      });
+    });
 
-      expect(err.toPayload()).to.be.eql({
-        error: 'InternalServerError',
-        message: 'Internal Server Error'
+    it('should report the batches failing to be sent', function() {
+      let failure = new Error('Bad request');
+      let onError = sandbox.spy();
+      let reporter = createReporter({
+        transports: [() => Promise.reject(failure)],
+        events: [],
+        onError: onError
+      });
+      let warning = sandbox.stub(process, 'emitWarning');
+      let warned = createReporter({
+        transports: [() => Promise.reject(failure)],
+        events: [],
+        retry: { attempts: 1 }
       });
 
-      expect(err2.toPayload()).to.be.eql({
-        error: 'InternalServerError',
-        message: 'Internal Server Error'
+      reporter.report(new Therror('Not sent'));
+      warned.report(new Therror('Not sent'));
+
+      return Promise.all([reporter.flush(), warned.flush()]).then(() => {
+        expect(onError).to.have.been.calledOnce;
+        expect(onError.firstCall.args[0]).to.be.eql(failure);
+        expect(onError.firstCall.args[1][0].message).to.be.eql('Not sent');
+        expect(warning).to.have.been.calledWith(
+          failure,
+          'TherrorReporterWarning'
+        );
       });
     });
 
-    it('should default to 500 when no statusCode provided', function() {
-      class ServerError extends Therror.HTTP() {}
+    it('should report the errors failing to be serialized', function() {
+      let failure = new Error('Bad hook');
+      let send = sandbox.stub().resolves();
+      let onError = sandbox.spy();
+      let reporter = createReporter({
+        transports: [send],
+        events: [],
+        beforeSend: (json, err) => {
+          if (err.message === 'Bad') {
+            throw failure;
+          }
+          return json;
+        },
+        onError: onError
+      });
+      let bad = new Therror('Bad');
 
-      let err = new ServerError();
-      let err2 = new ServerError('Boom!');
+      reporter.report(bad);
+      reporter.report(new Therror('Good'));
 
-      expect(err.statusCode).to.be.eql(500);
-      expect(err.message).to.be.eql('Internal Server Error');
-      expect(err2.message).to.be.eql('Boom!');
+      return reporter.flush().then(() => {
+        expect(onError).to.have.been.calledOnceWith(failure, [bad]);
+        expect(send).to.have.been.calledOnce;
+        expect(send.firstCall.args[0]).to.have.length(1);
+        expect(send.firstCall.args[0][0].message).to.be.eql('Good');
+      });
+    });
 
-      expect(err.toPayload()).to.be.eql({
-        error: 'InternalServerError',
-        message: 'Internal Server Error'
+    it('should keep sending when the onError option fails', function() {
+      let failure = new Error('Bad onError');
+      let send = sandbox.stub();
+      send.onFirstCall().rejects(new Error('Bad request'));
+      send.onSecondCall().resolves();
+      let warning = sandbox.stub(process, 'emitWarning');
+      let reporter = createReporter({
+        transports: [send],
+        events: [],
+        retry: { attempts: 1 },
+        onError: () => {
+          throw failure;
+        }
       });
 
-      expect(err2.toPayload()).to.be.eql({
-        error: 'InternalServerError',
-        message: 'Internal Server Error'
+      reporter.report(new Therror('Not sent'));
+      return reporter
+        .flush()
+        .then(() => {
+          expect(warning).to.have.been.calledWith(
+            failure,
+            'TherrorReporterWarning'
+          );
+          reporter.report(new Therror('Sent'));
+          return reporter.flush();
+        })
+        .then(() => {
+          expect(send).to.have.been.calledTwice;
+          expect(send.secondCall.args[0][0].message).to.be.eql('Sent');
+        });
+    });
+
+    it('should flush the errors before the process exits', function() {
+      let exitListeners = process.listenerCount('exit');
+      let sendSync = sandbox.spy();
+      let reporter = createReporter({
+        transports: [{ send: () => Promise.resolve(), sendSync: sendSync }],
+        events: [],
+        flushOnExit: true
+      });
+
+      expect(process.listenerCount('exit')).to.be.eql(exitListeners + 1);
+      reporter.report(new Therror('Exiting'));
+      reporter.flushSync();
+      expect(sendSync).to.have.been.calledOnce;
+      expect(sendSync.firstCall.args[0][0].message).to.be.eql('Exiting');
+
+      return reporter.close().then(() => {
+        expect(process.listenerCount('exit')).to.be.eql(exitListeners);
       });
     });
 
-    it('should use with cause message when no specific message specified', function() {
-      let cause = new Error('Causer error');
-      class ServerError extends Therror.HTTP() {}
+    it('should stop reporting when closed', function() {
+      let send = sandbox.stub().resolves();
+      let reporter = createReporter({ transports: [send] });
+      class Notified extends Therror.Notificator() {}
+
+      new Notified();
+      return reporter.close().then(() => {
+        new Notified();
+        return reporter.flush().then(() => {
+          expect(send).to.have.been.calledOnce;
+          expect(send.firstCall.args[0]).to.have.lengthOf(1);
+        });
+      });
+    });
 
-      let err = new ServerError(cause);
+    it('should fail without transports', function() {
+      expect(() => new Therror.Reporter({})).to.throw(TypeError);
+      expect(() => new Therror.Reporter({ transports: [{}] })).to.throw(
+        TypeError
+      );
+    });
 
-      expect(err.cause()).to.be.eql(cause);
-      expect(err.message).to.be.eql('Causer error');
+    it('should write the errors to a stream', function() {
+      let written = [];
+      let stream = {
+        write: (data, cb) => {
+          written.push(data);
+          if (cb) {
+            cb();
+          }
+        }
+      };
+      let transport = Therror.Reporter.transports.stdout({ stream: stream });
+
+      return transport
+        .send([{ name: 'Error' }, { name: 'Therror' }])
+        .then(() => {
+          transport.sendSync([{ name: 'Sync' }]);
+          expect(written).to.be.eql([
+            '{"name":"Error"}\n{"name":"Therror"}\n',
+            '{"name":"Sync"}\n'
+          ]);
+        });
+    });
+
+    it('should append the errors to an NDJSON file', function() {
+      let file = path.join(
+        os.tmpdir(),
+        `therror-${process.pid}-${Date.now()}.ndjson`
+      );
+      let transport = Therror.Reporter.transports.ndjson(file);
+
+      return transport
+        .send([{ name: 'Error' }])
+        .then(() => {
+          transport.sendSync([{ name: 'Sync' }]);
+          expect(fs.readFileSync(file, 'utf8')).to.be.eql(
+            '{"name":"Error"}\n{"name":"Sync"}\n'
+          );
+        })
+        .then(
+          () => fs.unlinkSync(file),
+          err => {
+            fs.unlinkSync(file);
+            throw err;
+          }
+        );
+    });
+
+    it('should POST the errors to an HTTP endpoint', function() {
+      let requests = [];
+
+      return listen(202, requests).then(endpoint => {
+        let reporter = createReporter({
+          transports: [
+            Therror.Reporter.transports.http(`${endpoint}?service=users`, {
+              headers: { Authorization: 'Bearer token' }
+            })
+          ],
+          events: []
+        });
+        reporter.report(new Therror.ServerError.BadGateway());
+
+        return reporter.flush().then(() => {
+          expect(requests).to.have.lengthOf(1);
+          expect(requests[0].url).to.be.eql('/errors?service=users');
+          expect(requests[0].headers).to.include({
+            'content-type': 'application/json',
+            authorization: 'Bearer token'
+          });
+          expect(requests[0].body).to.have.lengthOf(1);
+          expect(requests[0].body[0]).to.include({
+            name: 'BadGateway'
+          });
+        });
+      });
+    });
+
+    it('should fail when the HTTP endpoint fails', function() {
+      let requests = [];
+
+      return listen(500, requests).then(endpoint =>
+        Therror.Reporter.transports
+          .http(endpoint)
+          .send([{ name: 'Error' }])
+          .then(
+            () => {
+              throw new Error('Expected to fail');
+            },
+            err => {
+              expect(err.statusCode).to.be.eql(500);
+              expect(requests).to.have.lengthOf(1);
+            }
+          )
+      );
+    });
+
+    it('should fail when the HTTP endpoint times out', function() {
+      let requests = [];
+
+      return listen(null, requests).then(endpoint =>
+        Therror.Reporter.transports
+          .http(endpoint, { timeout: 50 })
+          .send([{ name: 'Error' }])
+          .then(
+            () => {
+              throw new Error('Expected to fail');
+            },
+            err => {
+              expect(err.code).to.be.eql('ETIMEDOUT');
+              expect(requests).to.have.lengthOf(1);
+            }
+          )
+      );
     });
   });
 
@@ -569,7 +4563,7 @@ describe('Therror', function() {
       let err = new MyError(cause, { user: 'John' });
 
       expect(err.user).to.be.eql('John');
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.message).to.be.eql('The user is John');
       expect(err.level()).to.be.eql('info');
       expect(err.statusCode).to.be.eql(404);
@@ -591,7 +4585,7 @@ describe('Therror', function() {
       let cause = new Therror('Causer error');
       let err = new MyError(cause, { user: 'John' });
 
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.message).to.be.eql('Causer error');
       expect(err.statusCode).to.be.eql(500);
     });
@@ -659,7 +4653,7 @@ describe('Therror', function() {
       expect(err.statusCode).to.be.eql(503);
       expect(err.name).to.be.eql('ServiceUnavailable');
       expect(err.message).to.be.eql('uncaught error');
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.toPayload()).to.be.eql({
         error: 'ServiceUnavailable',
         message: 'Service Unavailable'
@@ -689,7 +4683,7 @@ describe('Therror', function() {
       expect(err.statusCode).to.be.eql(503);
       expect(err.name).to.be.eql('ServiceUnavailable');
       expect(err.message).to.be.eql('uncaught error');
-      expect(err.cause()).to.be.eql(cause);
+      expect(err.cause).to.be.eql(cause);
       expect(err.toPayload()).to.be.eql({
         error: 'ServiceUnavailable',
         message: 'Service Unavailable'
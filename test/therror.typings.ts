@@ -4,6 +4,10 @@ import { Classes } from '../lib/therror';
 Therror.on('create', function(error) {
     error.isTherror;
 });
+Therror.on('log', Therror.ServerError.NotFound, (error, level: string) => error.message)
+    .once('payload', { namespace: 'User', statusCode: '5xx' }, (error, payload: any) => Promise.resolve())
+    .on('listenerError', (reason, context) => context.event);
+Therror.off('create');
 let error: Therror;
 error = new Therror();
 error = new Therror(new Error('cause'));
@@ -14,9 +18,40 @@ error = new Therror('hola ${mundo}', { mundo: 'world' });
 error = new Therror(new Error('cause'), 'hola');
 error = new Therror(new Error('cause'), 'hola ${mundo}', { mundo: 'world' });
 
+error = new Therror('hola', { cause: new Error('cause') });
+error = new Therror({ message: 'hola ${mundo}', mundo: 'world' });
+
 error.message;
-error.cause();
+error.cause;
 error.isTherror;
+for (let cause of error.causes()) {
+    cause.message;
+}
+error.rootCause();
+let typeError: TypeError | undefined = error.findCause(TypeError);
+error.findCause('TypeError');
+error.findCause((cause: any) => cause.isTherror);
+error.hasCause(TypeError);
+error.hasCause('TypeError');
+let fingerprint: string = error.fingerprint({ causes: true, frames: 3 });
+error.getFingerprintParts({ frames: 5 }).length;
+
+Therror.setTemplateEngine('lodash');
+Therror.setTemplateEngine((tpl: string) => (data: any) => tpl);
+Therror.setTemplateEngine('interpolate');
+Therror.setTemplateEngine('icu');
+Therror.setTemplateEngine((tpl: string) => (data: any, opts?: { locale?: string }) => tpl);
+class InvalidItems extends Therror.WithMessage('{count, plural, one {# item} other {# items}}') {
+    static get templateEngine(): 'icu' {
+        return 'icu';
+    }
+}
+new InvalidItems({ count: 2 }).parse('{count, number}', { locale: 'es' });
+InvalidItems.templateEngine;
+Therror.templateCacheSize = 100;
+Therror.setMissingPlaceholderPolicy('literal');
+Therror.setMissingPlaceholderPolicy('default', '?');
+Therror.placeholders('${a}').length;
 
 class MyNamespaced extends Therror.Namespaced('MyNS') {}
 let myNamespaced = new MyNamespaced();
@@ -26,10 +61,36 @@ class MySerializable extends Therror.Serializable() {}
 let mySerializable = new MySerializable();
 mySerializable.toJSON();
 mySerializable.toString();
+error = Therror.fromJSON(mySerializable.toJSON());
+error = Therror.fromJSON(JSON.stringify(mySerializable));
 
 class MyNotificator extends Therror.Notificator() {}
 let myNotificator = new MyNotificator();
 myNotificator.isTherror;
+class MyThrottled extends Therror.Notificator({ dedupWindow: 1000, key: 'fingerprint' }, Therror.HTTP(503)) {}
+new MyThrottled().statusCode;
+Therror.Notificator.rateLimit = { limit: 10, interval: 60000 };
+Therror.Notificator.key = (err: Therror) => err.name;
+Therror.Notificator.flush();
+Therror.metrics.histograms = true;
+Therror.metrics.snapshot().created[0].statusCode;
+let prometheus: string = Therror.metrics.toPrometheus();
+let reporter = new Therror.Reporter({
+    transports: [Therror.Reporter.transports.stdout(), (batch: any[]) => Promise.resolve()],
+    sampleRate: 0.5,
+    beforeSend: (json: any) => json,
+    retry: { attempts: 2 }
+});
+reporter.report(new Therror());
+reporter.close().then(() => reporter.dropped);
+Therror.context.exposed = ['requestId'];
+let withContext: Therror = Therror.context.run({ requestId: 'abc' }, () => new Therror());
+withContext.context;
+let tracer = new Therror.MemoryTracer();
+tracer.startActiveSpan('GET /users', span => Therror.recordOn(span, new Therror(), { escaped: true }));
+Therror.registerTracer(tracer).registerTracer();
+tracer.spans[0].events[0].attributes['exception.type'];
+class MyNotified extends Therror.ServerError({ notify: { summaryInterval: 1000 } }) {}
 
 class MyLoggable extends Therror.Loggable('info') {}
 let myLoggable = new MyLoggable();
@@ -40,14 +101,48 @@ Therror.Loggable.logger = console;
 class MyWithMessage extends Therror.WithMessage('hola ${mundo}') {}
 let myWithMessage = new MyWithMessage();
 myWithMessage.message;
+MyWithMessage.placeholders().length;
+MyWithMessage.messageTemplate;
 
 class My404 extends Therror.HTTP(404) {}
 class My503 extends Therror.HTTP('503') {}
+class MyGRPC extends Therror.GRPC('NOT_FOUND') {}
+class MyGRPCServerError extends Therror.GRPC(Therror.ServerError({ statusCode: 404 })) {}
+new MyGRPC().toStatus({ locale: 'es' }).details;
+new MyGRPCServerError().grpcCode;
+new Therror.GRPC.NotFound('Not here').toStatus().code;
+new Therror.GRPC[13]().toStatus().metadata;
+let grpcCode: number = Therror.GRPC.fromHTTP(404);
+let httpCode: number = Therror.GRPC.toHTTP('UNAVAILABLE');
+Therror.GRPC.MASKED_CODES.push(15);
+const MyDefined = Therror.define({ name: 'MyDefined', namespace: 'My', statusCode: 404, properties: { user: 'me' } });
+new MyDefined({ user: 'Sarah' }).toPayload();
+const myErrors = Therror.defineAll({ MyConflict: { statusCode: 409, code: 'MY.CONFLICT' } });
+new myErrors.MyConflict().statusCode;
+Therror.defineAll('./errors.json');
+let errorResponses = Therror.docs.toOpenAPI(myErrors).components.responses;
+let errorCatalog: string = Therror.docs.toMarkdown([MyDefined, myErrors], { title: 'My errors' });
+Therror.docs.collect().length;
+let myExample: string = Therror.silently(() => new MyDefined({ user: '<user>' })).message;
 let my404 = new My404();
 my404.toPayload();
 my404.getPayloadErrorName();
 my404.getPayloadMessage();
 my404.statusCode;
+my404.toProblem().detail;
+my404.toProblem({ instance: '/users/12' }).status;
+my404.toPayload({ instance: '/users/12' });
+Therror.HTTP.problemDetails = true;
+Therror.HTTP.PROBLEM_CONTENT_TYPE;
+
+class MyProblem extends Therror.HTTP(403) {
+    getProblemType() {
+        return 'https://example.com/probs/out-of-credit';
+    }
+    getProblemExtensions() {
+        return { balance: 30 };
+    }
+}
 
 class MyCustomServerError extends Therror.ServerError({
     level: 'info',
@@ -62,12 +157,86 @@ myServerError.getPayloadMessage();
 myServerError.statusCode;
 myServerError.log();
 myServerError.level;
-myServerError.cause();
+myServerError.cause;
 myServerError.namespace;
 myServerError.isTherror;
 
+class UserNotFound extends Therror.ServerError({ statusCode: 404, code: 'USER.NOT_FOUND' }) {}
+Therror.register(UserNotFound);
+Therror.register(MyNamespaced, 'MY.NAMESPACED');
+Therror.registry.get('USER.NOT_FOUND');
+Therror.registry.list().length;
+Therror.registry.unregister('USER.NOT_FOUND');
+UserNotFound.code;
+new UserNotFound().code;
+
 let notFound = new Therror.ServerError.NotFound();
 notFound.toPayload();
+notFound.toPayload({ locale: 'es' });
+notFound.toProblem({ acceptLanguage: 'es-AR,es;q=0.9' });
+notFound.localize('es-AR');
+
+Therror.Redactable.keys = ['password', '*token*'];
+Therror.Redactable.paths = ['cards.*.cvv'];
+Therror.Redactable.mode = 'drop';
+class MyRedactable extends Therror.Redactable({ keys: ['dsn'], mode: 'mask' }, Therror.Serializable()) {}
+let myRedactable = new MyRedactable({ password: '1234' });
+myRedactable.redact().toJSON();
+myRedactable.getRedactionRules().keys;
+class MyRedactedServerError extends Therror.ServerError({ redact: { paths: ['user.password'] } }) {}
+new MyRedactedServerError().redact().toPayload();
+
+class MyRetryable extends Therror.Retryable({ retryAfter: 1000, backoff: { factor: 3 } }) {}
+let myRetryable = new MyRetryable({ retryAfter: 2000 });
+myRetryable.retryable = false;
+myRetryable.retryAfter;
+new Therror.ServerError.ServiceUnavailable().retryable;
+class MyLocked extends Therror.ServerError({ statusCode: 423, retryable: true, retryAfter: 500 }) {}
+Therror.Retryable.STATUS_CODES.push(500);
+Therror.retryHints(myRetryable).retryable;
+Therror.retry((attempt: number) => Promise.resolve(attempt), {
+    attempts: 5,
+    jitter: false,
+    shouldRetry: (err: any, attempt: number) => attempt < 2,
+    onRetry: (err: any, attempt: number, delay: number) => undefined
+}).then((result: number) => result);
+
+new Therror.ServerError.TooManyRequests({ retryAfter: 1000 }).getHeaders()['Retry-After'];
+new Therror.ServerError.NotFound().render('text/html', { locale: 'es' }).body;
+Therror.HTTP.registerRenderer('text/csv', (err: Classes.HTTP, opts?: any) => err.getPayloadMessage(opts));
+let errorMiddleware = Therror.middleware({ log: false });
+let errorHandler = Therror.handler({ localize: false });
+errorHandler(new Error('Oops'), {}, {}).statusCode;
+
+class MyAggregate extends Therror.Aggregate(Therror.ServerError.BadRequest) {}
+let myAggregate = new MyAggregate([new Error('one'), new MyRetryable()], '${errors.length} failed');
+myAggregate.errors.length;
+myAggregate.filter(MyRetryable)[0].retryable;
+myAggregate.filter('Error').length;
+myAggregate.filter((err: any) => err.statusCode === 400).length;
+for (let child of myAggregate) {
+    child.message;
+}
+myAggregate.toPayload().errors;
+
+class MyValidation extends Therror.Validation(Therror.ServerError.UnprocessableEntity) {}
+let myValidation = new MyValidation([{ path: 'email', rule: 'required' }])
+    .add('age', 'min', '${path} must be at least ${min}', 12)
+    .add({ path: ['address', 'zip'], rule: 'pattern', pattern: '\\d+' });
+myValidation.entries[0].path;
+myValidation.getSummary({ locale: 'es' });
+myValidation.toPayload().errors;
+Therror.Validation.defaultMessage = '${path} is invalid';
+
+Therror.Localizable.register('es', {
+    UserNotFound: 'El usuario ${user} no existe',
+    STATUS_CODES: { 404: 'No encontrado' }
+});
+Therror.Localizable.defaultLocale = 'en';
+Therror.Localizable.catalogs.negotiate('es-AR,es;q=0.9');
+class MyLocalizable extends Therror.Localizable(Therror.Namespaced('MyNS')) {}
+new MyLocalizable().localize('es');
+new MyLocalizable().namespace;
 notFound.statusCode;
 notFound.log();
 notFound.level;